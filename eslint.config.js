@@ -33,7 +33,7 @@ export default [
   },
   // Library-specific rules (lib.js, parser.js)
   {
-    files: ['lib.js', 'parser.js'],
+    files: ['lib.js', 'parser.js', 'lsp.js'],
     rules: {
       'no-console': 'warn', // Warn about console in library code
       'no-unused-vars': ['error', { 'argsIgnorePattern': '^_' }], // Strict for library
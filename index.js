@@ -1,12 +1,42 @@
 #!/usr/bin/env node
 const { 
   parseAlign, 
-  validateConfig, 
-  mergeConfigs, 
+  formatAlign,
+  applyConfigEdits,
+  editConfigKey,
+  collectValidationIssues,
+  locateValidationIssues,
+  createValidationError,
+  getErrorDiagnostics,
+  AlignSyntaxError,
+  AlignValidationError,
+  loadAlignFile,
+  normalizeTypedValues,
+  loadEnvironmentLayers,
+  discoverEnvironments,
+  mergeLayers,
+  mergeConfigs,
+  traceConfigKey,
+  listEnvironmentFiles,
+  listEnvironmentGlobs,
+  environmentsUsingFiles,
+  findConfigDir,
+  watchFiles,
+  coerceValue,
+  coerceConfig,
+  getSchemaFields,
+  createDefaultsLayer,
+  SCHEMA_DEFAULTS_LAYER,
+  createEnvOverridesLayer,
+  ENV_OVERRIDES_LAYER,
+  envVariableToKey,
+  createCliOverridesLayer,
+  generateCode,
+  createEmbeddedArtifact,
+  verifyEmbeddedArtifact,
   performSmartAnalysis,
   discoverPackageSchemas,
   mergePackageSchemas,
-  validateWithPackageSchemas,
   explainConfigValue,
   listAvailableSchemas,
   // Cross-language export functions
@@ -80,6 +110,9 @@ const {
   createEnvironmentReview,
   lockEnvironment,
   unlockEnvironment,
+  listEnvironmentLocks,
+  enforceEnvironmentLocks,
+  AlignLockError,
   // SOC 2 compliance functions
   generateSOC2Checklist,
   loadSchema,
@@ -89,8 +122,11 @@ const { Command } = require('commander');
 const chalk = require('chalk');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const { isDeepStrictEqual } = require('util');
 const yaml = require('js-yaml');
 const inquirer = require('inquirer');
+const { startLanguageServer } = require('./lsp');
 
 const program = new Command();
 program.name('align').description('Align config CLI').version('1.0.6');
@@ -179,31 +215,41 @@ program
   .option('--schema <file>', 'Schema file path (align.schema.json)')
   .option('--include-packages', 'Include package schemas from node_modules')
   .option('--project-dir <dir>', 'Project root directory (for package discovery)', '.')
+  .option('--format <format>', 'Output format (text, json)', 'text')
+  .option('--set <key=value>', 'Override a key for this run, parsed like an .align value (repeatable)', collectOption, [])
+  .option('--set-file <key=path>', 'Override a key with the contents of a file (repeatable)', collectOption, [])
   .action((filePath, options) => {
+    const json = options.format === 'json';
     try {
       const absPath = path.resolve(filePath);
       
       if (!fs.existsSync(absPath)) {
-        console.error(chalk.red(`❌ File not found: ${filePath}`));
+        if (json) {
+          console.log(JSON.stringify({ valid: false, file: absPath, errors: [{ type: 'error', message: `File not found: ${filePath}` }] }, null, 2));
+        } else {
+          console.error(chalk.red(`❌ File not found: ${filePath}`));
+        }
         process.exit(1);
       }
 
-      const content = fs.readFileSync(absPath, 'utf-8');
-      const parsed = parseAlign(content);
+      // Parse the file along with everything it includes, then apply --set/--set-file
+      const { config: fileConfig, sources } = loadAlignFile(absPath);
+      const overrides = createCliOverridesLayer(options.set, options.setFile);
+      const parsed = overrides ? mergeConfigs(fileConfig, overrides.config, null, { interpolate: false }) : fileConfig;
       
       // Load project schema if provided
       let projectSchema = null;
       if (options.schema) {
         const schemaPath = path.resolve(options.schema);
         projectSchema = loadSchema(schemaPath);
-        if (projectSchema) {
+        if (projectSchema && !json) {
           console.log(chalk.blue(`📋 Using project schema: ${schemaPath}`));
         }
       } else {
         // Try to find align.schema.json in the same directory
         const defaultSchemaPath = path.join(path.dirname(absPath), 'align.schema.json');
         projectSchema = loadSchema(defaultSchemaPath);
-        if (projectSchema) {
+        if (projectSchema && !json) {
           console.log(chalk.blue(`📋 Using project schema: ${defaultSchemaPath}`));
         }
       }
@@ -214,7 +260,9 @@ program
         const projectDir = path.resolve(options.projectDir);
         packageSchemas = discoverPackageSchemas(projectDir);
         
-        if (Object.keys(packageSchemas).length > 0) {
+        if (json) {
+          // Keep stdout machine-readable
+        } else if (Object.keys(packageSchemas).length > 0) {
           console.log(chalk.blue(`📦 Found ${Object.keys(packageSchemas).length} package schemas:`));
           Object.keys(packageSchemas).forEach(pkg => {
             console.log(chalk.gray(`  - ${pkg}`));
@@ -224,12 +272,28 @@ program
         }
       }
       
-      // Validate with merged schemas
-      const errors = validateWithPackageSchemas(parsed, projectSchema || {}, packageSchemas);
+      // Validate with merged schemas; problems with an overridden key are reported against --set
+      const validationSchema = mergePackageSchemas(projectSchema || {}, packageSchemas);
+      const overridden = key => overrides !== null && Object.prototype.hasOwnProperty.call(overrides.config, key);
+      const issues = collectValidationIssues(parsed, false, validationSchema);
+      const errors = [
+        ...issues.filter(issue => overridden(issue.key)).map(issue => ({ ...issue, file: overrides.provenance[issue.key].flag })),
+        ...locateValidationIssues(issues.filter(issue => !overridden(issue.key)), sources)
+      ];
+
+      if (json) {
+        console.log(JSON.stringify({
+          valid: errors.length === 0,
+          file: absPath,
+          keys: Object.keys(parsed).length,
+          errors: new AlignValidationError('Validation failed', errors).toJSON()
+        }, null, 2));
+        process.exit(errors.length > 0 ? 1 : 0);
+      }
 
       if (errors.length > 0) {
         console.log(chalk.red('❌ Validation failed:\n'));
-        errors.forEach(err => console.log(chalk.red(`- ${err}`)));
+        displayValidationErrors(errors);
         process.exit(1);
       } else {
         console.log(chalk.green('✅ Validation passed: config is valid!'));
@@ -240,7 +304,41 @@ program
         }
       }
     } catch (err) {
-      console.error(chalk.red('❌ Parse error:'), err.message);
+      if (json) {
+        console.log(JSON.stringify({ valid: false, file: path.resolve(filePath), errors: getErrorDiagnostics(err) }, null, 2));
+      } else {
+        displayAlignError('❌ Parse error:', err);
+      }
+      process.exit(1);
+    }
+  });
+
+// VERIFY COMMAND
+program
+  .command('verify <file>')
+  .description('Check a config built with --embed-schema: content hash and schema validation')
+  .action((filePath) => {
+    try {
+      const absPath = path.resolve(filePath);
+      if (!fs.existsSync(absPath)) {
+        console.error(chalk.red(`❌ File not found: ${filePath}`));
+        process.exit(1);
+      }
+
+      const artifact = JSON.parse(fs.readFileSync(absPath, 'utf-8'));
+      const issues = verifyEmbeddedArtifact(artifact);
+      if (issues.length > 0) {
+        console.error(chalk.red(`❌ Verification failed: ${filePath}`));
+        displayValidationErrors(issues);
+        process.exit(1);
+      }
+
+      console.log(chalk.green(`✅ Verified: ${filePath}`));
+      console.log(chalk.gray(`🌍 Environment: ${artifact.$align.environment}`));
+      console.log(chalk.gray(`🕒 Built at: ${artifact.$align.builtAt}`));
+      console.log(chalk.gray(`🔏 Hash: ${artifact.$align.hash}`));
+    } catch (err) {
+      displayAlignError('❌ Verify error:', err);
       process.exit(1);
     }
   });
@@ -249,8 +347,10 @@ program
 program
   .command('build')
   .description('Build merged configuration from base and environment files')
-  .requiredOption('--env <environment>', 'Environment name (e.g., dev, prod)')
-  .option('--out <file>', 'Output file path', './output/config.json')
+  .option('--env <environment>', 'Environment name (e.g., dev, prod)')
+  .option('--envs <list>', 'Build several environments, comma-separated (e.g., dev,staging,prod)')
+  .option('--all-envs', 'Build every environment in the config directory')
+  .option('--out <file>', 'Output file path; {env} and {ext} are replaced (e.g., dist/{env}/config.{ext})', './output/config.json')
   .option('--config-dir <dir>', 'Configuration directory', './config')
   .option('--format <format>', 'Output format (json, jsonc, yaml, env, python, toml, properties, hcl, ini, xml)', 'json')
   .option('--schema <file>', 'Schema file path (align.schema.json)')
@@ -259,286 +359,448 @@ program
   .option('--service <service>', 'Service name (api, consumer) for service-specific configuration')
   .option('--project <project>', 'GCP project ID for secret resolution')
   .option('--secrets-from <provider>', 'Secret provider (gcp) for automatic secret resolution')
+  .option('--duration-unit <unit>', 'Emit durations (30s, 5m) as numbers in this unit (ms, s, m, h, d, w)')
+  .option('--bytes-unit <unit>', 'Emit byte sizes (512MB, 2GiB) as numbers in this unit (B, KB, MB, GB, KiB, MiB, GiB, ...)')
+  .option('--no-defaults', 'Do not fill in missing keys from schema defaults (audit what the files set)')
+  .option('--watch', 'Rebuild whenever a config file, an included file or the schema changes')
+  .option('--embed-schema', 'Write the merged config together with its schema and a content hash (json only; check it with Align.verify)')
+  .option('--env-overrides', 'Apply ALIGN__KEY__PATH environment variables on top of the files')
+  .option('--env-prefix <prefix>', 'Prefix of override variables (implies --env-overrides)', 'ALIGN')
+  .option('--env-separator <separator>', 'Separator between prefix and key parts (implies --env-overrides)', '__')
+  .option('--set <key=value>', 'Override a key for this run, parsed like an .align value (repeatable)', collectOption, [])
+  .option('--set-file <key=path>', 'Override a key with the contents of a file (repeatable)', collectOption, [])
   .hook('preAction', (thisCommand, actionCommand) => {
-    // Validate conflicting options
+    // Validate format
     const options = actionCommand.opts();
+    const supportedFormats = Object.keys(FORMAT_EXTENSIONS);
+    if (!supportedFormats.includes(options.format)) {
+      console.error(chalk.red(`❌ Invalid format: ${options.format}. Supported: ${supportedFormats.join(', ')}`));
+      process.exit(1);
+    }
+
+    // Validate conflicting options
     if (options.comments && options.format === 'json') {
       console.error(chalk.red('❌ Error: --comments flag is not valid with --format=json. Use --format=jsonc for JSON with comments.'));
       process.exit(1);
     }
+    if (options.embedSchema && options.format !== 'json') {
+      console.error(chalk.red('❌ Error: --embed-schema is only supported with --format=json.'));
+      process.exit(1);
+    }
+
+    // Exactly one way of choosing environments
+    const selectors = [options.env && '--env', options.envs && '--envs', options.allEnvs && '--all-envs'].filter(Boolean);
+    if (selectors.length !== 1) {
+      const reason = selectors.length === 0 ? 'one of them is required' : `got ${selectors.join(' and ')}`;
+      console.error(chalk.red(`❌ Error: specify exactly one of --env, --envs or --all-envs (${reason}).`));
+      process.exit(1);
+    }
   })
   .action(async (options) => {
-    try {
-      const configDir = path.resolve(options.configDir);
-      const basePath = path.join(configDir, 'base.align');
-      const envPath = path.join(configDir, `${options.env}.align`);
-      const outPath = path.resolve(options.out);
-
-      // Validate format
-      const supportedFormats = ['json', 'jsonc', 'yaml', 'env', 'python', 'toml', 'properties', 'hcl', 'ini', 'xml'];
-      if (!supportedFormats.includes(options.format)) {
-        console.error(chalk.red(`❌ Invalid format: ${options.format}. Supported: ${supportedFormats.join(', ')}`));
-        process.exit(1);
-      }
-
-      // Check if config directory exists
+    const configDir = path.resolve(options.configDir);
+    let environments = null;
+    if (options.envs) {
+      environments = [...new Set(options.envs.split(',').map(env => env.trim()).filter(Boolean))];
+    } else if (options.allEnvs) {
       if (!fs.existsSync(configDir)) {
         console.error(chalk.red(`❌ Config directory not found: ${options.configDir}`));
         process.exit(1);
       }
+      environments = discoverEnvironments(configDir);
+    }
+    if (environments && environments.length === 0) {
+      console.error(chalk.red(`❌ No environments to build in ${options.configDir}`));
+      process.exit(1);
+    }
 
-      // Load schema if provided
-      let schema = null;
-      if (options.schema) {
-        const schemaPath = path.resolve(options.schema);
-        schema = loadSchema(schemaPath);
-        if (schema) {
-          console.log(chalk.blue(`📋 Using schema: ${schemaPath}`));
-        }
-      } else {
-        // Try to find align.schema.json in config directory
-        const defaultSchemaPath = path.join(configDir, 'align.schema.json');
-        schema = loadSchema(defaultSchemaPath);
-        if (schema) {
-          console.log(chalk.blue(`📋 Using schema: ${defaultSchemaPath}`));
-        }
-      }
-
-      // Load and parse base config
-      if (!fs.existsSync(basePath)) {
-        console.error(chalk.red(`❌ Base config not found: ${basePath}`));
+    const build = () => environments ? buildEnvironments(options, environments) : buildConfiguration(options);
+    const built = await build();
+    if (!options.watch) {
+      if (!built) {
         process.exit(1);
       }
+      return;
+    }
+
+    // Rebuild whenever a layer, an included file or the schema changes
+    const schemaPath = options.schema ? path.resolve(options.schema) : path.join(configDir, 'align.schema.json');
+    const watchedFiles = () => [...new Set((environments || [options.env])
+      .flatMap(env => listEnvironmentFiles(configDir, env, schemaPath)))];
+    // Files created where an include glob looks are picked up too
+    const watchedGlobs = () => [...new Set((environments || [options.env])
+      .flatMap(env => listEnvironmentGlobs(configDir, env)))];
+    console.log(chalk.blue(`👀 Watching ${watchedFiles().length} files for changes (press Ctrl+C to stop)...`));
+    watchFiles(watchedFiles, async () => {
+      console.log('');
+      console.log(chalk.blue(`🔁 Change detected, rebuilding ${(environments || [options.env]).join(', ')}...`));
+      await build();
+    }, { getGlobs: watchedGlobs });
+  });
+
+// Output extension for each --format, also used for {ext} in --out
+const FORMAT_EXTENSIONS = {
+  json: '.json',
+  jsonc: '.jsonc',
+  yaml: '.yaml',
+  env: '.env',
+  python: '.py',
+  toml: '.toml',
+  properties: '.properties',
+  hcl: '.tf',
+  ini: '.ini',
+  xml: '.xml'
+};
+
+// Output path for one environment. {env} and {ext} are replaced; when several environments
+// are built into a path without {env}, the name goes before the extension (config.dev.json).
+function resolveOutputPath(template, env, format, multiple = false) {
+  let out = template
+    .replace(/\{env\}/g, env)
+    .replace(/\{ext\}/g, FORMAT_EXTENSIONS[format].slice(1));
+  if (multiple && !template.includes('{env}')) {
+    const ext = path.extname(out);
+    out = `${out.slice(0, out.length - ext.length)}.${env}${ext}`;
+  }
+  return path.resolve(out);
+}
+
+// Build several environments in one run, sharing parsed files (base.align is read once),
+// then print one report. Returns false when any environment failed.
+async function buildEnvironments(options, environments) {
+  const layerCache = new Map();
+  const results = [];
+  for (const env of environments) {
+    console.log(chalk.bold(`\n🌍 ${env}`));
+    const context = { layerCache, multiple: true };
+    const built = await buildConfiguration({ ...options, env }, context);
+    results.push({ env, built, output: context.output, failure: context.failure });
+  }
+
+  const failed = results.filter(result => !result.built);
+  console.log(chalk.bold('\n📊 Build report'));
+  for (const result of results) {
+    if (result.built) {
+      console.log(chalk.green(`  ✅ ${result.env}`) + chalk.gray(` → ${result.output}`));
+      continue;
+    }
+    console.log(chalk.red(`  ❌ ${result.env}: ${result.failure ? result.failure.title : 'build failed'}`));
+    for (const error of (result.failure && result.failure.errors) || []) {
+      const where = error.line ? `${error.file}:${error.line}:${error.column}` : error.file;
+      console.log(chalk.red(`     - ${error.message}`) + (where ? chalk.gray(` (${where})`) : ''));
+    }
+  }
+  if (failed.length > 0) {
+    console.log(chalk.red(`\n❌ ${failed.length} of ${results.length} environments failed`));
+    return false;
+  }
+  console.log(chalk.green(`\n✅ All ${results.length} environments built`));
+  return true;
+}
+
+// Build one environment. Failures are printed and reported as false instead of exiting,
+// so that --watch keeps running after a broken edit. context carries state for --envs:
+// the shared layer cache in, the output path or the failure out.
+async function buildConfiguration(options, context = {}) {
+  const fail = (title, errors = []) => {
+    console.error(chalk.red(`❌ ${title}`));
+    displayValidationErrors(errors);
+    context.failure = { title: title.replace(/:$/, ''), errors };
+    return false;
+  };
+
+  try {
+    const configDir = path.resolve(options.configDir);
+    const basePath = path.join(configDir, 'base.align');
+    const envPath = path.join(configDir, `${options.env}.align`);
+    const outPath = resolveOutputPath(options.out, options.env, options.format, context.multiple);
+
+    // Check if config directory exists
+    if (!fs.existsSync(configDir)) {
+      return fail(`Config directory not found: ${options.configDir}`);
+    }
+
+    // Load schema if provided, otherwise try align.schema.json in the config directory
+    const schemaPath = options.schema ? path.resolve(options.schema) : path.join(configDir, 'align.schema.json');
+    const schema = loadSchema(schemaPath);
+    if (schema) {
+      console.log(chalk.blue(`📋 Using schema: ${schemaPath}`));
+    } else if (options.embedSchema) {
+      return fail(`--embed-schema requires a schema: ${schemaPath} not found`);
+    }
+
+    // Check the base and environment files before loading the inheritance chain
+    if (!fs.existsSync(basePath)) {
+      return fail(`Base config not found: ${basePath}`);
+    }
+    if (!fs.existsSync(envPath)) {
+      return fail(`Environment config not found: ${envPath}`);
+    }
+
+    // Load and validate every layer: base, inherited environments, then the environment itself.
+    // Schema defaults sit below base.align, so keys with a default need not be set there.
+    const layers = loadEnvironmentLayers(configDir, options.env, { cache: context.layerCache });
+    const defaults = options.defaults ? createDefaultsLayer(schema, schemaPath) : null;
+    for (const layer of layers) {
+      const isBase = layer.name === 'base';
+      const kind = isBase ? 'Base' : layer.name === options.env ? 'Environment' : 'Inherited';
+      console.log(chalk.blue(`📁 Loading ${kind.toLowerCase()} config: ${layer.file}`));
+      layer.sources.slice(0, -1).forEach(source => console.log(chalk.gray(`   ↳ includes ${source.file}`)));
 
-      console.log(chalk.blue(`📁 Loading base config: ${basePath}`));
-      const baseContent = fs.readFileSync(basePath, 'utf-8');
-      
       // Validate file is not empty
-      if (!baseContent.trim()) {
-        console.error(chalk.red(`❌ Base config file is empty: ${basePath}`));
-        process.exit(1);
-      }
-      
-      const baseConfig = parseAlign(baseContent);
-      const baseErrors = validateConfig(baseConfig, true, schema); // Base config validation
-      
-      if (baseErrors.length > 0) {
-        console.error(chalk.red('❌ Base config validation failed:'));
-        baseErrors.forEach(err => console.log(chalk.red(`- ${err}`)));
-        process.exit(1);
+      if (!layer.content.trim()) {
+        return fail(`${kind} config file is empty: ${layer.file}`);
       }
 
-      // Load and parse environment config
-      if (!fs.existsSync(envPath)) {
-        console.error(chalk.red(`❌ Environment config not found: ${envPath}`));
-        process.exit(1);
+      const config = isBase && defaults ? { ...defaults.config, ...layer.config } : layer.config;
+      const issues = collectValidationIssues(config, isBase, schema, { rules: false });
+      if (issues.length > 0) {
+        return fail(`${isBase ? 'Base' : 'Environment'} config validation failed:`, locateValidationIssues(issues, layer.sources));
       }
+    }
 
-      console.log(chalk.blue(`📁 Loading environment config: ${envPath}`));
-      const envContent = fs.readFileSync(envPath, 'utf-8');
-      
-      // Validate file is not empty
-      if (!envContent.trim()) {
-        console.error(chalk.red(`❌ Environment config file is empty: ${envPath}`));
-        process.exit(1);
+    // Environment variables override every file
+    const envOverrides = createCliEnvOverridesLayer(options, schema, layers);
+    if (envOverrides) {
+      const issues = collectValidationIssues(envOverrides.config, false, schema, { rules: false });
+      if (issues.length > 0) {
+        return fail('Environment variable override validation failed:', issues);
       }
-      
-      const envConfig = parseAlign(envContent);
-      const envErrors = validateConfig(envConfig, false, schema); // Environment config validation
-      
-      if (envErrors.length > 0) {
-        console.error(chalk.red('❌ Environment config validation failed:'));
-        envErrors.forEach(err => console.log(chalk.red(`- ${err}`)));
-        process.exit(1);
+    }
+
+    // --set and --set-file win over everything, including environment variables
+    const cliOverrides = createCliOverridesLayer(options.set, options.setFile);
+    if (cliOverrides) {
+      const issues = collectValidationIssues(cliOverrides.config, false, schema, { rules: false });
+      if (issues.length > 0) {
+        return fail('--set override validation failed:', issues);
       }
+    }
 
-      // Merge configs
-      console.log(chalk.blue('🔄 Merging configurations...'));
-      let mergedConfig = mergeConfigs(baseConfig, envConfig);
+    // Merge configs
+    console.log(chalk.blue('🔄 Merging configurations...'));
+    let mergedConfig = mergeLayers([defaults, ...layers, envOverrides, cliOverrides].filter(Boolean), schema);
 
-      // Apply service-specific configuration
-      if (options.service) {
-        console.log(chalk.blue(`🔧 Applying service-specific configuration: ${options.service}`));
-        mergedConfig = loadServiceSpecificConfig(mergedConfig, options.service, options.env);
-      }
+    // Apply service-specific configuration
+    if (options.service) {
+      console.log(chalk.blue(`🔧 Applying service-specific configuration: ${options.service}`));
+      mergedConfig = loadServiceSpecificConfig(mergedConfig, options.service, options.env);
+    }
 
-      // Resolve GCP secrets if specified
-      if (options.secretsFrom === 'gcp' && options.project) {
-        console.log(chalk.blue(`🔐 Resolving GCP secrets from project: ${options.project}`));
-        mergedConfig = await resolveGCPSecrets(mergedConfig, options.project, options.env, {
-          addEnvironmentSuffix: true,
-          failOnMissing: true
-        });
-      }
+    // Resolve GCP secrets if specified
+    if (options.secretsFrom === 'gcp' && options.project) {
+      console.log(chalk.blue(`🔐 Resolving GCP secrets from project: ${options.project}`));
+      mergedConfig = await resolveGCPSecrets(mergedConfig, options.project, options.env, {
+        addEnvironmentSuffix: true,
+        failOnMissing: true
+      });
+    }
 
-      // Validate merged config against schema
-      if (schema) {
-        const mergedErrors = validateConfig(mergedConfig, false, schema);
-        if (mergedErrors.length > 0) {
-          console.error(chalk.red('❌ Merged config validation failed:'));
-          mergedErrors.forEach(err => console.log(chalk.red(`- ${err}`)));
-          process.exit(1);
-        }
-      }
+    // Validate merged config against schema
+    if (schema) {
+      // Secrets and other string sources are typed by the schema first
+      const coercion = coerceConfig(mergedConfig, schema);
+      mergedConfig = coercion.config;
+      displayCoercionWarnings(coercion.warnings);
 
-      // Ensure output directory exists
-      const outDir = path.dirname(outPath);
-      if (!fs.existsSync(outDir)) {
-        fs.mkdirSync(outDir, { recursive: true });
-        console.log(chalk.blue(`📁 Created output directory: ${outDir}`));
+      const mergedIssues = collectValidationIssues(mergedConfig, true, schema);
+      if (mergedIssues.length > 0) {
+        return fail('Merged config validation failed:', locateValidationIssues(mergedIssues, layers.flatMap(layer => layer.sources)));
       }
+    }
 
-      // Generate output based on format
-      let output;
-      let fileExtension;
-      
-      // Check if comments are requested and schema is available
-      const useComments = options.comments && schema;
-      if (options.comments && !schema) {
-        console.log(chalk.yellow('⚠️  --comments flag requires a schema file. Comments will not be included.'));
+    // Normalise typed literals for consumers that expect plain numbers
+    if (options.durationUnit || options.bytesUnit) {
+      mergedConfig = normalizeTypedValues(mergedConfig, schema, { duration: options.durationUnit, bytes: options.bytesUnit });
+      const targets = [
+        options.durationUnit && `durations → ${options.durationUnit}`,
+        options.bytesUnit && `bytes → ${options.bytesUnit}`
+      ].filter(Boolean);
+      console.log(chalk.blue(`📏 Normalised units: ${targets.join(', ')}`));
+    }
+
+    // Ensure output directory exists
+    const outDir = path.dirname(outPath);
+    if (!fs.existsSync(outDir)) {
+      fs.mkdirSync(outDir, { recursive: true });
+      console.log(chalk.blue(`📁 Created output directory: ${outDir}`));
+    }
+
+    // Generate output based on format
+    let output;
+    let artifact = null;
+    const fileExtension = FORMAT_EXTENSIONS[options.format];
+    
+    // Check if comments are requested and schema is available
+    const useComments = options.comments && schema;
+    if (options.comments && !schema) {
+      console.log(chalk.yellow('⚠️  --comments flag requires a schema file. Comments will not be included.'));
+    }
+    
+    // Warn about comments with standard JSON
+    if (options.comments && options.format === 'json') {
+      console.log(chalk.yellow('⚠️  Comments are not valid in standard JSON. Use --format=jsonc for JSON with comments.'));
+    }
+    
+    if (options.format === 'yaml') {
+      if (useComments) {
+        output = exportToYAMLWithComments(mergedConfig, schema);
+      } else {
+        output = yaml.dump(mergedConfig, { indent: 2 });
       }
-      
-      // Warn about comments with standard JSON
-      if (options.comments && options.format === 'json') {
-        console.log(chalk.yellow('⚠️  Comments are not valid in standard JSON. Use --format=jsonc for JSON with comments.'));
+    } else if (options.format === 'env') {
+      // Convert to .env format
+      output = Object.entries(mergedConfig)
+        .map(([key, value]) => {
+          // Convert key to UPPER_CASE format
+          const envKey = key.toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+          
+          // Add comment if description exists and comments are enabled
+          let comment = '';
+          if (useComments && schema.properties && schema.properties[key] && schema.properties[key].description) {
+            comment = ` # ${schema.properties[key].description}`;
+          }
+          
+          // Handle different value types with boolean conversion
+          let envValue;
+          if (typeof value === 'string') {
+            // Remove quotes for .env format (Docker expects KEY=value)
+            envValue = value;
+          } else if (typeof value === 'boolean') {
+            // Convert boolean to string for .env format
+            envValue = value.toString();
+          } else if (typeof value === 'number') {
+            envValue = value.toString();
+          } else if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+            envValue = value.join(',');
+          } else if (value !== null && typeof value === 'object') {
+            // Nested arrays and inline objects are passed as JSON
+            envValue = JSON.stringify(value);
+          } else {
+            envValue = String(value);
+          }
+          
+          return `${envKey}=${envValue}${comment}`;
+        })
+        .join('\n');
+    } else if (options.format === 'python') {
+      if (useComments) {
+        output = exportToPythonWithComments(mergedConfig, schema);
+      } else {
+        output = exportToPython(mergedConfig);
       }
-      
-      if (options.format === 'yaml') {
-        if (useComments) {
-          output = exportToYAMLWithComments(mergedConfig, schema);
-        } else {
-          output = yaml.dump(mergedConfig, { indent: 2 });
-        }
-        fileExtension = '.yaml';
-      } else if (options.format === 'env') {
-        // Convert to .env format
-        output = Object.entries(mergedConfig)
-          .map(([key, value]) => {
-            // Convert key to UPPER_CASE format
-            const envKey = key.toUpperCase().replace(/[^A-Z0-9_]/g, '_');
-            
-            // Add comment if description exists and comments are enabled
-            let comment = '';
-            if (useComments && schema.properties && schema.properties[key] && schema.properties[key].description) {
-              comment = ` # ${schema.properties[key].description}`;
-            }
-            
-            // Handle different value types with boolean conversion
-            let envValue;
-            if (typeof value === 'string') {
-              // Remove quotes for .env format (Docker expects KEY=value)
-              envValue = value;
-            } else if (typeof value === 'boolean') {
-              // Convert boolean to string for .env format
-              envValue = value.toString();
-            } else if (typeof value === 'number') {
-              envValue = value.toString();
-            } else if (Array.isArray(value)) {
-              envValue = value.join(',');
-            } else {
-              envValue = String(value);
-            }
-            
-            return `${envKey}=${envValue}${comment}`;
-          })
-          .join('\n');
-        fileExtension = '.env';
-      } else if (options.format === 'python') {
-        if (useComments) {
-          output = exportToPythonWithComments(mergedConfig, schema);
-        } else {
-          output = exportToPython(mergedConfig);
-        }
-        fileExtension = '.py';
-      } else if (options.format === 'toml') {
-        if (useComments) {
-          output = exportToTOMLWithComments(mergedConfig, schema);
-        } else {
-          output = exportToTOML(mergedConfig);
-        }
-        fileExtension = '.toml';
-      } else if (options.format === 'properties') {
-        if (useComments) {
-          output = exportToPropertiesWithComments(mergedConfig, schema);
-        } else {
-          output = exportToProperties(mergedConfig);
-        }
-        fileExtension = '.properties';
-      } else if (options.format === 'hcl') {
-        if (useComments) {
-          output = exportToHCLWithComments(mergedConfig, schema);
-        } else {
-          output = exportToHCL(mergedConfig);
-        }
-        fileExtension = '.tf';
-      } else if (options.format === 'ini') {
-        if (useComments) {
-          output = exportToINIWithComments(mergedConfig, schema);
-        } else {
-          output = exportToINI(mergedConfig);
-        }
-        fileExtension = '.ini';
-      } else if (options.format === 'xml') {
-        if (useComments) {
-          output = exportToXMLWithComments(mergedConfig, schema);
-        } else {
-          output = exportToXML(mergedConfig);
-        }
-        fileExtension = '.xml';
-      } else if (options.format === 'jsonc') {
-        // JSON with comments (JSONC format)
-        if (useComments) {
-          output = exportToJSONWithComments(mergedConfig, schema);
-        } else {
-          output = JSON.stringify(mergedConfig, null, 2);
-        }
-        fileExtension = '.jsonc';
+    } else if (options.format === 'toml') {
+      if (useComments) {
+        output = exportToTOMLWithComments(mergedConfig, schema);
       } else {
-        // Standard JSON (always valid JSON, no comments)
-        output = JSON.stringify(mergedConfig, null, 2);
-        fileExtension = '.json';
+        output = exportToTOML(mergedConfig);
       }
-
-      // Respect user's file extension if provided, otherwise use format-appropriate extension
-      let finalOutPath = outPath;
-      if (!outPath.includes('.')) {
-        // No extension provided, add appropriate one
-        finalOutPath = outPath + fileExtension;
-      } else if (!outPath.endsWith(fileExtension)) {
-        // Extension provided but doesn't match format, warn user
-        console.log(chalk.yellow(`⚠️  File extension doesn't match format. Using provided extension: ${path.extname(outPath)}`));
+    } else if (options.format === 'properties') {
+      if (useComments) {
+        output = exportToPropertiesWithComments(mergedConfig, schema);
+      } else {
+        output = exportToProperties(mergedConfig);
       }
-      
-      fs.writeFileSync(finalOutPath, output);
-
-      console.log(chalk.green('✅ Configuration built successfully!'));
-      console.log(chalk.gray(`📄 Output: ${finalOutPath}`));
-      console.log(chalk.gray(`📊 Keys: ${Object.keys(mergedConfig).length}`));
-      console.log(chalk.gray(`📋 Format: ${options.format.toUpperCase()}`));
+    } else if (options.format === 'hcl') {
       if (useComments) {
-        console.log(chalk.blue('💬 Comments: Included from schema descriptions'));
+        output = exportToHCLWithComments(mergedConfig, schema);
+      } else {
+        output = exportToHCL(mergedConfig);
       }
-      
-      // Show what was overridden
-      const overriddenKeys = Object.keys(envConfig);
-      if (overriddenKeys.length > 0) {
-        console.log(chalk.yellow(`🔄 Overridden keys: ${overriddenKeys.join(', ')}`));
+    } else if (options.format === 'ini') {
+      if (useComments) {
+        output = exportToINIWithComments(mergedConfig, schema);
+      } else {
+        output = exportToINI(mergedConfig);
       }
+    } else if (options.format === 'xml') {
+      if (useComments) {
+        output = exportToXMLWithComments(mergedConfig, schema);
+      } else {
+        output = exportToXML(mergedConfig);
+      }
+    } else if (options.format === 'jsonc') {
+      // JSON with comments (JSONC format)
+      if (useComments) {
+        output = exportToJSONWithComments(mergedConfig, schema);
+      } else {
+        output = JSON.stringify(mergedConfig, null, 2);
+      }
+    } else if (options.embedSchema) {
+      // Config, schema and content hash, for Align.verify at startup
+      artifact = createEmbeddedArtifact(mergedConfig, schema, {
+        environment: options.env,
+        units: { duration: options.durationUnit, bytes: options.bytesUnit }
+      });
+      output = JSON.stringify(artifact, null, 2);
+    } else {
+      // Standard JSON (always valid JSON, no comments)
+      output = JSON.stringify(mergedConfig, null, 2);
+    }
 
-      // Generate Kubernetes ConfigMap if requested
-      if (options.k8sConfigmap) {
-        const configMapYaml = generateK8sConfigMap(mergedConfig, options.env);
-        const configMapPath = finalOutPath.replace(/\.[^.]+$/, '.configmap.yaml');
-        
-        fs.writeFileSync(configMapPath, configMapYaml);
-        console.log(chalk.blue(`📄 ConfigMap: ${configMapPath}`));
+    // Respect user's file extension if provided, otherwise use format-appropriate extension
+    let finalOutPath = outPath;
+    if (!outPath.includes('.')) {
+      // No extension provided, add appropriate one
+      finalOutPath = outPath + fileExtension;
+    } else if (!outPath.endsWith(fileExtension)) {
+      // Extension provided but doesn't match format, warn user
+      console.log(chalk.yellow(`⚠️  File extension doesn't match format. Using provided extension: ${path.extname(outPath)}`));
+    }
+    
+    fs.writeFileSync(finalOutPath, output);
+    context.output = finalOutPath;
+
+    console.log(chalk.green('✅ Configuration built successfully!'));
+    console.log(chalk.gray(`📄 Output: ${finalOutPath}`));
+    console.log(chalk.gray(`📊 Keys: ${Object.keys(mergedConfig).length}`));
+    console.log(chalk.gray(`📋 Format: ${options.format.toUpperCase()}`));
+    if (useComments) {
+      console.log(chalk.blue('💬 Comments: Included from schema descriptions'));
+    }
+    if (artifact) {
+      console.log(chalk.blue(`🔏 Embedded schema, content hash: ${artifact.$align.hash}`));
+    }
+    
+    // Show the inheritance chain and what was overridden
+    if (layers.length > 2) {
+      console.log(chalk.gray(`🧬 Inheritance: ${layers.map(layer => layer.name).join(' → ')}`));
+    }
+    const overriddenKeys = [...new Set(layers.slice(1).flatMap(layer => Object.keys(layer.config)))];
+    if (overriddenKeys.length > 0) {
+      console.log(chalk.yellow(`🔄 Overridden keys: ${overriddenKeys.join(', ')}`));
+    }
+    const removedKeys = Object.keys(layers[0].config).filter(key => !(key in mergedConfig));
+    if (removedKeys.length > 0) {
+      console.log(chalk.yellow(`🗑️  Removed keys: ${removedKeys.join(', ')}`));
+    }
+    if (defaults) {
+      const defaultedKeys = Object.keys(defaults.config).filter(key => key in mergedConfig && !layers.some(layer => key in layer.config));
+      if (defaultedKeys.length > 0) {
+        console.log(chalk.gray(`🧩 Schema defaults: ${defaultedKeys.join(', ')}`));
       }
+    } else if (!options.defaults) {
+      console.log(chalk.gray('🧩 Schema defaults: skipped (--no-defaults)'));
+    }
+    if (cliOverrides) {
+      console.log(chalk.yellow(`🎛️  Command-line overrides: ${describeCliOverrides(cliOverrides).join(', ')}`));
+    }
 
-    } catch (err) {
-      console.error(chalk.red('❌ Build error:'), err.message);
-      process.exit(1);
+    // Generate Kubernetes ConfigMap if requested
+    if (options.k8sConfigmap) {
+      const configMapYaml = generateK8sConfigMap(mergedConfig, options.env);
+      const configMapPath = finalOutPath.replace(/\.[^.]+$/, '.configmap.yaml');
+      
+      fs.writeFileSync(configMapPath, configMapYaml);
+      console.log(chalk.blue(`📄 ConfigMap: ${configMapPath}`));
     }
-  });
+
+    return true;
+  } catch (err) {
+    displayAlignError('❌ Build error:', err);
+    context.failure = { title: err.message, errors: [] };
+    return false;
+  }
+}
 
 // DRY-RUN COMMAND
 program
@@ -566,48 +828,37 @@ program
         process.exit(1);
       }
 
-      const baseContent = fs.readFileSync(basePath, 'utf-8');
-      const baseConfig = parseAlign(baseContent);
-
       // Load and parse environment config
       if (!fs.existsSync(envPath)) {
         console.error(chalk.red(`❌ Environment config not found: ${envPath}`));
         process.exit(1);
       }
 
-      const envContent = fs.readFileSync(envPath, 'utf-8');
-      const envConfig = parseAlign(envContent);
+      // The environment is the last layer; everything before it is inherited
+      const layers = loadEnvironmentLayers(configDir, options.env);
+      const envLayer = layers[layers.length - 1];
+      const inheritedLayers = layers.slice(0, -1);
 
-      // Parse the new value with proper type conversion
-      let newValue = options.value;
-      
-      // Handle booleans
-      if (newValue === 'true' || newValue === 'false') {
-        newValue = newValue === 'true';
-      } else if (newValue === '1' || newValue === '0') {
-        newValue = newValue === '1';
-      } else if (newValue === 'yes' || newValue === 'no') {
-        newValue = newValue === 'yes';
-      }
-      // Handle numbers
-      else if (!isNaN(Number(newValue)) && newValue !== '') {
-        newValue = Number(newValue);
-      }
-      // Otherwise keep as string
+      // Type the new value as the schema declares it (or as an .align literal)
+      const schema = loadSchema(path.join(configDir, 'align.schema.json'));
+      const { value: newValue, warning } = coerceValue(options.value, getSchemaFields(schema)[options.key]);
 
       // Get current merged config
-      const currentConfig = mergeConfigs(baseConfig, envConfig);
+      const currentConfig = mergeLayers(layers);
       const currentValue = currentConfig[options.key];
 
       // Simulate the change
-      const simulatedEnvConfig = { ...envConfig, [options.key]: newValue };
-      const simulatedConfig = mergeConfigs(baseConfig, simulatedEnvConfig);
+      const simulatedEnvConfig = { ...envLayer.config, [options.key]: newValue };
+      const simulatedConfig = mergeLayers([...inheritedLayers, { ...envLayer, config: simulatedEnvConfig }]);
       const simulatedValue = simulatedConfig[options.key];
 
       console.log(chalk.blue('🔍 DRY RUN: Simulating configuration change'));
       console.log(chalk.gray(`Environment: ${options.env}`));
       console.log(chalk.gray(`Key: ${options.key}`));
       console.log(chalk.gray(`New value: ${JSON.stringify(newValue)}`));
+      if (warning) {
+        console.log(chalk.yellow(`⚠️  ${options.key}: ${warning}`));
+      }
       console.log('');
 
       // Show what would change
@@ -622,8 +873,9 @@ program
       }
 
       // Show which file would be affected
-      if (baseConfig[options.key] !== undefined) {
-        console.log(chalk.gray('📁 Would override base.align value'));
+      const inheritedFrom = inheritedLayers.filter(layer => layer.config[options.key] !== undefined).pop();
+      if (inheritedFrom) {
+        console.log(chalk.gray(`📁 Would override ${path.basename(inheritedFrom.file)} value`));
       } else {
         console.log(chalk.gray(`📁 Would add to ${options.env}.align`));
       }
@@ -643,12 +895,15 @@ program
   .option('--config-dir <dir>', 'Configuration directory', './config')
   .option('--project-dir <dir>', 'Project root directory (for package schemas)', '.')
   .option('--include-packages', 'Include package schema information')
+  .option('--no-defaults', 'Ignore schema defaults when tracing the key')
+  .option('--env-overrides', 'Include ALIGN__KEY__PATH environment variables in the trace')
+  .option('--env-prefix <prefix>', 'Prefix of override variables (implies --env-overrides)', 'ALIGN')
+  .option('--env-separator <separator>', 'Separator between prefix and key parts (implies --env-overrides)', '__')
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
       const projectDir = path.resolve(options.projectDir);
       const basePath = path.join(configDir, 'base.align');
-      const envPath = path.join(configDir, `${options.env}.align`);
 
       // Check if config directory exists
       if (!fs.existsSync(configDir)) {
@@ -662,20 +917,16 @@ program
         process.exit(1);
       }
 
-      const baseContent = fs.readFileSync(basePath, 'utf-8');
-      const baseConfig = parseAlign(baseContent);
-
-      // Load and parse environment config
-      if (!fs.existsSync(envPath)) {
-        console.error(chalk.red(`❌ Environment config not found: ${envPath}`));
-        process.exit(1);
-      }
-
-      const envContent = fs.readFileSync(envPath, 'utf-8');
-      const envConfig = parseAlign(envContent);
+      // Load base, every inherited environment and the environment itself, over the schema defaults
+      const layers = loadEnvironmentLayers(configDir, options.env);
+      const schemaPath = path.join(configDir, 'align.schema.json');
+      const schema = loadSchema(schemaPath);
+      const defaults = options.defaults ? createDefaultsLayer(schema, schemaPath) : null;
+      const envOverrides = createCliEnvOverridesLayer(options, schema, layers, { quiet: true });
+      const traced = [defaults, ...layers, envOverrides].filter(Boolean);
 
       // Get merged config
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = mergeLayers(traced, schema);
       const finalValue = mergedConfig[options.key];
 
       console.log(chalk.blue('🔍 EXPLAIN: Tracing configuration key'));
@@ -722,40 +973,61 @@ program
       console.log(chalk.blue(`🔍 Config Trace for key: "${options.key}" in env: "${options.env}"`));
       console.log('');
 
-      const baseValue = baseConfig[options.key];
-      const envValue = envConfig[options.key];
+      // One step per layer: base, inherited environments, then the environment itself
+      const trace = traceConfigKey(traced, options.key, schema);
+      const defined = trace.steps.filter(step => step.value !== undefined);
+      const active = defined[defined.length - 1];
 
-      // Step 1: Base config
-      if (baseValue !== undefined) {
-        console.log(chalk.gray(`1. base.align         → ${options.key} = ${JSON.stringify(baseValue)}`));
-      } else {
-        console.log(chalk.gray('1. base.align         → (not defined)'));
+      if (layers.length > 2) {
+        console.log(chalk.gray(`Inheritance chain: ${layers.map(layer => layer.name).join(' → ')}`));
+        console.log('');
       }
 
-      // Step 2: Environment config
-      if (envValue !== undefined) {
-        if (baseValue !== undefined) {
-          console.log(chalk.gray(`2. ${options.env}.align      → ${options.key} = ${JSON.stringify(envValue)} ✅ ACTIVE VALUE`));
-        } else {
-          console.log(chalk.gray(`2. ${options.env}.align      → ${options.key} = ${JSON.stringify(envValue)} ✅ ACTIVE VALUE`));
-        }
-      } else {
-        if (baseValue !== undefined) {
-          console.log(chalk.gray(`2. ${options.env}.align      → (no override)`));
-          console.log(chalk.gray(`   → ${options.key} = ${JSON.stringify(baseValue)} ✅ ACTIVE VALUE`));
+      trace.steps.forEach((step, index) => {
+        const name = step.name === SCHEMA_DEFAULTS_LAYER ? 'schema default'
+          : step.name === ENV_OVERRIDES_LAYER ? 'process env' : path.basename(step.file);
+        const label = `${index + 1}. ${name}`.padEnd(22);
+        // Values that come from an included file name it, e.g. "(from database.align:3)"
+        const included = step.origin && step.origin.variable
+          ? ` (from $${step.origin.variable})`
+          : step.origin && step.origin.file !== step.file
+            ? ` (from ${path.relative(configDir, path.resolve(step.origin.file))}:${step.origin.line})`
+            : '';
+        const marker = `${included}${step === active ? ' ✅ ACTIVE VALUE' : ''}`;
+
+        if (step.operation === 'delete') {
+          console.log(chalk.gray(`${label}→ unset ${options.key}`));
+        } else if (step.value === undefined) {
+          const inherited = trace.steps.slice(0, index).some(previous => previous.value !== undefined);
+          console.log(chalk.gray(`${label}→ ${inherited ? '(no override)' : '(not defined)'}`));
+        } else if (step.operation !== 'replace' && step.result !== step.value) {
+          console.log(chalk.gray(`${label}→ ${options.key} ${step.operation === 'append' ? '+=' : '='} ${JSON.stringify(step.value)} (${step.operation})`));
+          console.log(chalk.gray(`   → ${options.key} = ${JSON.stringify(step.result)}${marker}`));
         } else {
-          console.log(chalk.gray(`2. ${options.env}.align      → (not defined)`));
+          console.log(chalk.gray(`${label}→ ${options.key} = ${JSON.stringify(step.value)}${marker}`));
         }
+      });
+
+      // Show how an interpolated value was built
+      if (trace.interpolation) {
+        console.log('');
+        console.log(chalk.cyan(`🧩 Interpolated from: ${JSON.stringify(trace.interpolation.template)}`));
+        displayReferences(trace.interpolation.references, '   ');
       }
 
       console.log('');
       
       // Additional context
-      if (baseValue !== undefined && envValue !== undefined) {
-        console.log(chalk.yellow(`💡 Override detected: Value changed from ${JSON.stringify(baseValue)} to ${JSON.stringify(envValue)}`));
-      } else if (baseValue !== undefined && envValue === undefined) {
-        console.log(chalk.green('💡 Inherited: Value from base.align is being used'));
-      } else if (baseValue === undefined && envValue !== undefined) {
+      if (active.name === ENV_OVERRIDES_LAYER) {
+        console.log(chalk.yellow(`💡 Environment variable: $${active.origin.variable} overrides the config files (source: ${ENV_OVERRIDES_LAYER})`));
+      } else if (defined.length > 1) {
+        console.log(chalk.yellow(`💡 Override detected: Value changed from ${JSON.stringify(defined[0].value)} to ${JSON.stringify(finalValue)}`));
+      } else if (active.name === SCHEMA_DEFAULTS_LAYER) {
+        console.log(chalk.green(`💡 Schema default: No config file sets ${options.key}, so the default from align.schema.json is used`));
+      } else if (active.name !== options.env) {
+        const origin = active.origin ? path.relative(configDir, path.resolve(active.origin.file)) : path.basename(active.file);
+        console.log(chalk.green(`💡 Inherited: Value from ${origin} is being used`));
+      } else {
         console.log(chalk.blue(`💡 Environment-specific: Value only defined in ${options.env}.align`));
       }
 
@@ -807,9 +1079,6 @@ program
         process.exit(1);
       }
 
-      const baseContent = fs.readFileSync(basePath, 'utf-8');
-      const baseConfig = parseAlign(baseContent);
-
       // Load and parse environment configs
       const env1Path = path.join(configDir, `${options.env1}.align`);
       const env2Path = path.join(configDir, `${options.env2}.align`);
@@ -824,15 +1093,9 @@ program
         process.exit(1);
       }
 
-      const env1Content = fs.readFileSync(env1Path, 'utf-8');
-      const env2Content = fs.readFileSync(env2Path, 'utf-8');
-      
-      const env1Config = parseAlign(env1Content);
-      const env2Config = parseAlign(env2Content);
-
-      // Merge configs
-      const config1 = mergeConfigs(baseConfig, env1Config);
-      const config2 = mergeConfigs(baseConfig, env2Config);
+      // Merge configs, each over base and everything it extends
+      const config1 = mergeLayers(loadEnvironmentLayers(configDir, options.env1), schema);
+      const config2 = mergeLayers(loadEnvironmentLayers(configDir, options.env2), schema);
 
       // Get all unique keys
       const allKeys = new Set([...Object.keys(config1), ...Object.keys(config2)]);
@@ -847,7 +1110,7 @@ program
         const value1 = config1[key];
         const value2 = config2[key];
 
-        if (value1 !== value2) {
+        if (!isDeepStrictEqual(value1, value2)) {
           hasDifferences = true;
           
           if (value1 === undefined) {
@@ -880,6 +1143,8 @@ program
   .option('--env <environment>', 'Environment to analyze (dev, prod, staging)', 'prod')
   .option('--detailed', 'Show detailed analysis with explanations')
   .option('--format <format>', 'Output format (text, json)', 'text')
+  .option('--set <key=value>', 'Override a key for this run, parsed like an .align value (repeatable)', collectOption, [])
+  .option('--set-file <key=path>', 'Override a key with the contents of a file (repeatable)', collectOption, [])
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
@@ -889,9 +1154,7 @@ program
       console.log(chalk.gray(`📁 Config directory: ${configDir}\n`));
 
       // Load and merge configuration
-      const baseConfig = await loadConfig(path.join(configDir, 'base.align'), false);
-      const envConfig = await loadConfig(path.join(configDir, `${env}.align`), false);
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = await loadEnvironmentConfig(configDir, env, null, createCliOverridesLayer(options.set, options.setFile));
 
       // Perform comprehensive analysis
       const analysis = performSmartAnalysis(mergedConfig, env, options.detailed);
@@ -919,35 +1182,43 @@ program
   .option('--format <format>', 'Output format (text, json)', 'text')
   .option('--strict', 'Treat warnings as errors')
   .option('--fix', 'Automatically fix fixable issues')
+  .option('--override-lock <reason>', 'Write even if the environment is locked; the reason is recorded in .align/audit.log')
+  .option('--set <key=value>', 'Override a key for this run, parsed like an .align value (repeatable)', collectOption, [])
+  .option('--set-file <key=path>', 'Override a key with the contents of a file (repeatable)', collectOption, [])
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
       const env = options.env;
+      const json = options.format === 'json';
       
-      console.log(chalk.blue(`🔍 Linting Configuration: ${env} environment`));
-      console.log(chalk.gray(`📁 Config directory: ${configDir}\n`));
+      if (!json) {
+        console.log(chalk.blue(`🔍 Linting Configuration: ${env} environment`));
+        console.log(chalk.gray(`📁 Config directory: ${configDir}\n`));
+      }
 
       // Load schema if provided
       let schema = null;
       if (options.schema) {
         const schemaPath = path.resolve(options.schema);
         schema = loadSchema(schemaPath);
-        if (schema) {
+        if (schema && !json) {
           console.log(chalk.blue(`📋 Using schema: ${schemaPath}`));
         }
       } else {
         // Try to find align.schema.json in config directory
         const defaultSchemaPath = path.join(configDir, 'align.schema.json');
         schema = loadSchema(defaultSchemaPath);
-        if (schema) {
+        if (schema && !json) {
           console.log(chalk.blue(`📋 Using schema: ${defaultSchemaPath}`));
         }
       }
 
-      // Load and merge configuration
-      const baseConfig = await loadConfig(path.join(configDir, 'base.align'), false);
-      const envConfig = await loadConfig(path.join(configDir, `${env}.align`), false);
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      // Load and merge configuration (--fix writes files, so one-off overrides can't be combined with it)
+      const overrides = createCliOverridesLayer(options.set, options.setFile);
+      if (overrides && options.fix) {
+        throw new Error('--fix cannot be combined with --set or --set-file: the overrides would be written to the config files');
+      }
+      const mergedConfig = await loadEnvironmentConfig(configDir, env, schema, overrides);
 
       // Perform linting
       const lintResult = lintConfig(mergedConfig, schema, env);
@@ -980,6 +1251,9 @@ program
         
         // Write fixed config back to files
         if (fixResults.fixed.length > 0) {
+          // Fixes can land in base.align or an included file, which other environments read too
+          const written = await writeFixedConfig(fixedConfig, configDir, env, schema, { dryRun: true });
+          ensureUnlocked(configDir, environmentsUsingFiles(configDir, written), options, 'lint --fix');
           await writeFixedConfig(fixedConfig, configDir, env, schema);
           console.log(chalk.green('💾 Fixed configuration saved to files.'));
           console.log('');
@@ -1006,7 +1280,196 @@ program
       }
 
     } catch (err) {
-      console.error(chalk.red('❌ Lint error:'), err.message);
+      if (options.format === 'json') {
+        console.log(JSON.stringify({ errors: getErrorDiagnostics(err) }, null, 2));
+      } else {
+        displayAlignError('❌ Lint error:', err);
+      }
+      process.exit(1);
+    }
+  });
+
+// FORMAT COMMAND
+program
+  .command('fmt [files...]')
+  .description('Rewrite .align files in the canonical style (aligned =, normalised quotes, comments kept)')
+  .option('--config-dir <dir>', 'Configuration directory, formatted when no files are given', './config')
+  .option('--check', 'Only report files that are not formatted; exit 1 if there are any (for CI)')
+  .option('--sort', 'Sort keys alphabetically within each blank-line group')
+  .option('--override-lock <reason>', 'Write even if the environment is locked; the reason is recorded in .align/audit.log')
+  .action((files, options) => {
+    // Every .align file under the config directory, includes in subdirectories too
+    const findAlignFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return findAlignFiles(full);
+      }
+      return entry.name.endsWith('.align') ? [full] : [];
+    });
+
+    const configDir = path.resolve(options.configDir);
+    let targets = files;
+    if (targets.length === 0) {
+      if (!fs.existsSync(configDir)) {
+        console.error(chalk.red(`❌ Config directory not found: ${options.configDir}`));
+        process.exit(1);
+      }
+      targets = findAlignFiles(configDir).sort();
+    }
+
+    const unformatted = [];
+    const rewrites = new Map();
+    let failed = 0;
+    for (const file of targets) {
+      try {
+        if (!fs.existsSync(file)) {
+          throw new Error(`File not found: ${file}`);
+        }
+        const content = fs.readFileSync(file, 'utf-8');
+        const formatted = formatAlign(content, { file, sort: options.sort });
+        if (formatted === content) {
+          continue;
+        }
+        unformatted.push(file);
+        if (options.check) {
+          console.log(chalk.yellow(`⚠️  Not formatted: ${file}`));
+        } else {
+          rewrites.set(file, formatted);
+        }
+      } catch (err) {
+        failed++;
+        displayAlignError(`❌ Cannot format ${file}:`, err);
+      }
+    }
+
+    // Formatting rewrites files, so environments reading any of them must not be locked. Each
+    // file is checked against the config directory it is in (the nearest with a base.align),
+    // or --config-dir for files outside one, e.g. an include from a shared directory
+    const byConfigDir = new Map();
+    for (const file of rewrites.keys()) {
+      const dir = findConfigDir(file) || (fs.existsSync(configDir) ? configDir : null);
+      if (dir) {
+        byConfigDir.set(dir, [...(byConfigDir.get(dir) || []), file]);
+      }
+    }
+    for (const [dir, written] of byConfigDir) {
+      ensureUnlocked(dir, environmentsUsingFiles(dir, written), options, 'fmt');
+    }
+    for (const [file, formatted] of rewrites) {
+      fs.writeFileSync(file, formatted);
+      console.log(chalk.green(`✨ Formatted: ${file}`));
+    }
+
+    const clean = targets.length - unformatted.length - failed;
+    if (options.check && unformatted.length > 0) {
+      console.log(chalk.red(`❌ ${unformatted.length} of ${targets.length} files need formatting. Run "align fmt" to fix them.`));
+    } else if (unformatted.length > 0) {
+      console.log(chalk.green(`✅ Formatted ${unformatted.length} files, ${clean} already formatted`));
+    } else if (failed === 0) {
+      console.log(chalk.green(`✅ ${targets.length === 1 ? 'File is' : `All ${targets.length} files are`} formatted`));
+    }
+    if (failed > 0 || (options.check && unformatted.length > 0)) {
+      process.exit(1);
+    }
+  });
+
+// LANGUAGE SERVER
+program
+  .command('lsp')
+  .description('Start the .align language server (LSP over stdio) for editors')
+  .option('--stdio', 'Communicate over stdin/stdout (the default; accepted because editors pass it)')
+  .option('--schema <file>', 'Schema file (default: align.schema.json next to base.align)')
+  .action((options) => {
+    // stdout carries the protocol, so anything printed along the way goes to stderr
+    console.log = console.error;
+    startLanguageServer({ schema: options.schema });
+  });
+
+// KEY COMMANDS
+// get/set/unset one key. --env targets <env>.align (and reads the merged environment);
+// --base targets base.align instead.
+function resolveKeyTarget(options) {
+  if (!options.env && !options.base) {
+    console.error(chalk.red('❌ Error: specify --env <environment> or --base'));
+    process.exit(1);
+  }
+  const configDir = path.resolve(options.configDir);
+  if (!fs.existsSync(configDir)) {
+    console.error(chalk.red(`❌ Config directory not found: ${options.configDir}`));
+    process.exit(1);
+  }
+  const schema = loadSchema(options.schema || path.join(configDir, 'align.schema.json'));
+  return { configDir, schema, target: options.base ? 'base.align' : `${options.env}.align` };
+}
+
+program
+  .command('get <key>')
+  .description('Print a key\'s merged value for an environment (or as set in base.align with --base)')
+  .option('--env <environment>', 'Environment to read')
+  .option('--base', 'Read the value set in base.align')
+  .option('--config-dir <dir>', 'Configuration directory', './config')
+  .option('--schema <file>', 'Schema file (default: <config-dir>/align.schema.json)')
+  .action(async (key, options) => {
+    try {
+      const { configDir, schema } = resolveKeyTarget(options);
+      const config = options.base
+        ? loadAlignFile(path.join(configDir, 'base.align')).config
+        : await loadEnvironmentConfig(configDir, options.env, schema);
+      if (!(key in config)) {
+        console.error(chalk.red(`❌ ${key} is not set in ${options.base ? 'base.align' : options.env}`));
+        process.exit(1);
+      }
+      // Strings print as-is so the output can be used in scripts
+      const value = config[key];
+      console.log(typeof value === 'string' ? value : JSON.stringify(value));
+    } catch (err) {
+      displayAlignError('❌ Cannot read config:', err);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('set <key> <value>')
+  .description('Set a key in an environment\'s file (or base.align with --base), typed by the schema')
+  .option('--env <environment>', 'Environment to change')
+  .option('--base', 'Write to base.align (validated against every environment)')
+  .option('--config-dir <dir>', 'Configuration directory', './config')
+  .option('--schema <file>', 'Schema file (default: <config-dir>/align.schema.json)')
+  .option('--override-lock <reason>', 'Write even if the environment is locked; the reason is recorded in .align/audit.log')
+  .action((key, rawValue, options) => {
+    const { configDir, schema, target } = resolveKeyTarget(options);
+    try {
+      const { value, warning } = coerceValue(rawValue, getSchemaFields(schema)[key]);
+      if (warning) {
+        console.log(chalk.yellow(`⚠️  ${key}: ${warning}`));
+      }
+      const { changed, overridden } = editConfigKey(configDir, options.env, { set: key, value }, { base: options.base, schema, lockOverride: lockOverride(options, 'set') });
+      displayLockOverrides(overridden);
+      console.log(changed
+        ? chalk.green(`✅ Set ${key} = ${JSON.stringify(value)} in ${target}`)
+        : chalk.gray(`${key} is already ${JSON.stringify(value)} in ${target}`));
+    } catch (err) {
+      displayAlignError(`❌ Not written to ${target}:`, err);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('unset <key>')
+  .description('Remove a key from an environment\'s file (or base.align with --base)')
+  .option('--env <environment>', 'Environment to change')
+  .option('--base', 'Remove from base.align (validated against every environment)')
+  .option('--config-dir <dir>', 'Configuration directory', './config')
+  .option('--schema <file>', 'Schema file (default: <config-dir>/align.schema.json)')
+  .option('--override-lock <reason>', 'Write even if the environment is locked; the reason is recorded in .align/audit.log')
+  .action((key, options) => {
+    const { configDir, schema, target } = resolveKeyTarget(options);
+    try {
+      const { overridden } = editConfigKey(configDir, options.env, { remove: key }, { base: options.base, schema, lockOverride: lockOverride(options, 'unset') });
+      displayLockOverrides(overridden);
+      console.log(chalk.green(`✅ Removed ${key} from ${target}`));
+    } catch (err) {
+      displayAlignError(`❌ Not written to ${target}:`, err);
       process.exit(1);
     }
   });
@@ -1055,9 +1518,7 @@ program
       }
 
       // Load and merge configuration
-      const baseConfig = await loadConfig(path.join(configDir, 'base.align'), false);
-      const envConfig = await loadConfig(path.join(configDir, `${env}.align`), false);
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = await loadEnvironmentConfig(configDir, env);
 
       // Handle GCP Secret Manager
       if (options.gcp) {
@@ -1156,9 +1617,7 @@ program
       console.log(chalk.gray(`📁 Config directory: ${configDir}\n`));
 
       // Load and merge configuration
-      const baseConfig = await loadConfig(path.join(configDir, 'base.align'), false);
-      const envConfig = await loadConfig(path.join(configDir, `${env}.align`), false);
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = await loadEnvironmentConfig(configDir, env);
 
       // Explain with secrets
       const explanation = explainWithSecrets(mergedConfig, key, env, {
@@ -1203,9 +1662,7 @@ program
       console.log('');
 
       // Load and merge configuration
-      const baseConfig = await loadConfig(path.join(configDir, 'base.align'), false);
-      const envConfig = await loadConfig(path.join(configDir, `${env}.align`), false);
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = await loadEnvironmentConfig(configDir, env);
 
       // Parse options
       const environments = options.environments.split(',').map(e => e.trim());
@@ -1332,9 +1789,7 @@ program
       }
 
       // Load and merge configuration
-      const baseConfig = await loadConfig(path.join(configDir, 'base.align'), false);
-      const envConfig = await loadConfig(path.join(configDir, `${env}.align`), false);
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = await loadEnvironmentConfig(configDir, env);
 
       // Get versions
       const schemaVersion = getSchemaVersion(schema);
@@ -1371,6 +1826,7 @@ program
   .option('--dry-run', 'Show migration plan without applying changes')
   .option('--backup', 'Create backup before migration', true)
   .option('--format <format>', 'Output format (text, json)', 'text')
+  .option('--override-lock <reason>', 'Write even if the environment is locked; the reason is recorded in .align/audit.log')
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
@@ -1402,9 +1858,7 @@ program
       }
 
       // Load and merge configuration
-      const baseConfig = await loadConfig(path.join(configDir, 'base.align'), false);
-      const envConfig = await loadConfig(path.join(configDir, `${env}.align`), false);
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = await loadEnvironmentConfig(configDir, env);
 
       const currentVersion = getConfigVersion(mergedConfig);
       const targetVer = targetVersion || getSchemaVersion(schema);
@@ -1422,6 +1876,17 @@ program
           dryRun: false,
           backup: options.backup
         });
+
+        // Renames and the new version go to the files that set them, comments included
+        const edits = migrationResult.results.applied.flatMap(step => {
+          if (step.replacement) {
+            return [{ rename: step.field, to: step.replacement }];
+          }
+          return step.newVersion ? [{ set: 'version', value: step.newVersion }] : [];
+        });
+        // Renamed keys can live in base.align or an included file, which other environments read too
+        ensureUnlocked(configDir, environmentsUsingFiles(configDir, applyConfigEdits(configDir, env, edits, { dryRun: true })), options, 'migrate');
+        migrationResult.files = applyConfigEdits(configDir, env, edits);
       }
 
       // Output results
@@ -1433,6 +1898,9 @@ program
         }, null, 2));
       } else {
         displayMigrationInfo(migrationPlan, compatibility, migrationResult, options.dryRun);
+        if (migrationResult && migrationResult.files.length > 0) {
+          console.log(chalk.green(`💾 Saved: ${migrationResult.files.map(file => path.relative(process.cwd(), file)).join(', ')}`));
+        }
       }
 
     } catch (err) {
@@ -1451,6 +1919,7 @@ program
   .option('--target <target>', 'Target to bump (schema, config, both)', 'both')
   .option('--dry-run', 'Show what would be changed without applying')
   .option('--format <format>', 'Output format (text, json)', 'text')
+  .option('--override-lock <reason>', 'Write even if the environment is locked; the reason is recorded in .align/audit.log')
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
@@ -1464,6 +1933,10 @@ program
       console.log(chalk.gray(`🎯 Target: ${target}`));
       console.log('');
 
+      if (!options.dryRun) {
+        ensureUnlocked(configDir, [env], options, 'bump');
+      }
+
       // Load schema if provided
       let schema = null;
       if (options.schema) {
@@ -1482,9 +1955,7 @@ program
       }
 
       // Load and merge configuration
-      const baseConfig = await loadConfig(path.join(configDir, 'base.align'), false);
-      const envConfig = await loadConfig(path.join(configDir, `${env}.align`), false);
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = await loadEnvironmentConfig(configDir, env);
 
       const results = {
         schema: null,
@@ -1587,6 +2058,7 @@ program
   .option('--consolidate-configs', 'Only consolidate scattered configs')
   .option('--fix-security', 'Only fix security issues')
   .option('--detailed', 'Show detailed information about changes')
+  .option('--override-lock <reason>', 'Write even if the environment is locked; the reason is recorded in .align/audit.log')
   .action((options) => {
     try {
       const { repairConfig } = require('./parser.js');
@@ -1598,6 +2070,11 @@ program
       console.log(chalk.gray(`📁 Config directory: ${configDir}`));
       console.log('');
 
+      // Repairs and rollbacks rewrite base.align, so every environment's lock counts
+      if (!options.dryRun && !options.analyzeOnly && fs.existsSync(configDir)) {
+        ensureUnlocked(configDir, discoverEnvironments(configDir), options, 'repair');
+      }
+
       // Handle rollback
       if (options.rollback) {
         if (!options.backupDir) {
@@ -1671,27 +2148,137 @@ data:
 ${Object.entries(data).map(([key, value]) => `  ${key}: "${value}"`).join('\n')}`;
 }
 
-// Helper function to load configuration
-async function loadConfig(filePath, isBaseConfig = false) {
-  try {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const config = parseAlign(content);
-    
-    // Validate the config (skip required field validation for analysis)
-    const errors = validateConfig(config, false);
-    if (errors.length > 0) {
-      throw new Error(`Configuration validation failed: ${errors.join(', ')}`);
+// Helper function to load an environment, merged over base and everything it extends.
+// overrides (e.g. the --set layer) is applied last.
+async function loadEnvironmentConfig(configDir, environment, schema = null, overrides = null) {
+  const layers = loadEnvironmentLayers(configDir, environment);
+  const defaults = createDefaultsLayer(schema, path.join(configDir, 'align.schema.json'));
+
+  // Validate each layer (skip required field validation for analysis)
+  for (const layer of layers) {
+    const issues = collectValidationIssues(layer.config, false);
+    if (issues.length > 0) {
+      throw createValidationError('Configuration validation failed', issues, layer.sources);
     }
-    
-    return config;
+  }
+
+  return mergeLayers([defaults, ...layers, overrides].filter(Boolean), schema);
+}
+
+// Collect a repeatable option (--set a=1 --set b=2) into an array
+function collectOption(value, previous) {
+  return previous.concat([value]);
+}
+
+// Who takes or overrides a lock: $ALIGN_USER, else the login name
+function currentUser() {
+  if (process.env.ALIGN_USER) {
+    return process.env.ALIGN_USER;
+  }
+  try {
+    return os.userInfo().username;
+  } catch {
+    return 'unknown';
+  }
+}
+
+// --override-lock as the override enforceEnvironmentLocks and editConfigKey expect, or null
+function lockOverride(options, command) {
+  return options.overrideLock !== undefined ? { reason: options.overrideLock, user: currentUser(), command } : null;
+}
+
+function displayLockOverrides(locks) {
+  locks.forEach(lock => console.log(chalk.yellow(`⚠️  Overriding the lock on ${lock.environment} held by ${lock.lockedBy} (${lock.reason}); recorded in .align/audit.log`)));
+}
+
+// Exit before a command writes to a locked environment, unless --override-lock gives a reason
+function ensureUnlocked(configDir, environments, options, command) {
+  try {
+    displayLockOverrides(enforceEnvironmentLocks(configDir, environments, lockOverride(options, command)));
   } catch (err) {
-    if (err.code === 'ENOENT') {
-      throw new Error(`Configuration file not found: ${filePath}`);
+    displayAlignError(`❌ ${command} refused:`, err);
+    process.exit(1);
+  }
+}
+
+// "key = value" for --set, "key (from path)" for --set-file so file contents stay out of logs
+function describeCliOverrides(layer) {
+  return Object.keys(layer.config).map(key => {
+    const origin = layer.provenance[key];
+    return origin.flag === '--set-file'
+      ? `${key} (from ${path.relative(process.cwd(), origin.path)})`
+      : `${key} = ${JSON.stringify(layer.config[key])}`;
+  });
+}
+
+// The environment-variable override layer for --env-overrides (also enabled by a custom
+// --env-prefix or --env-separator), or null. Lists what it applies unless options.quiet.
+function createCliEnvOverridesLayer(options, schema, layers, display = {}) {
+  const customNaming = options.envPrefix !== 'ALIGN' || options.envSeparator !== '__';
+  if (!options.envOverrides && !customNaming) {
+    return null;
+  }
+  const layer = createEnvOverridesLayer(schema, {
+    prefix: options.envPrefix,
+    separator: options.envSeparator,
+    keys: layers.flatMap(item => Object.keys(item.config))
+  });
+  if (layer && !display.quiet) {
+    const applied = Object.keys(layer.config).map(key => `${key} ($${layer.provenance[key].variable})`);
+    console.log(chalk.blue(`🌱 Environment overrides: ${applied.join(', ')}`));
+    layer.unmatched.forEach(name => console.log(chalk.yellow(`⚠️  ${name} does not match a schema or config key (applied as ${envVariableToKey(name, { prefix: options.envPrefix, separator: options.envSeparator })})`)));
+    displayCoercionWarnings(layer.warnings);
+  }
+  return layer;
+}
+
+// Print the ${...} references behind an interpolated value, nested by dependency
+function displayReferences(references, indent) {
+  for (const reference of references) {
+    const expression = reference.type === 'env'
+      ? `env:${reference.name}${reference.default !== undefined ? `:-${reference.default}` : ''}`
+      : reference.name;
+    const note = reference.source === 'default' ? ' (default)' : reference.source === 'env' ? ' (from environment)' : '';
+    console.log(chalk.gray(`${indent}\${${expression}} → ${JSON.stringify(reference.value)}${note}`));
+    if (reference.references) {
+      displayReferences(reference.references, `${indent}   `);
     }
-    throw err;
   }
 }
 
+// Print an error, with its source location and code frame when it has one
+function displayAlignError(title, err) {
+  if (err instanceof AlignValidationError) {
+    console.error(chalk.red(title), err.title);
+    displayValidationErrors(err.errors);
+    return;
+  }
+
+  console.error(chalk.red(title), err.message);
+  if (err instanceof AlignSyntaxError && err.frame) {
+    console.error(chalk.gray(err.frame));
+  }
+  if (err instanceof AlignLockError) {
+    console.error(chalk.gray('💡 Wait for the lock to expire, run "align unlock", or pass --override-lock "<reason>"'));
+  }
+}
+
+// Print located validation errors (see locateValidationIssues)
+function displayValidationErrors(errors) {
+  errors.forEach(error => {
+    const where = error.line ? `${error.file}:${error.line}:${error.column}` : error.file;
+    console.log(chalk.red(`- ${error.message}`) + (where ? chalk.gray(` (${where})`) : ''));
+    if (error.frame) {
+      console.log(chalk.gray(error.frame));
+    }
+  });
+}
+
+// Lossy or ambiguous conversions made by coerceConfig
+function displayCoercionWarnings(warnings) {
+  warnings.forEach(warning => console.log(chalk.yellow(`⚠️  Coerced ${warning.message}`)));
+}
+
 // Display analysis results
 function displayAnalysisResults(analysis, detailed = false) {
   const { summary, security, performance, bestPractices, environment } = analysis;
@@ -2485,6 +3072,8 @@ program
   .option('--config-dir <dir>', 'Configuration directory (default: "./config")')
   .option('--policy-file <file>', 'Custom policy file path (default: "./align.policies.json")')
   .option('--format <format>', 'Output format (text, json) (default: "text")')
+  .option('--set <key=value>', 'Override a key for this run, parsed like an .align value (repeatable)', collectOption, [])
+  .option('--set-file <key=path>', 'Override a key with the contents of a file (repeatable)', collectOption, [])
   .action(async (options) => {
     try {
       const environment = options.env || 'dev';
@@ -2492,9 +3081,7 @@ program
       const policyFile = options.policyFile || './align.policies.json';
       
       // Load configuration
-      const baseConfig = await loadConfig(path.join(configDir, 'base.align'), true);
-      const envConfig = await loadConfig(path.join(configDir, `${environment}.align`));
-      const config = mergeConfigs(baseConfig, envConfig);
+      const config = await loadEnvironmentConfig(configDir, environment, null, createCliOverridesLayer(options.set, options.setFile));
       
       // Load policies
       const customPolicies = loadPolicies(policyFile);
@@ -2538,9 +3125,7 @@ program
       const configDir = path.resolve(options.configDir || './config');
       
       // Load configuration
-      const baseConfig = await loadConfig(path.join(configDir, 'base.align'), true);
-      const envConfig = await loadConfig(path.join(configDir, `${environment}.align`));
-      const config = mergeConfigs(baseConfig, envConfig);
+      const config = await loadEnvironmentConfig(configDir, environment);
       
       // Generate suggestions
       const suggestions = suggestPolicies(config, environment);
@@ -2601,7 +3186,7 @@ program
       // Load environment configs
       const envConfigs = {};
       const envFiles = fs.readdirSync(configDir).filter(file => 
-        file.endsWith('.align') && file !== 'base.align'
+        file.endsWith('.align') && file !== 'base.align' && !file.startsWith('.')
       );
       
       for (const file of envFiles) {
@@ -2660,6 +3245,58 @@ program
     }
   });
 
+program
+  .command('codegen')
+  .description('Generate typed configuration bindings from align.schema.json')
+  .requiredOption('--lang <lang>', 'Target language (ts, go, python, java)')
+  .option('--config-dir <dir>', 'Configuration directory', './config')
+  .option('--schema <file>', 'Schema file path (default: <config-dir>/align.schema.json)')
+  .option('--out <dir>', 'Output directory', './generated')
+  .option('--name <name>', 'Base name of the generated files', 'config')
+  .option('--package <name>', 'Go package or Java package for the generated code')
+  .option('--style <style>', 'Python model style (pydantic, dataclass)', 'pydantic')
+  .option('--duration-unit <unit>', 'Type durations as numbers, matching build --duration-unit (go, python, java)')
+  .option('--bytes-unit <unit>', 'Type byte sizes as numbers, matching build --bytes-unit (go, python, java)')
+  .action((options) => {
+    try {
+      const configDir = path.resolve(options.configDir);
+      const schemaPath = options.schema ? path.resolve(options.schema) : path.join(configDir, 'align.schema.json');
+      const outDir = path.resolve(options.out);
+
+      const schema = loadSchema(schemaPath);
+      if (!schema) {
+        console.error(chalk.red(`❌ Schema not found: ${schemaPath}`));
+        process.exit(1);
+      }
+
+      const environments = fs.existsSync(configDir) ? discoverEnvironments(configDir) : [];
+
+      console.log(chalk.blue(`🧬 Generating ${options.lang} bindings...`));
+      console.log(chalk.gray(`📋 Schema: ${schemaPath}`));
+
+      const files = generateCode(options.lang, schema, {
+        name: options.name,
+        package: options.package,
+        style: options.style,
+        durationUnit: options.durationUnit,
+        bytesUnit: options.bytesUnit,
+        environments,
+        schemaFile: path.relative(process.cwd(), schemaPath).split(path.sep).join('/'),
+        configDir: path.relative(outDir, configDir).split(path.sep).join('/') || '.'
+      });
+
+      fs.mkdirSync(outDir, { recursive: true });
+      for (const file of files) {
+        const target = path.join(outDir, file.file);
+        fs.writeFileSync(target, file.content);
+        console.log(chalk.green(`✅ Wrote ${path.relative(process.cwd(), target)}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Error generating code:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // INTERACTIVE COMMANDS
 program
   .command('setup')
@@ -2722,50 +3359,43 @@ program
   .option('--env <environment>', 'Environment to edit (when not interactive)')
   .option('--key <key>', 'Key to edit (when not interactive)')
   .option('--value <value>', 'New value (when not interactive)')
+  .option('--config-dir <dir>', 'Configuration directory', './config')
+  .option('--override-lock <reason>', 'Write even if the environment is locked; the reason is recorded in .align/audit.log')
   .action(async (options) => {
     try {
       if (options.interactive === 'false' || options.interactive === false) {
         // Fall back to command-line edit
         const env = options.env || 'dev';
         const key = options.key;
-        const value = options.value;
         
-        if (!key || value === undefined) {
+        if (!key || options.value === undefined) {
           console.error(chalk.red('❌ --key and --value are required in non-interactive mode'));
           process.exit(1);
         }
+
+        // Type the value as the schema declares it (or as an .align literal)
+        const configDir = path.resolve(options.configDir);
+        const schema = loadSchema(path.join(configDir, 'align.schema.json'));
+        const { value, warning } = coerceValue(options.value, getSchemaFields(schema)[key]);
+        if (warning) {
+          console.log(chalk.yellow(`⚠️  ${key}: ${warning}`));
+        }
         
-        // Use existing edit logic
-        const configPath = path.join('./config', `${env}.align`);
+        const configPath = path.join(configDir, `${env}.align`);
         if (!fs.existsSync(configPath)) {
           console.error(chalk.red(`❌ Config file not found: ${configPath}`));
           process.exit(1);
         }
         
-        const content = fs.readFileSync(configPath, 'utf8');
-        const lines = content.split('\n');
-        let updated = false;
-        
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i];
-          if (line.trim().startsWith(`${key} =`)) {
-            lines[i] = `${key} = ${JSON.stringify(value)}`;
-            updated = true;
-            break;
-          }
-        }
-        
-        if (!updated) {
-          lines.push(`${key} = ${JSON.stringify(value)}`);
-        }
-        
-        fs.writeFileSync(configPath, lines.join('\n'));
+        // Same path as align set: validated and lock-checked, only the key's own line changes
+        const { overridden } = editConfigKey(configDir, env, { set: key, value }, { schema, lockOverride: lockOverride(options, 'wizard') });
+        displayLockOverrides(overridden);
         console.log(chalk.green(`✅ Updated ${key} = ${JSON.stringify(value)} in ${env}.align`));
       } else {
-        await interactiveEdit();
+        await interactiveEdit(options.configDir, lockOverride(options, 'wizard'));
       }
     } catch (error) {
-      console.error(chalk.red('❌ Error during edit:'), error.message);
+      displayAlignError('❌ Error during edit:', error);
       process.exit(1);
     }
   });
@@ -2925,12 +3555,11 @@ async function interactiveInit() {
   console.log(chalk.gray('  3. Run "align build" to generate output files'));
 }
 
-async function interactiveEdit() {
+async function interactiveEdit(configDir = './config', override = null) {
   console.log(chalk.blue('📝 Interactive Configuration Editor'));
   console.log('');
   
   // Check if config exists
-  const configDir = './config';
   if (!fs.existsSync(configDir)) {
     console.log(chalk.red('❌ No configuration found. Run "align init" first.'));
     return;
@@ -2938,7 +3567,7 @@ async function interactiveEdit() {
   
   // Get available environments
   const envFiles = fs.readdirSync(configDir).filter(file => 
-    file.endsWith('.align') && file !== 'base.align'
+    file.endsWith('.align') && file !== 'base.align' && !file.startsWith('.')
   );
   
   if (envFiles.length === 0) {
@@ -3016,25 +3645,11 @@ async function interactiveEdit() {
       }
     ]);
     
-    // Update config
-    const lines = content.split('\n');
-    let updated = false;
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      if (line.trim().startsWith(`${keyResponse.key} =`)) {
-        lines[i] = `${keyResponse.key} = ${JSON.stringify(valueResponse.value)}`;
-        updated = true;
-        break;
-      }
-    }
-    
-    if (!updated) {
-      lines.push(`${keyResponse.key} = ${JSON.stringify(valueResponse.value)}`);
-    }
-    
-    fs.writeFileSync(envPath, lines.join('\n'));
-    console.log(chalk.green(`✅ Updated ${keyResponse.key} = ${JSON.stringify(valueResponse.value)} in ${responses.environment}.align`));
+    // Update config, typed by the schema and validated like align set
+    const schema = loadSchema(path.join(configDir, 'align.schema.json'));
+    const { value } = coerceValue(valueResponse.value, getSchemaFields(schema)[keyResponse.key]);
+    displayLockOverrides(editConfigKey(configDir, responses.environment, { set: keyResponse.key, value }, { schema, lockOverride: override }).overridden);
+    console.log(chalk.green(`✅ Updated ${keyResponse.key} = ${JSON.stringify(value)} in ${responses.environment}.align`));
   }
   
   if (responses.action === 'remove') {
@@ -3048,10 +3663,8 @@ async function interactiveEdit() {
       }
     ]);
     
-    const lines = content.split('\n');
-    const filteredLines = lines.filter(line => !line.trim().startsWith(`${keyResponse.key} =`));
-    
-    fs.writeFileSync(envPath, filteredLines.join('\n'));
+    const schema = loadSchema(path.join(configDir, 'align.schema.json'));
+    displayLockOverrides(editConfigKey(configDir, responses.environment, { remove: keyResponse.key }, { schema, lockOverride: override }).overridden);
     console.log(chalk.green(`✅ Removed ${keyResponse.key} from ${responses.environment}.align`));
   }
 }
@@ -3152,25 +3765,12 @@ program
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
-      const baseConfigPath = path.join(configDir, 'base.align');
-      const envConfigPath = path.join(configDir, `${options.env}.align`);
       
-      // Load configurations
-      let baseConfig = {};
-      let envConfig = {};
-      
-      if (fs.existsSync(baseConfigPath)) {
-        const baseContent = fs.readFileSync(baseConfigPath, 'utf8');
-        baseConfig = parseAlign(baseContent);
-      }
-      
-      if (fs.existsSync(envConfigPath)) {
-        const envContent = fs.readFileSync(envConfigPath, 'utf8');
-        envConfig = parseAlign(envContent);
-      }
+      // Load configurations (base, inherited environments, then the environment itself)
+      const layers = loadEnvironmentLayers(configDir, options.env, { optional: true });
       
       // Merge configurations
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = mergeLayers(layers);
       
       // Generate module-specific config
       const result = generateModuleConfig(mergedConfig, options.module, options.env, configDir);
@@ -3270,25 +3870,12 @@ program
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
-      const baseConfigPath = path.join(configDir, 'base.align');
-      const envConfigPath = path.join(configDir, `${options.env}.align`);
       
-      // Load configurations
-      let baseConfig = {};
-      let envConfig = {};
-      
-      if (fs.existsSync(baseConfigPath)) {
-        const baseContent = fs.readFileSync(baseConfigPath, 'utf8');
-        baseConfig = parseAlign(baseContent);
-      }
-      
-      if (fs.existsSync(envConfigPath)) {
-        const envContent = fs.readFileSync(envConfigPath, 'utf8');
-        envConfig = parseAlign(envContent);
-      }
+      // Load configurations (base, inherited environments, then the environment itself)
+      const layers = loadEnvironmentLayers(configDir, options.env, { optional: true });
       
       // Merge configurations
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = mergeLayers(layers);
       
       // Validate module config
       const result = validateModuleConfig(mergedConfig, options.module, options.env, configDir);
@@ -3422,6 +4009,9 @@ program
         /jwt_secret/i, /session_secret/i, /encryption_key/i
       ];
       
+      // An existing schema types the values of the keys it declares
+      const existingSchema = loadSchema(path.join(configDir, 'align.schema.json'));
+
       // Read all .env files
       for (const envFile of envFiles) {
         const envPath = path.resolve(envFile);
@@ -3432,7 +4022,8 @@ program
         
         console.log(chalk.blue(`📁 Reading: ${envFile}`));
         const content = fs.readFileSync(envPath, 'utf8');
-        const envVars = parseEnvFile(content);
+        const { values: envVars, warnings } = parseEnvFile(content, existingSchema);
+        displayCoercionWarnings(warnings);
         
         // Filter sensitive fields based on options
         const filteredEnvVars = {};
@@ -3562,25 +4153,12 @@ program
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
-      const baseConfigPath = path.join(configDir, 'base.align');
-      const envConfigPath = path.join(configDir, `${options.env}.align`);
-      
-      // Load configurations
-      let baseConfig = {};
-      let envConfig = {};
       
-      if (fs.existsSync(baseConfigPath)) {
-        const baseContent = fs.readFileSync(baseConfigPath, 'utf8');
-        baseConfig = parseAlign(baseContent);
-      }
-      
-      if (fs.existsSync(envConfigPath)) {
-        const envContent = fs.readFileSync(envConfigPath, 'utf8');
-        envConfig = parseAlign(envContent);
-      }
+      // Load configurations (base, inherited environments, then the environment itself)
+      const layers = loadEnvironmentLayers(configDir, options.env, { optional: true });
       
       // Merge configurations
-      let mergedConfig = mergeConfigs(baseConfig, envConfig);
+      let mergedConfig = mergeLayers(layers);
       
       // Apply service-specific configuration
       if (options.service) {
@@ -3595,6 +4173,14 @@ program
           failOnMissing: true
         });
       }
+
+      // Type secret values by the schema
+      const schema = loadSchema(path.join(configDir, 'align.schema.json'));
+      if (schema) {
+        const coercion = coerceConfig(mergedConfig, schema);
+        mergedConfig = coercion.config;
+        displayCoercionWarnings(coercion.warnings);
+      }
       
       // Generate output
       let output;
@@ -3632,25 +4218,12 @@ program
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
-      const baseConfigPath = path.join(configDir, 'base.align');
-      const envConfigPath = path.join(configDir, `${options.env}.align`);
-      
-      // Load configurations
-      let baseConfig = {};
-      let envConfig = {};
-      
-      if (fs.existsSync(baseConfigPath)) {
-        const baseContent = fs.readFileSync(baseConfigPath, 'utf8');
-        baseConfig = parseAlign(baseContent);
-      }
       
-      if (fs.existsSync(envConfigPath)) {
-        const envContent = fs.readFileSync(envConfigPath, 'utf8');
-        envConfig = parseAlign(envContent);
-      }
+      // Load configurations (base, inherited environments, then the environment itself)
+      const layers = loadEnvironmentLayers(configDir, options.env, { optional: true });
       
       // Merge configurations
-      let mergedConfig = mergeConfigs(baseConfig, envConfig);
+      let mergedConfig = mergeLayers(layers);
       
       // Apply service-specific configuration
       if (options.service) {
@@ -3777,25 +4350,12 @@ program
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
-      const baseConfigPath = path.join(configDir, 'base.align');
-      const envConfigPath = path.join(configDir, `${options.env}.align`);
-      
-      // Load configurations
-      let baseConfig = {};
-      let envConfig = {};
       
-      if (fs.existsSync(baseConfigPath)) {
-        const baseContent = fs.readFileSync(baseConfigPath, 'utf8');
-        baseConfig = parseAlign(baseContent);
-      }
-      
-      if (fs.existsSync(envConfigPath)) {
-        const envContent = fs.readFileSync(envConfigPath, 'utf8');
-        envConfig = parseAlign(envContent);
-      }
+      // Load configurations (base, inherited environments, then the environment itself)
+      const layers = loadEnvironmentLayers(configDir, options.env, { optional: true });
       
       // Merge configurations
-      let mergedConfig = mergeConfigs(baseConfig, envConfig);
+      let mergedConfig = mergeLayers(layers);
       
       // Apply service-specific configuration
       if (options.service) {
@@ -3841,25 +4401,12 @@ program
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
-      const baseConfigPath = path.join(configDir, 'base.align');
-      const envConfigPath = path.join(configDir, `${options.env}.align`);
-      
-      // Load configurations
-      let baseConfig = {};
-      let envConfig = {};
       
-      if (fs.existsSync(baseConfigPath)) {
-        const baseContent = fs.readFileSync(baseConfigPath, 'utf8');
-        baseConfig = parseAlign(baseContent);
-      }
-      
-      if (fs.existsSync(envConfigPath)) {
-        const envContent = fs.readFileSync(envConfigPath, 'utf8');
-        envConfig = parseAlign(envContent);
-      }
+      // Load configurations (base, inherited environments, then the environment itself)
+      const layers = loadEnvironmentLayers(configDir, options.env, { optional: true });
       
       // Merge configurations
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = mergeLayers(layers);
       
       // Create share
       const share = createEnvironmentShare(options.env, mergedConfig, options.with, options.permissions);
@@ -3883,25 +4430,12 @@ program
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
-      const baseConfigPath = path.join(configDir, 'base.align');
-      const envConfigPath = path.join(configDir, `${options.env}.align`);
-      
-      // Load configurations
-      let baseConfig = {};
-      let envConfig = {};
-      
-      if (fs.existsSync(baseConfigPath)) {
-        const baseContent = fs.readFileSync(baseConfigPath, 'utf8');
-        baseConfig = parseAlign(baseContent);
-      }
       
-      if (fs.existsSync(envConfigPath)) {
-        const envContent = fs.readFileSync(envConfigPath, 'utf8');
-        envConfig = parseAlign(envContent);
-      }
+      // Load configurations (base, inherited environments, then the environment itself)
+      const layers = loadEnvironmentLayers(configDir, options.env, { optional: true });
       
       // Merge configurations
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = mergeLayers(layers);
       
       // Create review
       const review = createEnvironmentReview(options.env, mergedConfig, options.reviewer, options.type);
@@ -3917,36 +4451,42 @@ program
 
 program
   .command('lock')
-  .description('Lock environment to prevent changes')
-  .requiredOption('--env <environment>', 'Environment to lock')
-  .requiredOption('--reason <reason>', 'Reason for locking')
+  .description('Lock an environment: commands that write its config refuse until it is unlocked or expires')
+  .option('--env <environment>', 'Environment to lock')
+  .option('--reason <reason>', 'Reason for locking')
   .option('--duration <duration>', 'Lock duration (e.g., 2h, 1d, 30m)', '2h')
+  .option('--status', 'List the active locks (for --env only, if given)')
   .option('--config-dir <dir>', 'Configuration directory (default: ./config)', './config')
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
-      const baseConfigPath = path.join(configDir, 'base.align');
-      const envConfigPath = path.join(configDir, `${options.env}.align`);
-      
-      // Load configurations
-      let baseConfig = {};
-      let envConfig = {};
-      
-      if (fs.existsSync(baseConfigPath)) {
-        const baseContent = fs.readFileSync(baseConfigPath, 'utf8');
-        baseConfig = parseAlign(baseContent);
+
+      if (options.status) {
+        const locks = listEnvironmentLocks(configDir).filter(lock => !options.env || lock.environment === options.env);
+        if (locks.length === 0) {
+          console.log(chalk.green(`🔓 ${options.env ? `${options.env} is not locked` : 'No environments are locked'}`));
+          return;
+        }
+        console.log(chalk.blue('🔒 Active locks:'));
+        for (const lock of locks) {
+          const minutes = Math.ceil((Date.parse(lock.expiresAt) - Date.now()) / 60000);
+          const remaining = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+          console.log(chalk.yellow(`  ${lock.environment}`) + chalk.gray(` locked by ${lock.lockedBy}: ${lock.reason}`));
+          console.log(chalk.gray(`    expires ${new Date(lock.expiresAt).toLocaleString()} (in ${remaining})`));
+        }
+        return;
       }
-      
-      if (fs.existsSync(envConfigPath)) {
-        const envContent = fs.readFileSync(envConfigPath, 'utf8');
-        envConfig = parseAlign(envContent);
+
+      if (!options.env || !options.reason) {
+        console.error(chalk.red('❌ Error: --env and --reason are required (or use --status)'));
+        process.exit(1);
       }
       
-      // Merge configurations
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      // The environment must load (base, inherited environments, then the environment itself)
+      loadEnvironmentLayers(configDir, options.env, { optional: true });
       
       // Lock environment
-      const lock = lockEnvironment(options.env, 'current-user', options.reason, options.duration);
+      const lock = lockEnvironment(options.env, currentUser(), options.reason, options.duration, configDir);
       
       console.log(chalk.green('✅ Environment locked successfully'));
       console.log(chalk.blue(`⏰ Expires: ${new Date(lock.expiresAt).toLocaleString()}`));
@@ -3965,9 +4505,10 @@ program
   .action(async (options) => {
     try {
       // Unlock environment
-      const unlock = unlockEnvironment(options.env, 'current-user');
+      const unlock = unlockEnvironment(options.env, currentUser(), path.resolve(options.configDir));
       
       console.log(chalk.green('✅ Environment unlocked successfully'));
+      console.log(chalk.gray(`🔒 It was locked by ${unlock.lock.lockedBy}: ${unlock.lock.reason}`));
       
     } catch (error) {
       console.error(chalk.red('❌ Error unlocking environment:'), error.message);
@@ -4012,9 +4553,7 @@ program
       }
 
       // Load and merge configuration
-      const baseConfig = await loadConfig(path.join(configDir, 'base.align'), false);
-      const envConfig = await loadConfig(path.join(configDir, `${env}.align`), false);
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = await loadEnvironmentConfig(configDir, env);
 
       // Generate SOC 2 checklist
       const soc2Result = generateSOC2Checklist(mergedConfig, env, {
@@ -4097,9 +4636,7 @@ program
       }
 
       // Load and merge configuration
-      const baseConfig = await loadConfig(path.join(configDir, 'base.align'), false);
-      const envConfig = await loadConfig(path.join(configDir, `${env}.align`), false);
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = await loadEnvironmentConfig(configDir, env);
 
       // Generate SOC 2 checklist
       const soc2Result = generateSOC2Checklist(mergedConfig, env, {
@@ -4151,6 +4688,7 @@ program
   .option('--auto', 'Automatically apply all safe fixes')
   .option('--interactive', 'Ask for confirmation before each fix')
   .option('--backup', 'Create backup before making changes', true)
+  .option('--override-lock <reason>', 'Write even if the environment is locked; the reason is recorded in .align/audit.log')
   .action(async (options) => {
     try {
       const configDir = path.resolve(options.configDir);
@@ -4159,6 +4697,10 @@ program
       console.log(chalk.blue(`🔧 SOC 2 Compliance Fix: ${env} environment`));
       console.log(chalk.gray(`📁 Config directory: ${configDir}\n`));
 
+      if (!options.dryRun && (options.auto || options.interactive)) {
+        ensureUnlocked(configDir, [env], options, 'soc2-fix');
+      }
+
       // Load schema if provided
       let schema = null;
       if (options.schema) {
@@ -4177,9 +4719,7 @@ program
       }
 
       // Load and merge configuration
-      const baseConfig = await loadConfig(path.join(configDir, 'base.align'), false);
-      const envConfig = await loadConfig(path.join(configDir, `${env}.align`), false);
-      const mergedConfig = mergeConfigs(baseConfig, envConfig);
+      const mergedConfig = await loadEnvironmentConfig(configDir, env);
 
       // Generate SOC 2 checklist
       const soc2Result = generateSOC2Checklist(mergedConfig, env, {
@@ -4388,10 +4928,7 @@ async function applySOC2Fixes(fixes, configDir, environment, options = {}) {
     try {
       // Apply the fix based on type
       const result = await applySOC2Fix(fix, configDir, environment, options);
-      results.applied.push({
-        ...fix,
-        result
-      });
+      recordSOC2FixResult(results, fix, result);
     } catch (error) {
       results.errors.push({
         ...fix,
@@ -4403,6 +4940,15 @@ async function applySOC2Fixes(fixes, configDir, environment, options = {}) {
   return results;
 }
 
+// Controls with no automatic change are reported as skipped rather than applied
+function recordSOC2FixResult(results, fix, result) {
+  if (result.status === 'manual') {
+    results.skipped.push({ ...fix, reason: result.message });
+  } else {
+    results.applied.push({ ...fix, result });
+  }
+}
+
 async function applySOC2FixesInteractive(fixes, configDir, environment, options = {}) {
   const results = {
     applied: [],
@@ -4423,10 +4969,7 @@ async function applySOC2FixesInteractive(fixes, configDir, environment, options
     if (answer.apply) {
       try {
         const result = await applySOC2Fix(fix, configDir, environment, options);
-        results.applied.push({
-          ...fix,
-          result
-        });
+        recordSOC2FixResult(results, fix, result);
       } catch (error) {
         results.errors.push({
           ...fix,
@@ -4444,13 +4987,43 @@ async function applySOC2FixesInteractive(fixes, configDir, environment, options
   return results;
 }
 
+// Keys soc2-fix adds for the controls that configuration alone can satisfy. Only keys the
+// bundled templates and examples define and the control's check looks for; other controls are manual.
+const SOC2_FIX_SETTINGS = {
+  audit_logging: { log_level: 'info', audit_logging_enabled: true },
+  uptime_monitoring: { monitoring_enabled: true, monitoring_alerting_enabled: true }
+};
+
+// Add the control's missing keys to the environment file through AlignDocument. The file
+// is backed up to <env>.align.bak before the first change of a run when options.backup.
 async function applySOC2Fix(fix, configDir, environment, options = {}) {
-  // This would implement specific fix logic based on fix type
-  // For now, return a placeholder result
+  const settings = SOC2_FIX_SETTINGS[fix.control];
+  if (!settings) {
+    return {
+      status: 'manual',
+      message: `No automatic change for ${fix.control}: ${fix.recommendations[0]}`,
+      changes: []
+    };
+  }
+
+  const config = await loadEnvironmentConfig(configDir, environment);
+  const changes = Object.entries(settings)
+    .filter(([key]) => !(key in config))
+    .map(([key, value]) => ({ set: key, value }));
+
+  const envPath = path.join(configDir, `${environment}.align`);
+  if (changes.length > 0 && options.backup && !options.backedUp && fs.existsSync(envPath)) {
+    fs.copyFileSync(envPath, `${envPath}.bak`);
+    options.backedUp = true;
+  }
+  applyConfigEdits(configDir, environment, changes, { target: 'environment' });
+
   return {
     status: 'applied',
-    message: `Applied ${fix.fix_type} fix for ${fix.control}`,
-    changes: []
+    message: changes.length > 0
+      ? `Set ${changes.map(change => `${change.set} = ${JSON.stringify(change.value)}`).join(', ')} in ${environment}.align`
+      : `Nothing to change for ${fix.control}`,
+    changes
   };
 }
 
@@ -1,7 +1,49 @@
 // lib.js - Align library for direct import into Node.js applications
-const { parseAlign, validateConfig, mergeConfigs, loadSchema } = require('./parser');
+const {
+  validateConfig,
+  collectValidationIssues,
+  createValidationError,
+  loadAlignFile,
+  loadEnvironmentLayers,
+  mergeLayers,
+  traceConfigKey,
+  createDefaultsLayer,
+  SCHEMA_DEFAULTS_LAYER,
+  createEnvOverridesLayer,
+  ENV_OVERRIDES_LAYER,
+  listEnvironmentFiles,
+  listEnvironmentGlobs,
+  watchFiles,
+  coerceValue,
+  getSchemaFields,
+  parseDurationValue,
+  verifyEmbeddedArtifact,
+  AlignValidationError,
+  AlignDocument,
+  loadSchema
+} = require('./parser');
 const fs = require('fs');
 const path = require('path');
+const { isDeepStrictEqual } = require('util');
+
+// Keys whose values differ between two configs: 'added', 'removed' or 'changed'
+function diffConfigs(before, after) {
+  const allKeys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  for (const key of allKeys) {
+    if (!isDeepStrictEqual(before[key], after[key])) {
+      changes.push({
+        key,
+        oldValue: before[key],
+        newValue: after[key],
+        type: before[key] === undefined ? 'added' : after[key] === undefined ? 'removed' : 'changed'
+      });
+    }
+  }
+
+  return changes;
+}
 
 class Align {
   constructor(configDir = './config') {
@@ -12,53 +54,227 @@ class Align {
 
   loadSchema() {
     const schemaPath = path.join(this.configDir, 'align.schema.json');
+    this.schemaPath = schemaPath;
     this.schema = loadSchema(schemaPath);
   }
 
+  // Prepend the schema's `default` values as the lowest-priority layer
+  withDefaults(layers, options = {}) {
+    const defaults = options.defaults === false ? null : createDefaultsLayer(this.schema, this.schemaPath);
+    return defaults ? [defaults, ...layers] : layers;
+  }
+
+  // Append ALIGN__* environment variables as the highest-priority layer when
+  // options.envOverrides is true or { prefix, separator, env }
+  withEnvOverrides(layers, options = {}) {
+    if (!options.envOverrides) {
+      return layers;
+    }
+    const naming = options.envOverrides === true ? {} : options.envOverrides;
+    const keys = layers.flatMap(layer => Object.keys(layer.config));
+    const overrides = createEnvOverridesLayer(this.schema, { ...naming, keys });
+    return overrides ? [...layers, overrides] : layers;
+  }
+
   /**
    * Load configuration for a specific environment
+   * Environments may inherit from others with `extends = "prod"`; layers merge
+   * base first, then each parent, then the environment itself.
+   * Keys missing from every file take the schema's `default`.
    * @param {string} environment - Environment name (e.g., 'dev', 'prod')
+   * @param {Object} [options]
+   * @param {boolean} [options.defaults=true] - Set to false to skip schema defaults
+   * @param {boolean|Object} [options.envOverrides] - Apply ALIGN__DATABASE__POOL__MAX style
+   *   environment variables last; pass { prefix, separator, env } to change the naming or
+   *   read from an object other than process.env
    * @returns {Object} Merged configuration object
+   * @throws {AlignSyntaxError} If a file cannot be parsed (with file, line, column and code frame)
+   * @throws {AlignValidationError} If validation fails (each error carries its source location)
    */
-  load(environment) {
-    const basePath = path.join(this.configDir, 'base.align');
-    const envPath = path.join(this.configDir, `${environment}.align`);
+  load(environment, options = {}) {
+    const layers = this.withEnvOverrides(this.withDefaults(loadEnvironmentLayers(this.configDir, environment), options), options);
+    const sources = layers.flatMap(layer => layer.sources);
+    const defaults = layers[0].name === SCHEMA_DEFAULTS_LAYER ? layers[0].config : {};
 
-    // Check if files exist
-    if (!fs.existsSync(basePath)) {
-      throw new Error(`Base config not found: ${basePath}`);
-    }
-    if (!fs.existsSync(envPath)) {
-      throw new Error(`Environment config not found: ${envPath}`);
+    // Validate each file on its own (keys with a default need not be set in base.align)
+    for (const layer of layers.filter(layer => layer.name !== SCHEMA_DEFAULTS_LAYER)) {
+      const isBase = layer.name === 'base';
+      const config = isBase ? { ...defaults, ...layer.config } : layer.config;
+      const issues = collectValidationIssues(config, isBase, this.schema, { rules: false });
+      if (issues.length > 0) {
+        const title = isBase ? 'Base config validation failed'
+          : layer.name === ENV_OVERRIDES_LAYER ? 'Environment variable override validation failed'
+            : 'Environment config validation failed';
+        throw createValidationError(title, issues, layer.sources);
+      }
     }
 
-    // Load and parse configs
-    const baseContent = fs.readFileSync(basePath, 'utf-8');
-    const envContent = fs.readFileSync(envPath, 'utf-8');
+    // Merge and validate final config (the merged result must be complete)
+    const mergedConfig = mergeLayers(layers, this.schema);
+    const mergedIssues = collectValidationIssues(mergedConfig, true, this.schema);
     
-    const baseConfig = parseAlign(baseContent);
-    const envConfig = parseAlign(envContent);
+    if (mergedIssues.length > 0) {
+      throw createValidationError('Merged config validation failed', mergedIssues, sources);
+    }
+
+    // Kept for the accessors (get, getNumber, require, scope, ...)
+    this.loaded = { environment, config: mergedConfig, layers };
+
+    return mergedConfig;
+  }
+
+  /**
+   * Read a key from the last loaded configuration
+   * Dotted keys from blocks (`database.pool.max`) are looked up directly; a path into an
+   * inline object (`limits.cpu` for `limits = { cpu = "500m" }`) is followed as well.
+   * @param {string} key - Dotted configuration key
+   * @param {*} [defaultValue] - Returned when the key is not set
+   * @returns {*} The value, or defaultValue
+   * @throws {Error} If no configuration has been loaded yet
+   */
+  get(key, defaultValue) {
+    const value = this.lookup(key);
+    return value === undefined ? defaultValue : value;
+  }
+
+  /**
+   * Read a number; numeric strings are converted
+   * @param {string} key - Dotted configuration key
+   * @param {number} [defaultValue] - Returned when the key is not set
+   * @returns {number} The number, or defaultValue
+   * @throws {Error} If the value is not a number (naming the file that set it)
+   */
+  getNumber(key, defaultValue) {
+    return this.getTyped(key, 'number', defaultValue);
+  }
 
-    // Validate configs
-    const baseErrors = validateConfig(baseConfig, true, this.schema);
-    const envErrors = validateConfig(envConfig, false, this.schema);
+  /**
+   * Read a boolean; "true"/"false" strings are converted
+   * @param {string} key - Dotted configuration key
+   * @param {boolean} [defaultValue] - Returned when the key is not set
+   * @returns {boolean} The boolean, or defaultValue
+   * @throws {Error} If the value is not a boolean (naming the file that set it)
+   */
+  getBoolean(key, defaultValue) {
+    return this.getTyped(key, 'boolean', defaultValue);
+  }
 
-    if (baseErrors.length > 0) {
-      throw new Error(`Base config validation failed: ${baseErrors.join(', ')}`);
+  /**
+   * Read a duration (`30s`, `1h30m`, or a number in the schema's `unit`, milliseconds by default)
+   * @param {string} key - Dotted configuration key
+   * @param {string} [unit='ms'] - Unit to return: ms, s, m, h, d or w
+   * @param {number} [defaultValue] - Returned (as is) when the key is not set
+   * @returns {number} The duration in `unit`, or defaultValue
+   * @throws {Error} If the value is not a duration (naming the file that set it)
+   */
+  getDuration(key, unit = 'ms', defaultValue) {
+    const value = this.lookup(key);
+    if (value === undefined) {
+      return defaultValue;
     }
-    if (envErrors.length > 0) {
-      throw new Error(`Environment config validation failed: ${envErrors.join(', ')}`);
+    const rules = getSchemaFields(this.schema)[key] || {};
+    const milliseconds = parseDurationValue(value, rules.unit);
+    if (milliseconds === null) {
+      throw new Error(`Configuration key '${key}' must be a duration, got ${JSON.stringify(value)}${this.describeKeySource(key)}`);
     }
+    return milliseconds / parseDurationValue(1, unit);
+  }
 
-    // Merge and validate final config
-    const mergedConfig = mergeConfigs(baseConfig, envConfig);
-    const mergedErrors = validateConfig(mergedConfig, false, this.schema);
-    
-    if (mergedErrors.length > 0) {
-      throw new Error(`Merged config validation failed: ${mergedErrors.join(', ')}`);
+  /**
+   * Read a key that must be set
+   * @param {string} key - Dotted configuration key
+   * @returns {*} The value
+   * @throws {Error} If the key is not set, naming the environment and the files that were searched
+   */
+  require(key) {
+    const value = this.lookup(key);
+    if (value === undefined) {
+      const files = this.loaded.layers
+        .filter(layer => layer.name !== SCHEMA_DEFAULTS_LAYER)
+        .map(layer => path.relative(process.cwd(), layer.file));
+      throw new Error(`Missing required configuration key '${key}' in environment '${this.loaded.environment}' (searched ${files.join(', ')})`);
     }
+    return value;
+  }
 
-    return mergedConfig;
+  /**
+   * Whether a key is set in the last loaded configuration
+   * @param {string} key - Dotted configuration key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.lookup(key) !== undefined;
+  }
+
+  /**
+   * Accessors for the keys under a block, e.g. `align.scope('redis').get('host')`
+   * reads `redis.host`. Scopes nest: `align.scope('database').scope('pool')`.
+   * @param {string} prefix - Block name (dotted for nested blocks)
+   * @returns {AlignScope}
+   */
+  scope(prefix) {
+    return new AlignScope(this, prefix);
+  }
+
+  // Value for a dotted key: the key itself, else a path into an inline object under
+  // its longest set prefix
+  lookup(key) {
+    const config = this.getLoadedConfig();
+    if (Object.prototype.hasOwnProperty.call(config, key)) {
+      return config[key];
+    }
+    const parts = key.split('.');
+    for (let i = parts.length - 1; i > 0; i--) {
+      let value = config[parts.slice(0, i).join('.')];
+      for (const part of parts.slice(i)) {
+        value = value !== null && typeof value === 'object' && !Array.isArray(value) ? value[part] : undefined;
+      }
+      if (value !== undefined) {
+        return value;
+      }
+    }
+    return undefined;
+  }
+
+  getLoadedConfig() {
+    if (!this.loaded) {
+      throw new Error('No configuration loaded: call load(environment) first');
+    }
+    return this.loaded.config;
+  }
+
+  getTyped(key, type, defaultValue) {
+    const value = this.lookup(key);
+    if (value === undefined) {
+      return defaultValue;
+    }
+    const coerced = coerceValue(value, { type }).value;
+    if (typeof coerced !== type) {
+      throw new Error(`Configuration key '${key}' must be a ${type}, got ${JSON.stringify(value)}${this.describeKeySource(key)}`);
+    }
+    return coerced;
+  }
+
+  // " (set in config/prod.align:12)" for the file and line that set a key, or the schema
+  describeKeySource(key) {
+    const root = key.split('.').reduce((found, part, index, parts) => {
+      const candidate = parts.slice(0, index + 1).join('.');
+      return found || (Object.prototype.hasOwnProperty.call(this.loaded.config, candidate) ? candidate : null);
+    }, null) || key;
+    const step = traceConfigKey(this.loaded.layers, root, this.schema).steps
+      .filter(step => step.value !== undefined)
+      .pop();
+    if (!step) {
+      return '';
+    }
+    if (step.name === SCHEMA_DEFAULTS_LAYER) {
+      return ` (schema default in ${path.relative(process.cwd(), step.file)})`;
+    }
+    if (step.name === ENV_OVERRIDES_LAYER) {
+      return ` (set by environment variable ${step.origin.variable})`;
+    }
+    const origin = step.origin || { file: step.file };
+    return ` (set in ${path.relative(process.cwd(), origin.file)}${origin.line ? `:${origin.line}` : ''})`;
   }
 
   /**
@@ -74,34 +290,63 @@ class Align {
       throw new Error(`File not found: ${filePath}`);
     }
 
-    const content = fs.readFileSync(absPath, 'utf-8');
-    const parsed = parseAlign(content);
+    const { config } = loadAlignFile(absPath);
     
-    return validateConfig(parsed, isBaseConfig, this.schema);
+    return validateConfig(config, isBaseConfig, this.schema);
+  }
+
+  /**
+   * Check a file written by `align build --embed-schema` before using it: the content hash
+   * must match (it was not edited after the build) and the config must still satisfy the
+   * embedded schema. Needs no config directory, so services can call it at startup.
+   * @param {string} filePath - Path to the built JSON artifact
+   * @returns {Object} The verified configuration
+   * @throws {AlignValidationError} When the file was tampered with or fails validation
+   */
+  static verify(filePath) {
+    const absPath = path.resolve(filePath);
+    if (!fs.existsSync(absPath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    let artifact;
+    try {
+      artifact = JSON.parse(fs.readFileSync(absPath, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Invalid JSON in ${filePath}: ${err.message}`);
+    }
+    const issues = verifyEmbeddedArtifact(artifact);
+    if (issues.length > 0) {
+      throw new AlignValidationError(`Verification failed for ${filePath}`, issues.map(issue => ({ ...issue, file: filePath })));
+    }
+    return artifact.config;
   }
 
   /**
    * Get configuration metadata (what was overridden, etc.)
    * @param {string} environment - Environment name
-   * @returns {Object} Metadata about the configuration
+   * @param {Object} [options] - { envOverrides } as for load()
+   * @returns {Object} Metadata about the configuration, including the inheritance chain,
+   *   the keys filled in from schema defaults and the source of every merged key
    */
-  getMetadata(environment) {
-    const basePath = path.join(this.configDir, 'base.align');
-    const envPath = path.join(this.configDir, `${environment}.align`);
-
-    const baseContent = fs.readFileSync(basePath, 'utf-8');
-    const envContent = fs.readFileSync(envPath, 'utf-8');
-    
-    const baseConfig = parseAlign(baseContent);
-    const envConfig = parseAlign(envContent);
-    const mergedConfig = mergeConfigs(baseConfig, envConfig);
+  getMetadata(environment, options = {}) {
+    const layers = this.withEnvOverrides(this.withDefaults(loadEnvironmentLayers(this.configDir, environment, { optional: true })), options);
+    const { baseConfig, envConfig } = this.getLayerConfigs(layers, environment);
+    const mergedConfig = mergeLayers(layers, this.schema);
+    const sources = {};
+    for (const key of Object.keys(mergedConfig)) {
+      sources[key] = this.getKeySource(layers.filter(layer => Object.prototype.hasOwnProperty.call(layer.config, key)));
+    }
 
     return {
       environment,
+      chain: layers.map(layer => layer.name),
       baseKeys: Object.keys(baseConfig),
       envKeys: Object.keys(envConfig),
       mergedKeys: Object.keys(mergedConfig),
       overriddenKeys: Object.keys(envConfig),
+      defaultKeys: Object.keys(sources).filter(key => sources[key] === SCHEMA_DEFAULTS_LAYER),
+      sources,
       baseConfig,
       envConfig,
       mergedConfig
@@ -112,41 +357,43 @@ class Align {
    * Trace where a configuration value came from
    * @param {string} key - Configuration key to trace
    * @param {string} environment - Environment name
-   * @returns {Object} Trace information
+   * @param {Object} [options] - { envOverrides } as for load()
+   * @returns {Object} Trace information; `chain` lists every layer with the value it
+   *   contributed and how it was merged, `interpolation` (or null) the template and
+   *   references behind an interpolated value. A key set by an environment variable has
+   *   source 'process-env' and names it in `variable`.
    */
-  explain(key, environment) {
-    const basePath = path.join(this.configDir, 'base.align');
-    const envPath = path.join(this.configDir, `${environment}.align`);
-
-    const baseContent = fs.readFileSync(basePath, 'utf-8');
-    const envContent = fs.readFileSync(envPath, 'utf-8');
-    
-    const baseConfig = parseAlign(baseContent);
-    const envConfig = parseAlign(envContent);
-    const mergedConfig = mergeConfigs(baseConfig, envConfig);
-
-    const finalValue = mergedConfig[key];
-    const baseValue = baseConfig[key];
-    const envValue = envConfig[key];
+  explain(key, environment, options = {}) {
+    const layers = this.withEnvOverrides(this.withDefaults(loadEnvironmentLayers(this.configDir, environment, { optional: true })), options);
+    const trace = traceConfigKey(layers, key, this.schema);
+    const finalValue = trace.finalValue;
 
     if (finalValue === undefined) {
       throw new Error(`Key '${key}' not found in configuration`);
     }
 
+    const { baseConfig, envConfig } = this.getLayerConfigs(layers, environment);
+    const baseValue = baseConfig[key];
+    const envValue = envConfig[key];
+    const definedIn = trace.steps.filter(step => step.value !== undefined);
+    const envStep = definedIn.find(step => step.name === ENV_OVERRIDES_LAYER);
+    const fromLayers = definedIn.filter(step => step.name !== ENV_OVERRIDES_LAYER);
+    // A schema default only counts as the source when no file sets the key
+    const fromFiles = fromLayers.length > 1 ? fromLayers.filter(step => step.name !== SCHEMA_DEFAULTS_LAYER) : fromLayers;
+
     let source = 'unknown';
     let sourceFile = '';
     let overrideFile = '';
 
-    if (baseValue !== undefined && envValue !== undefined) {
-      source = 'overridden';
-      sourceFile = basePath;
-      overrideFile = envPath;
-    } else if (baseValue !== undefined) {
-      source = 'base';
-      sourceFile = basePath;
-    } else if (envValue !== undefined) {
-      source = 'environment';
-      sourceFile = envPath;
+    if (fromFiles.length > 0) {
+      const first = fromFiles[0];
+      const last = fromFiles[fromFiles.length - 1];
+      source = this.getKeySource(fromFiles);
+      sourceFile = first.origin ? first.origin.file : first.file;
+      overrideFile = last !== first ? (last.origin ? last.origin.file : last.file) : '';
+    }
+    if (envStep) {
+      source = ENV_OVERRIDES_LAYER;
     }
 
     return {
@@ -157,7 +404,40 @@ class Align {
       envValue,
       source,
       sourceFile,
-      overrideFile
+      overrideFile,
+      ...(envStep ? { variable: envStep.origin.variable } : {}),
+      chain: trace.steps.map(step => ({
+        environment: step.name,
+        file: step.file,
+        value: step.value,
+        origin: step.origin,
+        operation: step.operation,
+        result: step.result
+      })),
+      interpolation: trace.interpolation
+    };
+  }
+
+  // 'process-env', 'schema-default', 'base', 'overridden' or 'environment' for the layers
+  // (or trace steps) that set a key, in merge order
+  getKeySource(definedIn) {
+    if (definedIn.some(layer => layer.name === ENV_OVERRIDES_LAYER)) {
+      return ENV_OVERRIDES_LAYER;
+    }
+    const fromFiles = definedIn.filter(layer => layer.name !== SCHEMA_DEFAULTS_LAYER);
+    if (fromFiles.length === 0) {
+      return definedIn.length > 0 ? SCHEMA_DEFAULTS_LAYER : 'unknown';
+    }
+    return fromFiles[0].name !== 'base' ? 'environment' : fromFiles.length > 1 ? 'overridden' : 'base';
+  }
+
+  // Base and environment-own configs from a layer list (missing files count as empty)
+  getLayerConfigs(layers, environment) {
+    const base = layers.find(layer => layer.name === 'base');
+    const env = layers.find(layer => layer.name === environment);
+    return {
+      baseConfig: base ? base.config : {},
+      envConfig: env ? env.config : {}
     };
   }
 
@@ -171,22 +451,12 @@ class Align {
     const config1 = this.load(env1);
     const config2 = this.load(env2);
 
-    const allKeys = new Set([...Object.keys(config1), ...Object.keys(config2)]);
-    const differences = [];
-
-    for (const key of allKeys) {
-      const value1 = config1[key];
-      const value2 = config2[key];
-
-      if (value1 !== value2) {
-        differences.push({
-          key,
-          env1Value: value1,
-          env2Value: value2,
-          type: value1 === undefined ? 'added' : value2 === undefined ? 'removed' : 'changed'
-        });
-      }
-    }
+    const differences = diffConfigs(config1, config2).map(change => ({
+      key: change.key,
+      env1Value: change.oldValue,
+      env2Value: change.newValue,
+      type: change.type
+    }));
 
     return {
       env1,
@@ -195,6 +465,97 @@ class Align {
       hasDifferences: differences.length > 0
     };
   }
+
+  /**
+   * Watch an environment for changes and hot-reload it
+   *
+   * Every layer, included file and the schema is watched, as are the directories of glob
+   * includes (a new matching file is included). On change the configuration is
+   * re-parsed and re-validated; the callback only runs when the result validates and
+   * differs from the last good one.
+   * @param {string} environment - Environment name
+   * @param {Function} callback - Called with (config, changes); changes are
+   *   [{ key, type: 'added'|'removed'|'changed', oldValue, newValue }]
+   * @param {Object} [options]
+   * @param {Function} [options.onError] - Called with the error when a change fails to load or validate
+   * @param {number} [options.debounce=100] - Milliseconds to wait for further changes
+   * @param {boolean} [options.defaults=true] - Set to false to skip schema defaults
+   * @returns {{ close: Function }} Stops watching
+   * @throws {AlignSyntaxError|AlignValidationError} If the configuration is invalid to begin with
+   */
+  watch(environment, callback, options = {}) {
+    let current = this.load(environment, options);
+
+    return watchFiles(() => listEnvironmentFiles(this.configDir, environment, this.schemaPath), () => {
+      try {
+        this.loadSchema();
+        const next = this.load(environment, options);
+        const changes = diffConfigs(current, next);
+        current = next;
+        if (changes.length > 0) {
+          callback(next, changes);
+        }
+      } catch (err) {
+        if (options.onError) {
+          options.onError(err);
+        }
+      }
+    }, { ...options, getGlobs: () => listEnvironmentGlobs(this.configDir, environment) });
+  }
+}
+
+// Accessors relative to a block prefix, returned by Align#scope
+class AlignScope {
+  constructor(align, prefix) {
+    this.align = align;
+    this.prefix = prefix;
+  }
+
+  key(key) {
+    return `${this.prefix}.${key}`;
+  }
+
+  get(key, defaultValue) {
+    return this.align.get(this.key(key), defaultValue);
+  }
+
+  getNumber(key, defaultValue) {
+    return this.align.getNumber(this.key(key), defaultValue);
+  }
+
+  getBoolean(key, defaultValue) {
+    return this.align.getBoolean(this.key(key), defaultValue);
+  }
+
+  getDuration(key, unit, defaultValue) {
+    return this.align.getDuration(this.key(key), unit, defaultValue);
+  }
+
+  require(key) {
+    return this.align.require(this.key(key));
+  }
+
+  has(key) {
+    return this.align.has(this.key(key));
+  }
+
+  scope(prefix) {
+    return new AlignScope(this.align, this.key(prefix));
+  }
+
+  // Every key under the prefix, with the prefix removed ({ host, port } for `redis`)
+  toObject() {
+    const start = `${this.prefix}.`;
+    const result = {};
+    for (const [key, value] of Object.entries(this.align.getLoadedConfig())) {
+      if (key.startsWith(start)) {
+        result[key.slice(start.length)] = value;
+      }
+    }
+    return result;
+  }
 }
 
-module.exports = Align; 
\ No newline at end of file
+module.exports = Align;
+module.exports.AlignScope = AlignScope; 
+module.exports.AlignDocument = AlignDocument;
\ No newline at end of file
@@ -1,4 +1,5 @@
 const Align = require('./lib');
+const { AlignSyntaxError, AlignValidationError, createEmbeddedArtifact } = require('./parser');
 const fs = require('fs');
 const path = require('path');
 
@@ -93,6 +94,195 @@ describe('Align Library', () => {
       expect(() => align.load('dev')).toThrow();
     });
 
+    test('should apply merge directives and schema merge strategies', () => {
+      fs.readFileSync.mockImplementation((path) => {
+        if (path.includes('base.align')) {
+          return 'service_name = "web"\ncors_origins = ["https://a.com"]\ntags = ["web"]\nlegacy = true';
+        }
+        if (path.includes('dev.align')) {
+          return 'cors_origins += ["http://localhost:3000"]\ntags = ["dev"]\nunset legacy';
+        }
+        if (path.includes('schema.json')) {
+          return JSON.stringify({ tags: { type: 'array', merge: 'union' } });
+        }
+        return '';
+      });
+      align = new Align('./config');
+
+      const config = align.load('dev');
+
+      expect(config.cors_origins).toEqual(['https://a.com', 'http://localhost:3000']);
+      expect(config.tags).toEqual(['web', 'dev']);
+      expect(config).not.toHaveProperty('legacy');
+    });
+
+    test('should merge inherited environments in order', () => {
+      fs.existsSync.mockImplementation((path) => /(base|prod|prod-eu)\.align$/.test(path));
+      fs.readFileSync.mockImplementation((path) => {
+        if (path.includes('base.align')) {
+          return 'service_name = "web"\ntimeout = 10\nregion = "none"';
+        }
+        if (path.includes('prod-eu.align')) {
+          return 'extends = "prod"\nregion = "eu"';
+        }
+        if (path.includes('prod.align')) {
+          return 'timeout = 30';
+        }
+        return '';
+      });
+
+      expect(align.load('prod-eu')).toEqual({ service_name: 'web', timeout: 30, region: 'eu' });
+      expect(align.getMetadata('prod-eu').chain).toEqual(['base', 'prod', 'prod-eu']);
+
+      const explanation = align.explain('timeout', 'prod-eu');
+      expect(explanation.source).toBe('overridden');
+      expect(explanation.overrideFile).toContain('prod.align');
+      expect(explanation.chain.map(step => step.environment)).toEqual(['base', 'prod', 'prod-eu']);
+    });
+
+    test('should resolve includes in environment files', () => {
+      fs.existsSync.mockImplementation((path) => /(base|dev|db)\.align$/.test(path));
+      fs.readFileSync.mockImplementation((path) => {
+        if (path.includes('base.align')) {
+          return 'service_name = "web"\ninclude "shared/db.align"';
+        }
+        if (path.includes('db.align')) {
+          return 'db_host = "localhost"\ndb_port = 5432';
+        }
+        if (path.includes('dev.align')) {
+          return 'db_host = "dev-db"';
+        }
+        return '';
+      });
+
+      expect(align.load('dev')).toEqual({ service_name: 'web', db_host: 'dev-db', db_port: 5432 });
+      expect(align.explain('db_port', 'dev').sourceFile).toContain('db.align');
+    });
+
+    test('should interpolate references after merging', () => {
+      fs.readFileSync.mockImplementation((path) => {
+        if (path.includes('base.align')) {
+          return 'service_name = "web"\nhost = "localhost"\nport = 5432\ndatabase_url = "postgres://${host}:${port}/app"';
+        }
+        if (path.includes('prod.align')) {
+          return 'host = "prod-db"';
+        }
+        return '';
+      });
+
+      expect(align.load('prod').database_url).toBe('postgres://prod-db:5432/app');
+      expect(align.explain('database_url', 'prod').interpolation.template).toBe('postgres://${host}:${port}/app');
+    });
+
+    test('should report the source location of validation errors', () => {
+      fs.readFileSync.mockImplementation((path) => {
+        if (path.includes('base.align')) {
+          return 'service_name = "web"';
+        }
+        if (path.includes('dev.align')) {
+          return 'debug = true\ntimeout = "slow"';
+        }
+        if (path.includes('schema.json')) {
+          return JSON.stringify({ timeout: { type: 'number' } });
+        }
+        return '';
+      });
+      align = new Align('./config');
+
+      let error;
+      try {
+        align.load('dev');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(AlignValidationError);
+      expect(error.message).toBe('Environment config validation failed: timeout must be a number, got string');
+      expect(error.errors[0]).toMatchObject({ key: 'timeout', line: 2, column: 11 });
+      expect(error.errors[0].file).toContain('dev.align');
+    });
+
+    test('should evaluate schema rules on the merged config', () => {
+      fs.readFileSync.mockImplementation((path) => {
+        if (path.includes('base.align')) {
+          return 'service_name = "web"\nssl_enabled = true\nmin_pool_size = 20';
+        }
+        if (path.includes('dev.align')) {
+          return 'ssl_cert_path = "/etc/cert.pem"\nmax_pool_size = 10';
+        }
+        if (path.includes('schema.json')) {
+          return JSON.stringify({
+            rules: [
+              { when: 'ssl_enabled == true', required: ['ssl_cert_path'] },
+              'min_pool_size <= max_pool_size'
+            ]
+          });
+        }
+        return '';
+      });
+      align = new Align('./config');
+
+      let error;
+      try {
+        align.load('dev');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(AlignValidationError);
+      expect(error.errors).toHaveLength(1);
+      expect(error.errors[0]).toMatchObject({
+        key: 'min_pool_size',
+        keys: ['min_pool_size', 'max_pool_size'],
+        message: 'min_pool_size <= max_pool_size does not hold (min_pool_size = 20, max_pool_size = 10)',
+        line: 3
+      });
+      expect(error.errors[0].file).toContain('base.align');
+    });
+
+    test('should fill missing keys from schema defaults', () => {
+      fs.readFileSync.mockImplementation((path) => {
+        if (path.includes('base.align')) {
+          return 'service_name = "web"';
+        }
+        if (path.includes('dev.align')) {
+          return 'port = 8080';
+        }
+        if (path.includes('schema.json')) {
+          return JSON.stringify({
+            port: { type: 'number', default: 3000 },
+            log_level: { type: 'string', required: true, default: 'info' }
+          });
+        }
+        return '';
+      });
+      align = new Align('./config');
+
+      expect(align.load('dev')).toEqual({ port: 8080, log_level: 'info', service_name: 'web' });
+      expect(() => align.load('dev', { defaults: false })).toThrow('Missing required key: log_level');
+
+      const metadata = align.getMetadata('dev');
+      expect(metadata.chain).toEqual(['schema-default', 'base', 'dev']);
+      expect(metadata.defaultKeys).toEqual(['log_level']);
+      expect(metadata.sources).toEqual({ port: 'environment', log_level: 'schema-default', service_name: 'base' });
+
+      expect(align.explain('log_level', 'dev')).toMatchObject({ source: 'schema-default', finalValue: 'info' });
+      expect(align.explain('log_level', 'dev').sourceFile).toContain('align.schema.json');
+      expect(align.explain('port', 'dev')).toMatchObject({ source: 'environment', finalValue: 8080 });
+    });
+
+    test('should report syntax errors with the file name', () => {
+      fs.readFileSync.mockImplementation((path) => {
+        if (path.includes('base.align')) {
+          return 'service_name = "web"\noops';
+        }
+        return 'debug = true';
+      });
+
+      expect(() => align.load('dev')).toThrow(AlignSyntaxError);
+      expect(() => align.load('dev')).toThrow(/base\.align:2:1/);
+    });
+
     test('should handle merged config validation errors', () => {
       // Mock schema to cause validation errors
       fs.readFileSync.mockImplementation((path) => {
@@ -148,6 +338,73 @@ describe('Align Library', () => {
     });
   });
 
+  describe('verify', () => {
+    const schema = { service_name: { type: 'string', required: true }, workers: { type: 'number', max: 16 } };
+    const mockArtifact = (artifact) => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(JSON.stringify(artifact));
+    };
+
+    test('should return the config of an untouched artifact', () => {
+      mockArtifact(createEmbeddedArtifact({ service_name: 'web', workers: 4 }, schema, { environment: 'prod' }));
+
+      expect(Align.verify('dist/config.json')).toEqual({ service_name: 'web', workers: 4 });
+    });
+
+    test('should detect edits made after the build', () => {
+      const artifact = createEmbeddedArtifact({ service_name: 'web', workers: 4 }, schema, { environment: 'prod' });
+      artifact.config.workers = 64;
+      mockArtifact(artifact);
+
+      expect(() => Align.verify('dist/config.json')).toThrow(AlignValidationError);
+      try {
+        Align.verify('dist/config.json');
+      } catch (err) {
+        expect(err.errors.map(error => error.message)).toEqual([
+          expect.stringContaining('Content hash mismatch: the file was modified after it was built'),
+          'workers must be <= 16, got 64'
+        ]);
+        expect(err.errors[0].file).toBe('dist/config.json');
+      }
+    });
+
+    test('should reject plain build output and missing files', () => {
+      mockArtifact({ service_name: 'web' });
+      expect(() => Align.verify('dist/config.json')).toThrow('Not an Align artifact');
+
+      fs.existsSync.mockReturnValue(false);
+      expect(() => Align.verify('dist/missing.json')).toThrow('File not found: dist/missing.json');
+    });
+  });
+
+  describe('environment overrides', () => {
+    const env = { ALIGN__TIMEOUT: '9000', ALIGN__SERVICE_NAME: 'api' };
+
+    test('should apply variables last when enabled', () => {
+      expect(align.load('prod').timeout).toBe(5000);
+
+      const config = align.load('prod', { envOverrides: { env } });
+      expect(config.timeout).toBe(9000);
+      expect(config.service_name).toBe('api');
+      expect(align.describeKeySource('timeout')).toBe(' (set by environment variable ALIGN__TIMEOUT)');
+    });
+
+    test('should attribute overridden keys to process-env', () => {
+      const trace = align.explain('timeout', 'prod', { envOverrides: { env } });
+
+      expect(trace.source).toBe('process-env');
+      expect(trace.variable).toBe('ALIGN__TIMEOUT');
+      expect(trace.finalValue).toBe(9000);
+      expect(trace.chain.map(step => step.environment)).toEqual(['base', 'prod', 'process-env']);
+      expect(align.getMetadata('prod', { envOverrides: { env } }).sources.timeout).toBe('process-env');
+    });
+
+    test('should validate override values against the schema', () => {
+      expect(() => align.load('prod', { envOverrides: { env: { ALIGN__TIMEOUT: 'soon' } } }))
+        .toThrow('Environment variable override validation failed');
+    });
+  });
+
   describe('getMetadata', () => {
     test('should return configuration metadata', () => {
       const metadata = align.getMetadata('dev');
@@ -375,6 +632,182 @@ describe('Align Library', () => {
     });
   });
 
+  describe('accessors', () => {
+    beforeEach(() => {
+      fs.readFileSync.mockImplementation((path) => {
+        if (path.includes('base.align')) {
+          return [
+            'service_name = "web"',
+            'redis {',
+            '  host = "localhost"',
+            '  port = 6379',
+            '}',
+            'database {',
+            '  pool {',
+            '    max = 20',
+            '  }',
+            '}',
+            'limits = { cpu = "500m" }',
+            'session_ttl = "30m"'
+          ].join('\n');
+        }
+        if (path.includes('dev.align')) {
+          return 'feature_flag = "maybe"\nworkers = "4"\ncache_enabled = "true"';
+        }
+        return '';
+      });
+    });
+
+    test('should require a loaded configuration', () => {
+      expect(() => align.get('service_name')).toThrow('No configuration loaded: call load(environment) first');
+    });
+
+    test('should read dotted block keys and paths into inline objects', () => {
+      align.load('dev');
+
+      expect(align.get('database.pool.max')).toBe(20);
+      expect(align.get('limits.cpu')).toBe('500m');
+      expect(align.get('missing', 'fallback')).toBe('fallback');
+      expect(align.has('redis.host')).toBe(true);
+      expect(align.has('redis.password')).toBe(false);
+    });
+
+    test('should return typed values', () => {
+      align.load('dev');
+
+      expect(align.getNumber('workers')).toBe(4);
+      expect(align.getNumber('missing', 8)).toBe(8);
+      expect(align.getBoolean('cache_enabled')).toBe(true);
+      expect(align.getDuration('session_ttl')).toBe(1800000);
+      expect(align.getDuration('session_ttl', 'm')).toBe(30);
+    });
+
+    test('should name the file that set a value of the wrong type', () => {
+      align.load('dev');
+
+      expect(() => align.getBoolean('feature_flag')).toThrow(/^Configuration key 'feature_flag' must be a boolean, got "maybe" \(set in .*dev\.align:1\)$/);
+      expect(() => align.getNumber('limits.cpu')).toThrow(/must be a number, got "500m" \(set in .*base\.align:11\)/);
+      expect(() => align.getDuration('service_name')).toThrow(/must be a duration, got "web"/);
+    });
+
+    test('should throw for missing required keys', () => {
+      align.load('dev');
+
+      expect(align.require('service_name')).toBe('web');
+      expect(() => align.require('redis.password')).toThrow(/^Missing required configuration key 'redis.password' in environment 'dev' \(searched .*base\.align, .*dev\.align\)$/);
+    });
+
+    test('should scope accessors to a block', () => {
+      align.load('dev');
+      const redis = align.scope('redis');
+
+      expect(redis.get('host')).toBe('localhost');
+      expect(redis.getNumber('port')).toBe(6379);
+      expect(redis.toObject()).toEqual({ host: 'localhost', port: 6379 });
+      expect(align.scope('database').scope('pool').getNumber('max')).toBe(20);
+      expect(() => redis.require('password')).toThrow('redis.password');
+    });
+  });
+
+  describe('watch', () => {
+    let listeners;
+    let files;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      listeners = {};
+      files = {
+        'base.align': 'service_name = "web"\ninclude "shared/db.align"',
+        'dev.align': 'debug = true',
+        'db.align': 'db_host = "localhost"'
+      };
+      fs.existsSync.mockImplementation((path) => /(base|dev|db)\.align$|config$|shared$/.test(path));
+      fs.readFileSync.mockImplementation((path) => files[Object.keys(files).find(name => path.endsWith(name))] || '');
+      fs.watch.mockImplementation((directory, listener) => {
+        listeners[directory] = listener;
+        return { close: jest.fn() };
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const change = async (name, content, directory = 'config') => {
+      files[name] = content;
+      const key = Object.keys(listeners).find(dir => dir.endsWith(directory));
+      listeners[key]('change', name);
+      await jest.advanceTimersByTimeAsync(100);
+    };
+
+    test('should watch every layer, included file and the schema', () => {
+      const watcher = align.watch('dev', jest.fn());
+
+      expect(Object.keys(listeners).map(dir => dir.split(/[\\/]/).pop()).sort()).toEqual(['config', 'shared']);
+      watcher.close();
+      fs.watch.mock.results.forEach(result => expect(result.value.close).toHaveBeenCalled());
+    });
+
+    test('should pass the new config and changed keys to the callback', async () => {
+      const callback = jest.fn();
+      const watcher = align.watch('dev', callback);
+
+      await change('db.align', 'db_host = "db.internal"', 'shared');
+      expect(callback).toHaveBeenCalledWith(
+        { service_name: 'web', db_host: 'db.internal', debug: true },
+        [{ key: 'db_host', oldValue: 'localhost', newValue: 'db.internal', type: 'changed' }]
+      );
+
+      await change('dev.align', 'debug = true\nport = 8080');
+      expect(callback).toHaveBeenLastCalledWith(
+        expect.objectContaining({ port: 8080 }),
+        [{ key: 'port', oldValue: undefined, newValue: 8080, type: 'added' }]
+      );
+      watcher.close();
+    });
+
+    test('should only emit when the merged result validates', async () => {
+      const callback = jest.fn();
+      const onError = jest.fn();
+      const watcher = align.watch('dev', callback, { onError });
+
+      await change('dev.align', 'debug = "maybe"');
+      expect(callback).not.toHaveBeenCalled();
+      expect(onError).toHaveBeenCalledWith(expect.any(AlignValidationError));
+
+      await change('dev.align', 'debug = false');
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ debug: false }), [
+        { key: 'debug', oldValue: true, newValue: false, type: 'changed' }
+      ]);
+
+      // Unrelated files and edits that change nothing are ignored
+      await change('notes.txt', 'hello');
+      await change('dev.align', 'debug = false # unchanged');
+      expect(callback).toHaveBeenCalledTimes(1);
+      watcher.close();
+    });
+
+    test('should pick up files created where a glob include looks', async () => {
+      files['base.align'] = 'service_name = "web"\ninclude "frag/*.align"';
+      const fragments = [];
+      fs.existsSync.mockImplementation((path) => /(base|dev)\.align$|config$|frag$/.test(path) || fragments.some(name => path.endsWith(`frag/${name}`)));
+      fs.readdirSync.mockImplementation(() => fragments.map(name => ({ name, isDirectory: () => false })));
+      const callback = jest.fn();
+      const watcher = align.watch('dev', callback);
+      expect(Object.keys(listeners).map(dir => dir.split(/[\\/]/).pop()).sort()).toEqual(['config', 'frag']);
+
+      fragments.push('cache.align');
+      await change('cache.align', 'cache_ttl = 60', 'frag');
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ cache_ttl: 60 }), [
+        { key: 'cache_ttl', oldValue: undefined, newValue: 60, type: 'added' }
+      ]);
+
+      await change('cache.align.swp', 'x', 'frag');
+      expect(callback).toHaveBeenCalledTimes(1);
+      watcher.close();
+    });
+  });
+
   describe('constructor', () => {
     test('should initialize with default config directory', () => {
       const alignInstance = new Align();
@@ -0,0 +1,632 @@
+// lsp.js - Language server for .align files (align lsp): diagnostics, completion and hover
+// from the schema, go-to-definition and rename, spoken over stdio as JSON-RPC
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const {
+  parseAlignAST,
+  loadAlignFile,
+  loadSchema,
+  AlignDocument,
+  AlignSyntaxError,
+  toAlignLiteral,
+  collectValidationIssues,
+  locateValidationIssues,
+  collectKeyLocations,
+  loadEnvironmentLayers,
+  discoverEnvironments,
+  getEnvironmentParents,
+  expandIncludePath,
+  createDefaultsLayer,
+  mergeLayers,
+  coerceConfig,
+  getCodegenFields,
+  lintConfig
+} = require('./parser');
+const { version } = require('./package.json');
+
+const SEVERITY = { error: 1, warning: 2, information: 3 };
+const COMPLETION_KIND = { value: 12, property: 10 };
+const ERROR_CODES = { parseError: -32700, methodNotFound: -32601, internalError: -32603, requestFailed: -32803 };
+// Full document sync: every change sends the whole text
+const TEXT_SYNC_FULL = 1;
+
+function requestFailed(message) {
+  const err = new Error(message);
+  err.code = ERROR_CODES.requestFailed;
+  return err;
+}
+
+// LSP positions are 0-based; Align locations are 1-based lines and columns
+function rangeOf(loc) {
+  return {
+    start: { line: loc.start.line - 1, character: loc.start.column - 1 },
+    end: { line: loc.end.line - 1, character: loc.end.column - 1 }
+  };
+}
+
+function rangeAt(line, column, endColumn) {
+  if (!line) {
+    return { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } };
+  }
+  return { start: { line: line - 1, character: column - 1 }, end: { line: line - 1, character: Math.max(column, endColumn) - 1 } };
+}
+
+function offsetAt(text, position) {
+  let offset = 0;
+  for (let line = 0; line < position.line; line++) {
+    const next = text.indexOf('\n', offset);
+    if (next === -1) {
+      return text.length;
+    }
+    offset = next + 1;
+  }
+  return Math.min(offset + position.character, text.length);
+}
+
+function positionAt(text, offset) {
+  const before = text.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length - 1, character: offset - lineStart };
+}
+
+function within(loc, offset) {
+  return loc.start.offset <= offset && offset <= loc.end.offset;
+}
+
+// A single edit turning before into after (only the span that differs is replaced)
+function replaceEdit(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < before.length - start && end < after.length - start &&
+      before[before.length - 1 - end] === after[after.length - 1 - end]) {
+    end++;
+  }
+  return {
+    range: { start: positionAt(before, start), end: positionAt(before, before.length - end) },
+    newText: after.slice(start, after.length - end)
+  };
+}
+
+// key relative to a file included inside a block (prefix), or null when it is outside it
+function stripPrefix(key, prefix) {
+  if (prefix.length === 0) {
+    return key;
+  }
+  const start = `${prefix.join('.')}.`;
+  return key.startsWith(start) ? key.slice(start.length) : null;
+}
+
+// Include statements anywhere in a file, blocks included
+function findIncludes(statements) {
+  return statements.flatMap(statement => statement.type === 'Include'
+    ? [statement]
+    : statement.type === 'Block' ? findIncludes(statement.body) : []);
+}
+
+// Block path in effect at the start of a line, from the block headers and closing braces
+// above it. Works on text that does not parse, as it usually doesn't while typing. null
+// inside a multi-line array or object value.
+function blockPathAt(lines, line) {
+  const stack = [];
+  for (const text of lines.slice(0, line)) {
+    const code = text.replace(/(^|\s)#.*$/, '').trim();
+    const header = /^([A-Za-z_][\w-]*)(?:\s+"([^"]*)")?\s*\{$/.exec(code);
+    if (header) {
+      stack.push(header[2] !== undefined ? [header[1], header[2]] : [header[1]]);
+    } else if (/=\s*[[{]$/.test(code)) {
+      stack.push(null);
+    } else if (/^[}\]]/.test(code)) {
+      stack.pop();
+    }
+  }
+  return stack.includes(null) ? null : stack.flat();
+}
+
+// Markdown for a schema field: type, description, allowed values and default
+function describeSchemaField(field) {
+  const type = [].concat(field.rules.type || []).join(' | ');
+  const lines = [`**${field.key}**${type ? ` \`${type}\`` : ''}${field.required ? ' (required)' : ''}`];
+  if (field.description) {
+    lines.push('', field.description);
+  }
+  if (Array.isArray(field.rules.enum)) {
+    lines.push('', `One of: ${field.rules.enum.map(value => `\`${toAlignLiteral(value)}\``).join(', ')}`);
+  }
+  if (field.default !== undefined) {
+    lines.push('', `Default: \`${toAlignLiteral(field.default)}\``);
+  }
+  return lines.join('\n');
+}
+
+function diagnostic(range, severity, message) {
+  return { range, severity, source: 'align', message };
+}
+
+// Syntax errors point at the offending token; errors from another file (an include) and
+// anything else without a location go on the first line
+function errorDiagnostic(err, file) {
+  if (err instanceof AlignSyntaxError && (!err.file || path.resolve(err.file) === file)) {
+    return diagnostic(rangeAt(err.line, err.column, err.column + err.length), SEVERITY.error, err.reason);
+  }
+  return diagnostic(rangeAt(null), SEVERITY.error, err.message);
+}
+
+// Lint findings about keys set in this file (locations from collectKeyLocations)
+function lintDiagnostics(result, locations) {
+  const severity = level => SEVERITY[level] || SEVERITY.information;
+  const found = [];
+  for (const entry of [...result.issues, ...result.warnings]) {
+    for (const detail of entry.details || []) {
+      const location = detail && locations[detail.field];
+      if (location) {
+        const reason = detail.reason ? ` (${detail.reason})` : '';
+        found.push(diagnostic(rangeAt(location.line, location.column, location.endColumn), severity(entry.severity), `${entry.message}: ${detail.field}${reason}`));
+      }
+    }
+  }
+  for (const suggestion of result.suggestions) {
+    const location = locations[suggestion.field];
+    if (location) {
+      const advice = suggestion.suggestion ? `. ${suggestion.suggestion}` : '';
+      found.push(diagnostic(rangeAt(location.line, location.column, location.endColumn), severity(suggestion.severity), `${suggestion.message}${advice}`));
+    }
+  }
+  return found;
+}
+
+class AlignLanguageServer {
+  // send(message) delivers one JSON-RPC message to the client; options.schema overrides
+  // the align.schema.json found next to base.align, options.onExit(code) ends the process
+  // and options.log(message) reports failures that have no request to answer (stderr)
+  constructor(send, options = {}) {
+    this.send = send;
+    this.schemaFile = options.schema ? path.resolve(options.schema) : null;
+    this.onExit = options.onExit || (() => {});
+    this.log = options.log || (message => process.stderr.write(`${message}\n`));
+    this.documents = new Map();
+    this.shutdownRequested = false;
+  }
+
+  // Dispatch one message. Requests are always answered, with an error when they fail;
+  // a failing notification is logged, so one bad message does not stop the server.
+  handle(message) {
+    const { id, method, params = {} } = message;
+    if (method === undefined) {
+      return;
+    }
+    const handler = this.handlers()[method];
+    if (id === undefined) {
+      try {
+        if (handler) {
+          handler(params);
+        }
+      } catch (err) {
+        this.log(`align lsp: ${method} failed: ${err.message}`);
+      }
+      return;
+    }
+    if (!handler) {
+      this.send({ jsonrpc: '2.0', id, error: { code: ERROR_CODES.methodNotFound, message: `Unhandled method ${method}` } });
+      return;
+    }
+    try {
+      const result = handler(params);
+      this.send({ jsonrpc: '2.0', id, result: result === undefined ? null : result });
+    } catch (err) {
+      this.send({ jsonrpc: '2.0', id, error: { code: err.code || ERROR_CODES.internalError, message: err.message } });
+    }
+  }
+
+  handlers() {
+    return {
+      'initialize': () => ({
+        capabilities: {
+          textDocumentSync: { openClose: true, change: TEXT_SYNC_FULL, save: true },
+          completionProvider: { triggerCharacters: ['.'] },
+          hoverProvider: true,
+          definitionProvider: true,
+          renameProvider: true
+        },
+        serverInfo: { name: 'align', version }
+      }),
+      'shutdown': () => {
+        this.shutdownRequested = true;
+        return null;
+      },
+      'exit': () => this.onExit(this.shutdownRequested ? 0 : 1),
+      'textDocument/didOpen': ({ textDocument }) => this.open(textDocument.uri, textDocument.text),
+      'textDocument/didChange': ({ textDocument, contentChanges }) => {
+        this.open(textDocument.uri, contentChanges[contentChanges.length - 1].text);
+      },
+      'textDocument/didSave': () => this.publishDiagnostics(),
+      'textDocument/didClose': ({ textDocument }) => {
+        if (!this.documents.delete(this.fileOf(textDocument.uri))) {
+          return;
+        }
+        this.send({ jsonrpc: '2.0', method: 'textDocument/publishDiagnostics', params: { uri: textDocument.uri, diagnostics: [] } });
+        this.publishDiagnostics();
+      },
+      'textDocument/completion': params => this.complete(params),
+      'textDocument/hover': params => this.hover(params),
+      'textDocument/definition': params => this.definition(params),
+      'textDocument/rename': params => this.rename(params)
+    };
+  }
+
+  // The path behind a file: URI; null for anything else (untitled:, git:, ...), which the
+  // server ignores since only files on disk belong to a config directory
+  fileOf(uri) {
+    return typeof uri === 'string' && uri.startsWith('file:') ? path.resolve(fileURLToPath(uri)) : null;
+  }
+
+  // The client's own URI for open documents, so it recognises them
+  uriOf(file) {
+    const open = this.documents.get(file);
+    return open ? open.uri : pathToFileURL(file).href;
+  }
+
+  textOf(file, fallback) {
+    const open = this.documents.get(file);
+    return open ? open.text : fallback;
+  }
+
+  // The text is edited by files that belong to a config directory, so diagnostics of every
+  // open file can change; all of them are published again
+  open(uri, text) {
+    const file = this.fileOf(uri);
+    if (!file) {
+      return;
+    }
+    this.documents.set(file, { uri, text: String(text).replace(/\r\n?/g, '\n') });
+    this.publishDiagnostics();
+  }
+
+  publishDiagnostics() {
+    for (const [file, { uri }] of this.documents) {
+      this.send({ jsonrpc: '2.0', method: 'textDocument/publishDiagnostics', params: { uri, diagnostics: this.diagnose(file) } });
+    }
+  }
+
+  // The config directory of a file: the nearest directory up from it with a base.align,
+  // else the file's own directory
+  configDirFor(file) {
+    for (let dir = path.dirname(file); ; dir = path.dirname(dir)) {
+      if (this.documents.has(path.join(dir, 'base.align')) || fs.existsSync(path.join(dir, 'base.align'))) {
+        return dir;
+      }
+      if (path.dirname(dir) === dir) {
+        return path.dirname(file);
+      }
+    }
+  }
+
+  schemaFor(configDir) {
+    return loadSchema(this.schemaFile || path.join(configDir, 'align.schema.json'));
+  }
+
+  environments(configDir) {
+    try {
+      return discoverEnvironments(configDir);
+    } catch {
+      return [];
+    }
+  }
+
+  // The environment a file defines, or null for base.align and included files
+  environmentOf(file) {
+    const configDir = this.configDirFor(file);
+    const name = path.basename(file, '.align');
+    return path.dirname(file) === configDir && this.environments(configDir).includes(name) ? name : null;
+  }
+
+  // Parsed layers for the open base and environment files, so that other files see unsaved
+  // edits. Open files that do not parse are read from disk instead.
+  layerCache(configDir) {
+    const cache = new Map();
+    for (const [file, { text }] of this.documents) {
+      if (path.dirname(file) !== configDir || !file.endsWith('.align')) {
+        continue;
+      }
+      try {
+        const loaded = loadAlignFile(file, { content: text });
+        cache.set(file, { name: path.basename(file, '.align'), ...loaded, parents: getEnvironmentParents(loaded.ast) });
+      } catch {
+        // Reported as this file's own diagnostics
+      }
+    }
+    return cache;
+  }
+
+  // Every file behind the given environments (all of them by default), each once:
+  // [{ file, content, prefix }] with the open text where the file is open
+  sources(configDir, environments = null) {
+    const cache = this.layerCache(configDir);
+    const targets = environments || this.environments(configDir);
+    const found = new Map();
+    for (const environment of targets.length > 0 ? targets : ['base']) {
+      let layers;
+      try {
+        layers = loadEnvironmentLayers(configDir, environment, { optional: true, cache });
+      } catch {
+        continue;
+      }
+      for (const source of layers.flatMap(layer => layer.sources)) {
+        const file = path.resolve(source.file);
+        if (!found.has(file)) {
+          found.set(file, { file, content: this.textOf(file, source.content), prefix: source.prefix || [] });
+        }
+      }
+    }
+    return [...found.values()];
+  }
+
+  // The assignment or unset whose key is under the cursor, with its fully flattened key
+  // (including the block an included file is pulled into)
+  keyAt(file, position) {
+    const open = this.documents.get(file);
+    if (!open) {
+      return null;
+    }
+    let document;
+    try {
+      document = new AlignDocument(open.text, { file });
+    } catch {
+      return null;
+    }
+    const offset = offsetAt(open.text, position);
+    const entry = document.statements().find(({ statement }) => statement.type !== 'Block' && within(statement.keyLoc, offset));
+    if (!entry) {
+      return null;
+    }
+    const source = this.sources(this.configDirFor(file)).find(candidate => candidate.file === file);
+    const prefix = source ? source.prefix : [];
+    return { entry, prefix, key: [...prefix, entry.key].join('.') };
+  }
+
+  // Syntax errors, then the file's own keys checked against the schema, then (for an
+  // environment) the merged result and lint findings for keys set in this file
+  diagnose(file) {
+    const { text } = this.documents.get(file);
+    let loaded;
+    try {
+      loaded = loadAlignFile(file, { content: text });
+    } catch (err) {
+      return [errorDiagnostic(err, file)];
+    }
+
+    const diagnostics = [];
+    const seen = new Set();
+    const report = (issues, severity) => issues
+      .filter(issue => !issue.file || path.resolve(issue.file) === file)
+      .forEach(issue => {
+        const id = `${issue.line}:${issue.column}:${issue.message}`;
+        if (!seen.has(id)) {
+          seen.add(id);
+          diagnostics.push(diagnostic(rangeAt(issue.line, issue.column, issue.endColumn), severity, issue.message));
+        }
+      });
+
+    try {
+      const configDir = this.configDirFor(file);
+      const schema = this.schemaFor(configDir);
+      const isBase = file === path.join(configDir, 'base.align');
+      report(locateValidationIssues(collectValidationIssues(loaded.config, isBase, schema, { rules: false }), loaded.sources), SEVERITY.error);
+
+      const environment = this.environmentOf(file);
+      if (environment) {
+        const layers = loadEnvironmentLayers(configDir, environment, { optional: true, cache: this.layerCache(configDir) });
+        let merged = mergeLayers([createDefaultsLayer(schema), ...layers].filter(Boolean), schema);
+        if (schema) {
+          merged = coerceConfig(merged, schema).config;
+          report(locateValidationIssues(collectValidationIssues(merged, true, schema), layers.flatMap(layer => layer.sources)), SEVERITY.error);
+        }
+        diagnostics.push(...lintDiagnostics(lintConfig(merged, schema, environment), collectKeyLocations(loaded.ast)));
+      }
+    } catch (err) {
+      diagnostics.push(errorDiagnostic(err, file));
+    }
+    return diagnostics;
+  }
+
+  // Schema keys where a key is being typed (relative to the enclosing block), allowed values
+  // after `key =` for enums and booleans
+  complete({ textDocument, position }) {
+    const file = this.fileOf(textDocument.uri);
+    const open = this.documents.get(file);
+    if (!open) {
+      return null;
+    }
+    const lines = open.text.split('\n');
+    const before = (lines[position.line] || '').slice(0, position.character);
+    const blockPath = blockPathAt(lines, position.line);
+    if (blockPath === null) {
+      return { isIncomplete: false, items: [] };
+    }
+    const fields = getCodegenFields(this.schemaFor(this.configDirFor(file)));
+
+    const assignment = /^\s*([\w.-]+)\s*\+?=\s*[^#]*$/.exec(before);
+    if (assignment) {
+      const field = fields.find(candidate => candidate.key === [...blockPath, assignment[1]].join('.'));
+      const values = !field ? [] : Array.isArray(field.rules.enum)
+        ? field.rules.enum
+        : [].concat(field.rules.type || []).includes('boolean') ? [true, false] : [];
+      return {
+        isIncomplete: false,
+        items: values.map(value => ({ label: toAlignLiteral(value), kind: COMPLETION_KIND.value, detail: field.key }))
+      };
+    }
+    if (!/^\s*[\w.-]*$/.test(before)) {
+      return { isIncomplete: false, items: [] };
+    }
+
+    let present = [];
+    try {
+      present = new AlignDocument(open.text).keys();
+    } catch {
+      // Mid-edit text: offer every key
+    }
+    const prefix = blockPath.length > 0 ? `${blockPath.join('.')}.` : '';
+    const items = fields
+      .filter(field => field.key.startsWith(prefix) && !present.includes(field.key))
+      .map(field => {
+        const label = field.key.slice(prefix.length);
+        return {
+          label,
+          kind: COMPLETION_KIND.property,
+          detail: [].concat(field.rules.type || []).join(' | ') || undefined,
+          documentation: { kind: 'markdown', value: describeSchemaField(field) },
+          insertText: `${label} = `
+        };
+      });
+    return { isIncomplete: false, items };
+  }
+
+  // The schema's description, type, allowed values and default for the key under the cursor
+  hover({ textDocument, position }) {
+    const file = this.fileOf(textDocument.uri);
+    const target = this.keyAt(file, position);
+    if (!target) {
+      return null;
+    }
+    const field = getCodegenFields(this.schemaFor(this.configDirFor(file))).find(candidate => candidate.key === target.key);
+    const value = field ? describeSchemaField(field) : `**${target.key}**\n\nNot declared in align.schema.json`;
+    return { contents: { kind: 'markdown', value }, range: rangeOf(target.entry.statement.keyLoc) };
+  }
+
+  // On a key: every place it is assigned, in merge order, across base.align, inherited
+  // environments and included files (for this environment, or all of them from base.align
+  // and included files). On an include or extends: the files it names.
+  definition({ textDocument, position }) {
+    const file = this.fileOf(textDocument.uri);
+    const open = this.documents.get(file);
+    if (!open) {
+      return null;
+    }
+    let ast;
+    try {
+      ast = parseAlignAST(open.text, { file });
+    } catch {
+      return null;
+    }
+    const configDir = this.configDirFor(file);
+    const offset = offsetAt(open.text, position);
+    const fileLocation = target => ({ uri: this.uriOf(target), range: rangeAt(null) });
+
+    const include = findIncludes(ast.body).find(statement => within(statement.loc, offset));
+    if (include) {
+      return expandIncludePath(file, include.path).filter(target => fs.existsSync(target)).map(fileLocation);
+    }
+    const inheritance = ast.body.find(statement => statement.type === 'Extends' && within(statement.loc, offset));
+    if (inheritance) {
+      return inheritance.parents.map(name => path.join(configDir, `${name}.align`)).filter(target => fs.existsSync(target)).map(fileLocation);
+    }
+
+    const target = this.keyAt(file, position);
+    if (!target) {
+      return null;
+    }
+    const environment = this.environmentOf(file);
+    const locations = [];
+    for (const source of this.sources(configDir, environment ? [environment] : null)) {
+      const relative = stripPrefix(target.key, source.prefix);
+      if (relative === null) {
+        continue;
+      }
+      try {
+        new AlignDocument(source.content).statements()
+          .filter(entry => entry.key === relative && entry.statement.type === 'Assignment')
+          .forEach(entry => locations.push({ uri: this.uriOf(source.file), range: rangeOf(entry.statement.keyLoc) }));
+      } catch {
+        // Files that do not parse have nothing to jump to
+      }
+    }
+    return locations;
+  }
+
+  // Rename a key in base.align, every environment and every included file through
+  // AlignDocument.rename; newName replaces the key as written at the cursor
+  rename({ textDocument, position, newName }) {
+    const file = this.fileOf(textDocument.uri);
+    const target = this.keyAt(file, position);
+    if (!target) {
+      throw requestFailed('Place the cursor on a key to rename it');
+    }
+    if (!/^[^\s#=]+$/.test(newName)) {
+      throw requestFailed(`Invalid key name: ${JSON.stringify(newName)}`);
+    }
+    const { entry, prefix } = target;
+    const to = [...prefix, ...entry.prefix, newName].join('.');
+    const changes = {};
+    for (const source of this.sources(this.configDirFor(file))) {
+      const from = stripPrefix(target.key, source.prefix);
+      if (from === null) {
+        continue;
+      }
+      const renamed = stripPrefix(to, source.prefix);
+      const document = new AlignDocument(source.content, { file: source.file });
+      if (!document.has(from) && !document.statements().some(candidate => candidate.key === from)) {
+        continue;
+      }
+      if (renamed === null) {
+        throw requestFailed(`Cannot rename ${target.key} to ${to}: ${source.file} is included inside ${source.prefix.join('.')}`);
+      }
+      if (document.rename(from, renamed)) {
+        changes[this.uriOf(source.file)] = [replaceEdit(source.content, document.toString())];
+      }
+    }
+    return { changes };
+  }
+}
+
+// Serve LSP over options.input/options.output (stdin/stdout by default), reading
+// Content-Length framed messages
+function startLanguageServer(options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const send = (message) => {
+    const body = JSON.stringify(message);
+    output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+  };
+  const server = new AlignLanguageServer(send, { schema: options.schema, onExit: options.onExit || (code => process.exit(code)) });
+
+  let buffer = Buffer.alloc(0);
+  input.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) {
+        return;
+      }
+      const header = /Content-Length: *(\d+)/i.exec(buffer.slice(0, headerEnd).toString('ascii'));
+      const start = headerEnd + 4;
+      if (!header) {
+        buffer = buffer.slice(start);
+        continue;
+      }
+      const end = start + Number(header[1]);
+      if (buffer.length < end) {
+        return;
+      }
+      const body = buffer.slice(start, end).toString('utf8');
+      buffer = buffer.slice(end);
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch {
+        send({ jsonrpc: '2.0', id: null, error: { code: ERROR_CODES.parseError, message: 'Invalid JSON' } });
+        continue;
+      }
+      server.handle(message);
+    }
+  });
+  return server;
+}
+
+module.exports = {
+  AlignLanguageServer,
+  startLanguageServer
+};
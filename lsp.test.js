@@ -0,0 +1,137 @@
+const { PassThrough } = require('stream');
+const { AlignLanguageServer, startLanguageServer } = require('./lsp');
+const fs = require('fs');
+
+// Mock fs for testing
+jest.mock('fs');
+
+describe('Align Language Server', () => {
+  let files;
+  let messages;
+  let server;
+  const uri = file => `file:///config/${file}`;
+  const request = (method, params) => {
+    server.handle({ jsonrpc: '2.0', id: 1, method, params });
+    return messages.pop();
+  };
+  const open = (file, text = files[`/config/${file}`]) => {
+    server.handle({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: { textDocument: { uri: uri(file), languageId: 'align', version: 1, text } } });
+  };
+  const published = file => messages.filter(message => message.method === 'textDocument/publishDiagnostics' && message.params.uri === uri(file)).pop().params.diagnostics;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    files = {
+      '/config/align.schema.json': JSON.stringify({
+        service_name: { type: 'string', required: true },
+        port: { type: 'number', max: 65535, description: 'HTTP port' },
+        log_level: { type: 'string', enum: ['info', 'debug'] },
+        'db.host': { type: 'string', description: 'Database host' },
+        'db.port': { type: 'number' }
+      }),
+      '/config/base.align': 'service_name = "web"\nport = 80\ndb {\n  include "db.align"\n}\n',
+      '/config/db.align': 'host = "localhost"\n',
+      '/config/dev.align': 'port = 8080\n',
+      '/config/prod.align': 'extends = "dev"\nport = 443\n'
+    };
+    fs.existsSync.mockImplementation(file => file in files);
+    fs.readFileSync.mockImplementation(file => files[file]);
+    fs.readdirSync.mockImplementation(dir => Object.keys(files)
+      .filter(file => file.startsWith(`${dir}/`) && !file.slice(dir.length + 1).includes('/'))
+      .map(file => file.slice(dir.length + 1)));
+    messages = [];
+    server = new AlignLanguageServer(message => messages.push(message));
+  });
+
+  test('should publish syntax and merged validation errors for open files', () => {
+    open('prod.align', 'extends = "dev"\nport = 99999\nlog_level = "trace"\n');
+    expect(published('prod.align')).toEqual([
+      expect.objectContaining({ range: { start: { line: 1, character: 7 }, end: { line: 1, character: 12 } }, severity: 1, message: 'port must be <= 65535, got 99999' }),
+      expect.objectContaining({ message: expect.stringContaining('log_level must be one of "info", "debug"') })
+    ]);
+
+    open('dev.align', 'port 8080\n');
+    expect(published('dev.align')).toEqual([
+      expect.objectContaining({ range: { start: { line: 0, character: 0 }, end: { line: 0, character: 4 } }, message: 'missing \'=\' after \'port\'' })
+    ]);
+  });
+
+  test('should complete schema keys inside blocks and allowed values', () => {
+    open('prod.align', 'db {\n  \n}\nlog_level = ');
+
+    const keys = request('textDocument/completion', { textDocument: { uri: uri('prod.align') }, position: { line: 1, character: 2 } }).result.items;
+    expect(keys.map(item => item.label)).toEqual(['host', 'port']);
+    expect(keys[0].documentation.value).toBe('**db.host** `string`\n\nDatabase host');
+
+    const values = request('textDocument/completion', { textDocument: { uri: uri('prod.align') }, position: { line: 3, character: 12 } }).result.items;
+    expect(values.map(item => item.label)).toEqual(['"info"', '"debug"']);
+  });
+
+  test('should show schema descriptions on hover', () => {
+    open('db.align');
+
+    const hover = request('textDocument/hover', { textDocument: { uri: uri('db.align') }, position: { line: 0, character: 2 } }).result;
+    expect(hover.contents.value).toBe('**db.host** `string`\n\nDatabase host');
+    expect(hover.range).toEqual({ start: { line: 0, character: 0 }, end: { line: 0, character: 4 } });
+  });
+
+  test('should go to definitions across base, inherited and included files', () => {
+    open('prod.align');
+
+    const definitions = request('textDocument/definition', { textDocument: { uri: uri('prod.align') }, position: { line: 1, character: 1 } }).result;
+    expect(definitions.map(location => [location.uri, location.range.start.line])).toEqual([
+      [uri('base.align'), 1],
+      [uri('dev.align'), 0],
+      [uri('prod.align'), 1]
+    ]);
+
+    const parents = request('textDocument/definition', { textDocument: { uri: uri('prod.align') }, position: { line: 0, character: 12 } }).result;
+    expect(parents.map(location => location.uri)).toEqual([uri('dev.align')]);
+  });
+
+  test('should rename a key across every environment', () => {
+    open('dev.align');
+
+    const { changes } = request('textDocument/rename', { textDocument: { uri: uri('dev.align') }, position: { line: 0, character: 0 }, newName: 'http_port' }).result;
+    expect(Object.keys(changes).sort()).toEqual([uri('base.align'), uri('dev.align'), uri('prod.align')]);
+    expect(changes[uri('prod.align')]).toEqual([{ range: { start: { line: 1, character: 0 }, end: { line: 1, character: 0 } }, newText: 'http_' }]);
+
+    const failed = request('textDocument/rename', { textDocument: { uri: uri('dev.align') }, position: { line: 0, character: 9 }, newName: 'x' });
+    expect(failed.error.message).toBe('Place the cursor on a key to rename it');
+  });
+
+  test('should ignore documents that are not files and keep running when a notification fails', () => {
+    const log = jest.fn();
+    server = new AlignLanguageServer(message => messages.push(message), { log });
+
+    server.handle({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: { textDocument: { uri: 'untitled:Untitled-1', languageId: 'align', version: 1, text: 'port = 1\n' } } });
+    expect(messages).toEqual([]);
+    expect(request('textDocument/hover', { textDocument: { uri: 'untitled:Untitled-1' }, position: { line: 0, character: 1 } }).result).toBeNull();
+
+    server.handle({ jsonrpc: '2.0', method: 'textDocument/didChange', params: {} });
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('textDocument/didChange failed'));
+    open('dev.align');
+    expect(published('dev.align')).toEqual([]);
+  });
+
+  test('should read and write Content-Length framed messages', () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const onExit = jest.fn();
+    startLanguageServer({ input, output, onExit });
+
+    const frame = message => {
+      const body = JSON.stringify(message);
+      return `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+    };
+    const initialize = frame({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    input.write(initialize.slice(0, 10));
+    input.write(initialize.slice(10) + frame({ jsonrpc: '2.0', id: 2, method: 'shutdown' }) + frame({ jsonrpc: '2.0', method: 'exit' }));
+
+    const written = output.read().toString();
+    const bodies = written.split(/Content-Length: \d+\r\n\r\n/).filter(Boolean).map(body => JSON.parse(body));
+    expect(bodies[0].result.capabilities).toEqual(expect.objectContaining({ hoverProvider: true, definitionProvider: true, renameProvider: true }));
+    expect(bodies[1]).toEqual({ jsonrpc: '2.0', id: 2, result: null });
+    expect(onExit).toHaveBeenCalledWith(0);
+  });
+});
@@ -1,223 +1,4064 @@
 // parser.js
 const fs = require('fs');
 const path = require('path');
+const net = require('net');
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
 const chalk = require('chalk'); // Added for colored output
 
-function parseAlign(content) {
-  const lines = content.split('\n');
+// ALIGN LANGUAGE: TOKENIZER, PARSER AND AST
+
+// Characters that end a bare (unquoted) word inside arrays and inline objects
+const BARE_TERMINATORS = new Set([',', ']', '}', '\n']);
+const STRING_ESCAPES = { 'n': '\n', 't': '\t', 'r': '\r', '"': '"', '\'': '\'', '\\': '\\', '/': '/' };
+
+// Split .align source into tokens with source positions (1-based line/column)
+function tokenizeAlign(content, options = {}) {
+  const source = String(content).replace(/\r\n?/g, '\n');
+  const tokens = [];
+  // Open brackets: '[' for arrays, 'object' for inline objects, 'block' for block bodies
+  const stack = [];
+  let pos = 0;
+  let line = 1;
+  let column = 1;
+  // A value is expected right after '=' and between array items
+  let expectValue = false;
+
+  const here = () => ({ line, column, offset: pos });
+  const advance = (count) => {
+    for (let i = 0; i < count; i++) {
+      if (source[pos] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      pos++;
+    }
+  };
+  const fail = (message, at = here()) => {
+    throw new AlignSyntaxError(message, { file: options.file, source, line: at.line, column: at.column });
+  };
+  const push = (type, value, start, raw) => {
+    tokens.push({ type, value, raw: raw !== undefined ? raw : source.slice(start.offset, pos), start, end: here() });
+  };
+  const inArray = () => stack[stack.length - 1] === '[';
+  // Inside arrays and inline objects newlines are insignificant and bare words stop at separators
+  const inCollection = () => inArray() || stack[stack.length - 1] === 'object';
+  const isCommentStart = (index) => {
+    if (source[index] === '#') return true;
+    return source[index] === '/' && source[index + 1] === '/';
+  };
+
+  while (pos < source.length) {
+    const ch = source[pos];
+    const start = here();
+
+    // Newlines are only significant outside arrays
+    if (ch === '\n') {
+      advance(1);
+      if (!inCollection()) {
+        push('newline', '\n', start);
+        expectValue = false;
+      }
+      continue;
+    }
+
+    if (ch === ' ' || ch === '\t') {
+      advance(1);
+      continue;
+    }
+
+    if (isCommentStart(pos)) {
+      const endOfLine = source.indexOf('\n', pos);
+      const stop = endOfLine === -1 ? source.length : endOfLine;
+      const text = source.slice(pos, stop);
+      advance(stop - pos);
+      push('comment', text, start);
+      continue;
+    }
+
+    if (ch === '"' || ch === '\'') {
+      let value = '';
+      advance(1);
+      while (pos < source.length && source[pos] !== ch) {
+        if (source[pos] === '\n') {
+          fail('unterminated string', start);
+        }
+        if (source[pos] === '\\' && pos + 1 < source.length) {
+          const next = source[pos + 1];
+          if (ch === '\'') {
+            // Single-quoted strings are literal apart from escaped quotes
+            value += next === '\'' ? '\'' : `\\${next}`;
+            advance(2);
+          } else if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(pos + 2, pos + 6))) {
+            value += String.fromCharCode(parseInt(source.slice(pos + 2, pos + 6), 16));
+            advance(6);
+          } else if (Object.prototype.hasOwnProperty.call(STRING_ESCAPES, next)) {
+            value += STRING_ESCAPES[next];
+            advance(2);
+          } else {
+            // Unknown escapes are kept verbatim (e.g. Windows paths, regexes)
+            value += `\\${next}`;
+            advance(2);
+          }
+          continue;
+        }
+        value += source[pos];
+        advance(1);
+      }
+      if (pos >= source.length) {
+        fail('unterminated string', start);
+      }
+      advance(1);
+      push('string', value, start);
+      tokens[tokens.length - 1].quote = ch;
+      expectValue = false;
+      continue;
+    }
+
+    // Heredoc: <<EOF ... EOF, or <<-EOF to strip common indentation
+    if (expectValue && source.startsWith('<<', pos)) {
+      const header = source.slice(pos).match(/^<<(-?)([A-Za-z_][A-Za-z0-9_]*)[ \t]*(?=\n)/);
+      if (!header) {
+        fail('invalid heredoc header, expected <<MARKER followed by a newline', start);
+      }
+      const [headerText, indentFlag, marker] = header;
+      advance(headerText.length + 1);
+      const bodyLines = [];
+      let closed = false;
+      while (pos < source.length) {
+        const endOfLine = source.indexOf('\n', pos);
+        const stop = endOfLine === -1 ? source.length : endOfLine;
+        const text = source.slice(pos, stop);
+        if (text.trim() === marker) {
+          advance(stop - pos);
+          closed = true;
+          break;
+        }
+        bodyLines.push(text);
+        advance(stop - pos + (endOfLine === -1 ? 0 : 1));
+      }
+      if (!closed) {
+        fail(`unterminated heredoc, expected closing ${marker}`, start);
+      }
+      let linesOut = bodyLines;
+      if (indentFlag === '-') {
+        const indents = bodyLines
+          .filter(text => text.trim() !== '')
+          .map(text => text.match(/^[ \t]*/)[0].length);
+        const common = indents.length > 0 ? Math.min(...indents) : 0;
+        linesOut = bodyLines.map(text => text.slice(common));
+      }
+      push('heredoc', linesOut.join('\n'), start);
+      expectValue = false;
+      continue;
+    }
+
+    if (ch === '=') {
+      advance(1);
+      push('equals', '=', start);
+      expectValue = true;
+      continue;
+    }
+
+    // `key += value` appends to the inherited value
+    if (ch === '+' && source[pos + 1] === '=' && !expectValue) {
+      advance(2);
+      push('plusEquals', '+=', start);
+      expectValue = true;
+      continue;
+    }
+
+    if (ch === '[') {
+      advance(1);
+      push('lbracket', '[', start);
+      stack.push('[');
+      expectValue = true;
+      continue;
+    }
+
+    if (ch === ']') {
+      if (!inArray()) {
+        fail('unexpected \']\'', start);
+      }
+      advance(1);
+      push('rbracket', ']', start);
+      stack.pop();
+      expectValue = false;
+      continue;
+    }
+
+    if (ch === '{') {
+      advance(1);
+      push('lbrace', '{', start);
+      // A brace in value position opens an inline object, otherwise a block body
+      stack.push(expectValue ? 'object' : 'block');
+      expectValue = false;
+      continue;
+    }
+
+    if (ch === '}') {
+      advance(1);
+      push('rbrace', '}', start);
+      if (stack.length > 0 && !inArray()) {
+        stack.pop();
+      }
+      expectValue = false;
+      continue;
+    }
+
+    if (ch === ',') {
+      advance(1);
+      push('comma', ',', start);
+      expectValue = inArray();
+      continue;
+    }
+
+    if (expectValue && inCollection()) {
+      // Array items and object values may contain spaces, stop at separators
+      let stop = pos;
+      while (stop < source.length && !BARE_TERMINATORS.has(source[stop]) &&
+             !(isCommentStart(stop) && /\s/.test(source[stop - 1]))) {
+        stop++;
+      }
+      const raw = source.slice(pos, stop);
+      advance(raw.replace(/\s+$/, '').length);
+      push('bare', raw.trim(), start);
+      advance(raw.length - raw.replace(/\s+$/, '').length);
+      expectValue = false;
+      continue;
+    }
+
+    if (expectValue) {
+      // Unquoted value: runs to the end of the line, an inline comment or, inside a block,
+      // a '}' closing it (braces opened in the value, as in ${host}, are its own)
+      const inBlock = stack[stack.length - 1] === 'block';
+      let depth = 0;
+      let stop = pos;
+      while (stop < source.length && source[stop] !== '\n') {
+        if ((source[stop] === '#' || (source[stop] === '/' && source[stop + 1] === '/')) &&
+            /\s/.test(source[stop - 1] || ' ')) {
+          break;
+        }
+        if (source[stop] === '{') {
+          depth++;
+        } else if (source[stop] === '}' && depth > 0) {
+          depth--;
+        } else if (source[stop] === '}' && inBlock) {
+          break;
+        }
+        stop++;
+      }
+      const raw = source.slice(pos, stop);
+      advance(raw.replace(/\s+$/, '').length);
+      push('bare', raw.trim(), start);
+      advance(raw.length - raw.replace(/\s+$/, '').length);
+      expectValue = false;
+      continue;
+    }
+
+    // Unquoted word: a key or block type
+    let stop = pos;
+    while (stop < source.length) {
+      const c = source[stop];
+      if (c === ' ' || c === '\t' || c === '=' || c === '{' || c === '[' || c === '"' || c === '\'' ||
+          BARE_TERMINATORS.has(c)) {
+        break;
+      }
+      stop++;
+    }
+    advance(stop - pos);
+    push('word', source.slice(start.offset, pos), start);
+    expectValue = false;
+  }
+
+  tokens.push({ type: 'eof', value: null, raw: '', start: here(), end: here() });
+  return tokens;
+}
+
+// Build an AST (Document -> Assignment/Block statements -> value nodes) from .align source
+function parseAlignAST(content, options = {}) {
+  const tokens = tokenizeAlign(content, options);
+  const comments = [];
+  let index = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+  const next = () => tokens[index++];
+  const fail = (message, token = peek()) => {
+    throw new AlignSyntaxError(message, {
+      file: options.file,
+      source: content,
+      line: token.start.line,
+      column: token.start.column,
+      length: Math.max(1, token.end.offset - token.start.offset)
+    });
+  };
+  const describeToken = (token) => token.type === 'eof' ? 'end of file' : `'${token.raw}'`;
+  const skipComments = () => {
+    while (peek().type === 'comment') {
+      const token = next();
+      comments.push({ type: 'Comment', value: token.value, loc: { start: token.start, end: token.end } });
+    }
+  };
+  const skipTrivia = () => {
+    while (peek().type === 'comment' || peek().type === 'newline') {
+      if (peek().type === 'comment') {
+        skipComments();
+      } else {
+        next();
+      }
+    }
+  };
+
+  function parseValueNode() {
+    skipComments();
+    const token = peek();
+    if (token.type === 'string' || token.type === 'heredoc') {
+      next();
+      return {
+        type: 'String',
+        value: token.value,
+        raw: token.raw,
+        quote: token.type === 'heredoc' ? 'heredoc' : token.quote,
+        loc: { start: token.start, end: token.end }
+      };
+    }
+    if (token.type === 'bare') {
+      next();
+      return { type: 'Bare', value: token.value, raw: token.raw, loc: { start: token.start, end: token.end } };
+    }
+    if (token.type === 'lbracket') {
+      return parseArrayNode();
+    }
+    if (token.type === 'lbrace') {
+      return parseObjectNode();
+    }
+    if (token.type === 'newline' || token.type === 'eof' || token.type === 'rbrace') {
+      // `key =` with nothing after it is an empty value
+      return { type: 'Bare', value: '', raw: '', loc: { start: token.start, end: token.start } };
+    }
+    return fail(`unexpected ${describeToken(token)} in value`, token);
+  }
+
+  function parseArrayNode() {
+    const open = next();
+    const elements = [];
+    skipComments();
+    while (peek().type !== 'rbracket') {
+      if (peek().type === 'eof') {
+        fail('unterminated array, expected \']\'', open);
+      }
+      elements.push(parseValueNode());
+      skipComments();
+      if (peek().type === 'comma') {
+        next();
+        skipComments();
+      } else if (peek().type === 'eof') {
+        fail('unterminated array, expected \']\'', open);
+      } else if (peek().type !== 'rbracket') {
+        fail(`expected ',' or ']' in array, got ${describeToken(peek())}`);
+      }
+    }
+    const close = next();
+    return { type: 'Array', elements, loc: { start: open.start, end: close.end } };
+  }
+
+  // Inline object: { key = value, other = value } (commas optional across lines)
+  function parseObjectNode() {
+    const open = next();
+    const properties = [];
+    skipComments();
+    while (peek().type !== 'rbrace') {
+      const keyToken = peek();
+      if (keyToken.type === 'eof') {
+        fail('unterminated object, expected \'}\'', open);
+      }
+      if (keyToken.type === 'equals') {
+        fail('empty key', keyToken);
+      }
+      if (keyToken.type !== 'word' && keyToken.type !== 'string') {
+        fail(`unexpected ${describeToken(keyToken)} in object`, keyToken);
+      }
+      next();
+      if (peek().type !== 'equals') {
+        fail(`missing '=' after '${keyToken.raw}'`, keyToken);
+      }
+      next();
+      const value = parseValueNode();
+      properties.push({
+        type: 'Property',
+        key: keyToken.value,
+        keyLoc: { start: keyToken.start, end: keyToken.end },
+        value,
+        loc: { start: keyToken.start, end: value.loc.end }
+      });
+      skipComments();
+      if (peek().type === 'comma') {
+        next();
+        skipComments();
+      }
+    }
+    const close = next();
+    return { type: 'Object', properties, loc: { start: open.start, end: close.end } };
+  }
+
+  function expectStatementEnd() {
+    skipComments();
+    const token = peek();
+    if (token.type === 'newline') {
+      next();
+    } else if (token.type !== 'eof' && token.type !== 'rbrace') {
+      fail(`unexpected ${describeToken(token)} after value`, token);
+    }
+  }
+
+  function parseStatements(openBrace) {
+    const body = [];
+    for (;;) {
+      skipTrivia();
+      const token = peek();
+
+      if (token.type === 'eof') {
+        if (openBrace) {
+          fail('unclosed block, expected \'}\'', openBrace);
+        }
+        return { body, end: token.start };
+      }
+      if (token.type === 'rbrace') {
+        if (!openBrace) {
+          fail('unexpected \'}\'', token);
+        }
+        next();
+        return { body, end: token.end };
+      }
+      if (token.type === 'equals') {
+        fail('empty key', token);
+      }
+      if (token.type !== 'word' && token.type !== 'string') {
+        fail(`unexpected ${describeToken(token)}`, token);
+      }
+
+      const keyToken = next();
+      const after = peek();
+
+      // Inheritance: extends = "prod", extends = ["prod", "eu"] or @extends "prod" (top level only)
+      if (!openBrace && keyToken.type === 'word' &&
+          ((keyToken.value === 'extends' && after.type === 'equals') || keyToken.value === '@extends')) {
+        if (after.type === 'equals') {
+          next();
+        }
+        const target = peek().type === 'word' ? next() : null;
+        const value = target
+          ? { type: 'String', value: target.value, loc: { start: target.start, end: target.end } }
+          : parseValueNode();
+        const names = value.type === 'Array' ? value.elements : [value];
+        if (names.length === 0 || names.some(name => name.type === 'Array' || name.type === 'Object' || !name.value)) {
+          fail('extends must be an environment name or a list of names', keyToken);
+        }
+        body.push({
+          type: 'Extends',
+          parents: names.map(name => String(name.value)),
+          loc: { start: keyToken.start, end: value.loc.end }
+        });
+        expectStatementEnd();
+        continue;
+      }
+
+      if (after.type === 'equals' || after.type === 'plusEquals') {
+        next();
+        const value = parseValueNode();
+        body.push({
+          type: 'Assignment',
+          key: keyToken.value,
+          keyLoc: { start: keyToken.start, end: keyToken.end },
+          operator: after.value,
+          value,
+          loc: { start: keyToken.start, end: value.loc.end }
+        });
+        expectStatementEnd();
+        continue;
+      }
+
+      // include "file.align" / include "fragments/*.align": splice other files in at this point
+      if (keyToken.type === 'word' && keyToken.value === 'include' && after.type === 'string') {
+        const target = next();
+        body.push({
+          type: 'Include',
+          path: target.value,
+          pathLoc: { start: target.start, end: target.end },
+          loc: { start: keyToken.start, end: target.end }
+        });
+        expectStatementEnd();
+        continue;
+      }
+
+      // unset key: remove an inherited key (and everything nested under it)
+      if (keyToken.type === 'word' && keyToken.value === 'unset' && (after.type === 'word' || after.type === 'string')) {
+        const target = next();
+        body.push({
+          type: 'Unset',
+          key: target.value,
+          keyLoc: { start: target.start, end: target.end },
+          loc: { start: keyToken.start, end: target.end }
+        });
+        expectStatementEnd();
+        continue;
+      }
+
+      // Block header: kind "name" { ... } or kind { ... }
+      let name = null;
+      if (keyToken.type === 'word' && after.type === 'string' && peek(1).type === 'lbrace') {
+        name = next().value;
+      }
+      if (keyToken.type === 'word' && peek().type === 'lbrace') {
+        const open = next();
+        const inner = parseStatements(open);
+        body.push({
+          type: 'Block',
+          kind: keyToken.value,
+          name,
+          body: inner.body,
+          loc: { start: keyToken.start, end: inner.end }
+        });
+        expectStatementEnd();
+        continue;
+      }
+
+      fail(`missing '=' after '${keyToken.raw}'`, keyToken);
+    }
+  }
+
+  const start = peek().start;
+  const { body, end } = parseStatements(null);
+  return { type: 'Document', body, comments, loc: { start, end } };
+}
+
+// Convert a value node to its plain JavaScript value
+function evaluateValueNode(node, nested = false) {
+  if (node.type === 'String') {
+    return node.value;
+  }
+  if (node.type === 'Array') {
+    return node.elements.map(element => evaluateValueNode(element, true));
+  }
+  if (node.type === 'Object') {
+    const result = {};
+    for (const property of node.properties) {
+      result[property.key] = evaluateValueNode(property.value, true);
+    }
+    return result;
+  }
+  return parseScalar(node.value, nested);
+}
+
+// Unquoted scalars: booleans, numbers, otherwise the raw text.
+// Inside arrays and objects numbers must be exact so that IPs and versions stay strings.
+function parseScalar(value, strict = false) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (strict) {
+    return /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(value) ? Number(value) : value;
+  }
+  // Typed literals (30s, 512MB, 2026-01-01) stay as written instead of being cut down by parseFloat
+  if (detectLiteralType(value)) {
+    return value;
+  }
+  const num = parseFloat(value);
+  if (!isNaN(num)) {
+    return num;
+  }
+  return value;
+}
+
+// Flatten an AST into the dotted-key object used everywhere else (block.name.key).
+// `+=` and `unset` are recorded as merge directives for mergeConfigs. Include statements
+// are only resolved when options.include is given (see loadAlignFile); options.provenance
+// collects where each key was set.
+function flattenAlignAST(ast, options = {}) {
+  const config = {};
+  const directives = {};
+  const provenance = options.provenance || {};
+  const assign = (key, value, operator, source) => {
+    if (operator === '+=' && Object.prototype.hasOwnProperty.call(config, key)) {
+      // Appending to a key set earlier in the same file
+      config[key] = mergeValues(config[key], value, 'append');
+    } else {
+      config[key] = value;
+      if (operator === '+=') {
+        directives[key] = 'append';
+      } else {
+        delete directives[key];
+      }
+    }
+    provenance[key] = source;
+  };
+  const remove = (key) => {
+    delete config[key];
+    delete provenance[key];
+    directives[key] = 'delete';
+  };
+  const visit = (statements, prefix) => {
+    for (const statement of statements) {
+      const key = statement.key !== undefined ? [...prefix, statement.key].join('.') : null;
+      if (statement.type === 'Assignment') {
+        const source = { file: options.file || null, line: statement.loc.start.line, column: statement.loc.start.column };
+        assign(key, evaluateValueNode(statement.value), statement.operator, source);
+      } else if (statement.type === 'Unset') {
+        remove(key);
+      } else if (statement.type === 'Block') {
+        const path = statement.name !== null ? [statement.kind, statement.name] : [statement.kind];
+        visit(statement.body, [...prefix, ...path]);
+      } else if (statement.type === 'Include' && options.include) {
+        for (const included of options.include(statement, prefix)) {
+          const includedDirectives = getMergeDirectives(included.config);
+          for (const [includedKey, directive] of Object.entries(includedDirectives)) {
+            if (directive === 'delete') {
+              remove([...prefix, includedKey].join('.'));
+            }
+          }
+          for (const [includedKey, value] of Object.entries(included.config)) {
+            const operator = includedDirectives[includedKey] === 'append' ? '+=' : '=';
+            assign([...prefix, includedKey].join('.'), value, operator, included.provenance[includedKey]);
+          }
+        }
+      }
+    }
+  };
+  visit(ast.body, []);
+  Object.defineProperty(config, MERGE_DIRECTIVES, { value: directives, enumerable: false });
+  return config;
+}
+
+function parseAlign(content, options = {}) {
+  return flattenAlignAST(parseAlignAST(content, options));
+}
+
+function parseValue(rawValue) {
+  try {
+    const ast = parseAlignAST(`value = ${String(rawValue).trim()}`);
+    return evaluateValueNode(ast.body[0].value);
+  } catch {
+    // Values that don't parse (e.g. stray quotes) are kept as plain strings
+    return String(rawValue).trim();
+  }
+}
+
+// Strings from outside .align (environment variables) only change type when they are
+// exactly true/false or a plain decimal number; 10.0.0.1, 02134 and 12abc stay strings
+const STRICT_NUMBER_PATTERN = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+function parseStrictScalar(raw) {
+  if (raw === 'true' || raw === 'false') {
+    return raw === 'true';
+  }
+  return STRICT_NUMBER_PATTERN.test(raw) ? Number(raw) : raw;
+}
+
+// FORMATTING: COMMENT-PRESERVING TREE AND CANONICAL PRINTER
+
+// parseAlignAST keeps comments in a side list; this puts them back into the tree so it can be
+// printed. Comments directly above a statement become its leadingComments and one on its last
+// line its trailingComment; any other comment is a { type: 'Comment' } item of the statement
+// list. Every item records blankBefore. Blocks get headerComment (after '{'), and statements
+// with comments inside their value are marked verbatim (the value is printed as written).
+// extent is the source range of a statement together with its comments.
+function parseAlignCST(content, options = {}) {
+  const source = String(content).replace(/\r\n?/g, '\n');
+  const ast = parseAlignAST(source, options);
+  const lineOf = node => node.loc.start.line;
+  const endLineOf = node => node.loc.end.line;
+  const inside = (node, comment) =>
+    comment.loc.start.offset > node.loc.start.offset && comment.loc.start.offset < node.loc.end.offset;
+  const commentItem = (comment, blankBefore) => ({ type: 'Comment', text: comment.value.trimEnd(), blankBefore, loc: comment.loc });
+
+  const attach = (statements, comments) => {
+    const items = [];
+    let previous = null;
+    let index = 0;
+    const blankBefore = line => previous !== null && line - previous > 1;
+
+    for (const statement of statements) {
+      // Comments above the statement; only a run touching it is attached to it
+      const above = [];
+      while (index < comments.length && comments[index].loc.start.offset < statement.loc.start.offset) {
+        const comment = comments[index++];
+        above.push(commentItem(comment, blankBefore(lineOf(comment))));
+        previous = endLineOf(comment);
+      }
+      const statementBlank = blankBefore(lineOf(statement));
+      let split = above.length;
+      if (!statementBlank) {
+        split = 0;
+        above.forEach((comment, k) => {
+          if (comment.blankBefore) {
+            split = k;
+          }
+        });
+      }
+      items.push(...above.slice(0, split));
+      const leading = above.slice(split);
+      statement.leadingComments = leading.map(comment => comment.text);
+      statement.blankBefore = leading.length > 0 ? leading[0].blankBefore : statementBlank;
+
+      // Comments inside the statement
+      const inner = [];
+      while (index < comments.length && inside(statement, comments[index])) {
+        inner.push(comments[index++]);
+      }
+      if (statement.type === 'Block') {
+        const header = inner.length > 0 && lineOf(inner[0]) === lineOf(statement) &&
+          (statement.body.length === 0 || lineOf(statement.body[0]) > lineOf(statement));
+        statement.headerComment = header ? inner.shift().value.trimEnd() : null;
+        statement.body = attach(statement.body, inner);
+      } else {
+        statement.verbatim = inner.length > 0;
+      }
+
+      // A comment on the line where the statement ends
+      statement.trailingComment = null;
+      let end = statement.loc.end.offset;
+      if (index < comments.length && lineOf(comments[index]) === endLineOf(statement)) {
+        end = comments[index].loc.end.offset;
+        statement.trailingComment = comments[index++].value.trimEnd();
+      }
+      statement.extent = { start: leading.length > 0 ? leading[0].loc.start.offset : statement.loc.start.offset, end };
+      items.push(statement);
+      previous = endLineOf(statement);
+    }
+    for (; index < comments.length; index++) {
+      items.push(commentItem(comments[index], blankBefore(lineOf(comments[index]))));
+      previous = endLineOf(comments[index]);
+    }
+    return items;
+  };
+
+  ast.body = attach(ast.body, ast.comments);
+  ast.source = source;
+  return ast;
+}
+
+// Keys that print bare; anything else (and words with a meaning of their own) is quoted
+const BARE_KEY = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+const RESERVED_KEYS = new Set(['extends', '@extends']);
+
+// Double quotes unless the value reads better in single quotes (backslashes or double quotes)
+function formatAlignString(value) {
+  const text = String(value);
+  if (/["\\]/.test(text) && !/['\n\r\t]/.test(text) && !text.endsWith('\\')) {
+    return `'${text}'`;
+  }
+  const escaped = text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r');
+  return `"${escaped}"`;
+}
+
+function formatAlignKey(key) {
+  return BARE_KEY.test(key) && !RESERVED_KEYS.has(key) ? key : formatAlignString(key);
+}
+
+// Print a value node; collections that spanned several lines stay multi-line
+function formatAlignValue(node, indent = '') {
+  const inner = `${indent}  `;
+  const multiline = node.loc.start.line !== node.loc.end.line;
+  if (node.type === 'String') {
+    return node.quote === 'heredoc' ? node.raw : formatAlignString(node.value);
+  }
+  if (node.type === 'Array') {
+    const items = node.elements.map(element => formatAlignValue(element, inner));
+    if (items.length === 0) {
+      return '[]';
+    }
+    return multiline ? `[\n${items.map(item => `${inner}${item}`).join(',\n')}\n${indent}]` : `[${items.join(', ')}]`;
+  }
+  if (node.type === 'Object') {
+    const properties = node.properties.map(property =>
+      `${formatAlignKey(property.key)} = ${formatAlignValue(property.value, inner)}`);
+    if (properties.length === 0) {
+      return '{}';
+    }
+    return multiline ? `{\n${properties.map(property => `${inner}${property}`).join('\n')}\n${indent}}` : `{ ${properties.join(', ')} }`;
+  }
+  return node.value;
+}
+
+// Statement lists split at blank lines
+function groupAlignItems(items) {
+  const groups = [];
+  items.forEach((item, i) => {
+    if (i === 0 || item.blankBefore) {
+      groups.push([]);
+    }
+    groups[groups.length - 1].push(item);
+  });
+  return groups;
+}
+
+// Key used by --sort; comments, include, unset and extends stay where they are and keys
+// are not moved past them
+function alignSortKey(item) {
+  if (item.type === 'Assignment') {
+    return item.key;
+  }
+  if (item.type === 'Block') {
+    return item.name !== null ? `${item.kind}.${item.name}` : item.kind;
+  }
+  return null;
+}
+
+// Alphabetical order within a run of keys, unless two of them overlap (db.host and a db
+// block), where the order decides which value wins
+function sortAlignRun(run) {
+  const keys = run.map(alignSortKey);
+  const overlapping = keys.some(key => keys.some(other =>
+    key.startsWith(`${other}.`) || other.startsWith(`${key}.`)));
+  if (overlapping) {
+    return run;
+  }
+  const sorted = [...run].sort((a, b) => {
+    const left = alignSortKey(a);
+    const right = alignSortKey(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+  });
+  // The blank line before the group stays at the top of the group
+  return sorted.map((item, i) => ({ ...item, blankBefore: run[i].blankBefore }));
+}
+
+function sortAlignGroup(group) {
+  // Comments above the first key head the group rather than belong to that key
+  const [first] = group;
+  const header = first.type !== 'Comment' && first.leadingComments.length > 0
+    ? first.leadingComments.map((text, i) => ({ type: 'Comment', text, blankBefore: i === 0 && first.blankBefore }))
+    : [];
+  const items = header.length > 0 ? [{ ...first, leadingComments: [], blankBefore: false }, ...group.slice(1)] : group;
+
+  const result = [...header];
+  let run = [];
+  for (const item of items) {
+    if (alignSortKey(item) === null) {
+      result.push(...sortAlignRun(run), item);
+      run = [];
+    } else {
+      run.push(item);
+    }
+  }
+  return [...result, ...sortAlignRun(run)];
+}
+
+// Print a statement list, lining up '=' within each group
+function formatAlignItems(items, indent, options) {
+  const lines = [];
+  for (const group of groupAlignItems(items)) {
+    const ordered = options.sort ? sortAlignGroup(group) : group;
+    const widths = alignmentWidths(ordered);
+    if (lines.length > 0) {
+      lines.push('');
+    }
+
+    ordered.forEach((item, i) => {
+      const width = widths[i];
+      if (item.type === 'Comment') {
+        lines.push(`${indent}${item.text}`);
+        return;
+      }
+      item.leadingComments.forEach(text => lines.push(`${indent}${text}`));
+      const trailing = item.trailingComment ? ` ${item.trailingComment}` : '';
+      const assign = (key, operator, value) =>
+        `${indent}${key.padEnd(width - operator.length)} ${operator}${value === '' ? '' : ` ${value}`}${trailing}`;
+
+      if (item.type === 'Assignment') {
+        const value = item.verbatim
+          ? options.source.slice(item.value.loc.start.offset, item.value.loc.end.offset)
+          : formatAlignValue(item.value, indent);
+        lines.push(assign(formatAlignKey(item.key), item.operator, value));
+      } else if (item.type === 'Extends') {
+        const parents = item.parents.map(formatAlignString);
+        lines.push(assign('extends', '=', parents.length === 1 ? parents[0] : `[${parents.join(', ')}]`));
+      } else if (item.type === 'Include') {
+        lines.push(`${indent}include ${formatAlignString(item.path)}${trailing}`);
+      } else if (item.type === 'Unset') {
+        lines.push(`${indent}unset ${formatAlignKey(item.key)}${trailing}`);
+      } else if (item.type === 'Block') {
+        const header = `${indent}${item.kind}${item.name !== null ? ` ${formatAlignString(item.name)}` : ''} {`;
+        const body = formatAlignItems(item.body, `${indent}  `, options);
+        if (body.length === 0 && !item.headerComment) {
+          lines.push(`${header}}${trailing}`);
+        } else {
+          lines.push(`${header}${item.headerComment ? ` ${item.headerComment}` : ''}`, ...body, `${indent}}${trailing}`);
+        }
+      }
+    });
+  }
+  return lines;
+}
+
+// Width of `key op` for each item of a group, so that '=' lines up. As in gofmt, a run of
+// aligned lines ends at a block, include or unset and after a value spanning several lines.
+function alignmentWidths(items) {
+  const widths = new Array(items.length).fill(0);
+  let start = 0;
+  const close = (end) => {
+    const width = Math.max(0, ...items.slice(start, end).map(item => {
+      if (item.type === 'Assignment') {
+        return formatAlignKey(item.key).length + item.operator.length;
+      }
+      return item.type === 'Extends' ? 'extends='.length : 0;
+    }));
+    widths.fill(width, start, end);
+    start = end;
+  };
+  items.forEach((item, i) => {
+    if (item.type !== 'Assignment' && item.type !== 'Extends' && item.type !== 'Comment') {
+      close(i);
+      start = i + 1;
+    } else if (item.type === 'Assignment' && item.value.loc.start.line !== item.value.loc.end.line) {
+      close(i + 1);
+    }
+  });
+  close(items.length);
+  return widths;
+}
+
+// What a file means, independent of layout: keys, values, directives, includes and parents
+function describeAlignSemantics(ast) {
+  const structure = [];
+  const visit = (statements, prefix) => statements.forEach(statement => {
+    if (statement.type === 'Include') {
+      structure.push(['include', prefix, statement.path]);
+    } else if (statement.type === 'Extends') {
+      structure.push(['extends', statement.parents]);
+    } else if (statement.type === 'Block') {
+      visit(statement.body, [...prefix, statement.kind, statement.name]);
+    }
+  });
+  visit(ast.body, []);
+  const config = flattenAlignAST(ast);
+  return canonicalJSON({ config, directives: getMergeDirectives(config), structure });
+}
+
+// Canonical layout for .align source: '=' aligned within groups, double quotes unless single
+// quotes avoid escapes, two-space indentation, one blank line between groups and comments
+// kept in place. options.sort orders keys alphabetically within each group. Throws rather
+// than return text that would mean something different from the input.
+function formatAlign(content, options = {}) {
+  const cst = parseAlignCST(content, options);
+  const lines = formatAlignItems(cst.body, '', { ...options, source: cst.source });
+  const output = lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  if (describeAlignSemantics(parseAlignAST(output)) !== describeAlignSemantics(cst)) {
+    throw new Error(`Formatting would change the meaning of ${options.file || 'the input'}; it was left as is`);
+  }
+  return output;
+}
+
+// DOCUMENT EDITING
+
+// .align text for a JavaScript value (the inverse of evaluateValueNode). .align has no null
+// literal (a bare null reads back as the string "null"), so null and undefined are errors.
+function toAlignLiteral(value) {
+  if (value === null || value === undefined) {
+    throw new Error(`Cannot write ${value} to .align: there is no null literal, unset the key instead`);
+  }
+  if (typeof value === 'string') {
+    return formatAlignString(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(toAlignLiteral).join(', ')}]`;
+  }
+  if (isPlainObject(value)) {
+    const properties = Object.entries(value).map(([key, item]) => `${formatAlignKey(key)} = ${toAlignLiteral(item)}`);
+    return properties.length > 0 ? `{ ${properties.join(', ')} }` : '{}';
+  }
+  return String(value);
+}
+
+// Edit .align source in place. Only the statements touched are rewritten, so comments,
+// ordering and formatting elsewhere stay byte for byte. Keys are flattened keys: db.host
+// finds `db.host = ...` as well as `host = ...` inside a `db { }` block.
+class AlignDocument {
+  constructor(content = '', options = {}) {
+    this.file = options.file || null;
+    this.original = String(content).replace(/\r\n?/g, '\n');
+    this.source = this.original;
+    this.reparse();
+  }
+
+  // Missing files throw unless options.initial gives the content of a new document
+  static load(file, options = {}) {
+    if (!fs.existsSync(file)) {
+      if (options.initial === undefined) {
+        throw new Error(`File not found: ${file}`);
+      }
+      return new AlignDocument(options.initial, { file });
+    }
+    return new AlignDocument(fs.readFileSync(file, 'utf8'), { file });
+  }
+
+  reparse() {
+    this.cst = parseAlignCST(this.source, { file: this.file });
+    this.config = flattenAlignAST(this.cst);
+  }
+
+  get changed() {
+    return this.source !== this.original;
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.config, key);
+  }
+
+  get(key) {
+    return this.config[key];
+  }
+
+  keys() {
+    return Object.keys(this.config);
+  }
+
+  // Assignments, unsets and blocks with their flattened key, block path and indentation
+  statements() {
+    const found = [];
+    const visit = (items, prefix, indent) => items.forEach(item => {
+      if (item.type === 'Assignment' || item.type === 'Unset') {
+        found.push({ statement: item, key: [...prefix, item.key].join('.'), prefix, indent });
+      } else if (item.type === 'Block') {
+        const path = item.name !== null ? [...prefix, item.kind, item.name] : [...prefix, item.kind];
+        found.push({ statement: item, key: path.join('.'), prefix, indent });
+        visit(item.body, path, `${indent}  `);
+      }
+    });
+    visit(this.cst.body, [], '');
+    return found;
+  }
+
+  splice(start, end, text) {
+    this.source = this.source.slice(0, start) + text + this.source.slice(end);
+    this.reparse();
+  }
+
+  // Set a key to a JavaScript value: the last statement for it is rewritten in place (a
+  // `+=` becomes `=`), otherwise a line is added to its block or to the end of the file
+  set(key, value) {
+    return this.setLiteral(key, toAlignLiteral(value));
+  }
+
+  setLiteral(key, literal) {
+    const last = this.statements().filter(entry => entry.key === key && entry.statement.type !== 'Block').pop();
+    if (last && last.statement.type === 'Assignment') {
+      const { statement } = last;
+      const between = this.source.slice(statement.keyLoc.end.offset, statement.value.loc.start.offset);
+      const operator = statement.operator === '+=' ? between.replace('+=', ' =') : between;
+      this.splice(statement.keyLoc.end.offset, statement.value.loc.end.offset, `${operator}${operator.endsWith(' ') ? '' : ' '}${literal}`);
+      return this;
+    }
+    // After an `unset` of the key, so that the new value is not removed again
+    return this.insert(key, name => `${formatAlignKey(name)} = ${literal}`, { after: last });
+  }
+
+  // Add the statement render(name) for key: after options.after (a statements() entry), else
+  // inside the deepest existing block on the key's path, else at the end of the file.
+  // options.comments are written above it.
+  insert(key, render, options = {}) {
+    let block = null;
+    for (const entry of this.statements()) {
+      if (entry.statement.type === 'Block' && key.startsWith(`${entry.key}.`) &&
+          (!block || entry.key.length > block.key.length)) {
+        block = entry;
+      }
+    }
+    const { after } = options;
+    const prefix = after ? after.prefix : block ? block.key.split('.') : [];
+    const indent = after ? after.indent : block ? `${block.indent}  ` : '';
+    const name = key.split('.').slice(prefix.length).join('.');
+    const lines = [...(options.comments || []), render(name)].map(line => `${indent}${line}`).join('\n');
+
+    if (after) {
+      const lineEnd = this.source.indexOf('\n', after.statement.extent.end);
+      const at = lineEnd === -1 ? this.source.length : lineEnd;
+      this.splice(at, at, `\n${lines}`);
+    } else if (block) {
+      const close = block.statement.loc.end.offset - 1;
+      const lineStart = this.source.lastIndexOf('\n', close - 1) + 1;
+      if (this.source.slice(lineStart, close).trim() === '') {
+        this.splice(lineStart, lineStart, `${lines}\n`);
+      } else {
+        const trimmed = this.source.slice(0, close).replace(/[ \t]+$/, '').length;
+        this.splice(trimmed, close, `\n${lines}\n${block.indent}`);
+      }
+    } else {
+      this.append(lines);
+    }
+    return this;
+  }
+
+  append(text) {
+    const newline = this.source.length > 0 && !this.source.endsWith('\n') ? '\n' : '';
+    this.splice(this.source.length, this.source.length, `${newline}${text}\n`);
+  }
+
+  // Remove every statement for a key, including nested keys and whole blocks, with the
+  // comments that belong to them. Returns whether anything was removed.
+  remove(key) {
+    const matches = this.statements().filter(entry => entry.statement.type !== 'Unset' &&
+      (entry.key === key || entry.key.startsWith(`${key}.`)));
+    const outermost = matches.filter(entry => !matches.some(other => other !== entry &&
+      other.statement.extent.start <= entry.statement.extent.start && other.statement.extent.end >= entry.statement.extent.end));
+    // Later statements first, so earlier offsets stay valid
+    outermost.reverse().forEach(entry => this.cut(entry.statement));
+    return outermost.length > 0;
+  }
+
+  // Delete a statement's lines (or only its text when it shares a line), then collapse the
+  // blank lines left on both sides into one
+  cut(statement) {
+    let start = statement.extent.start;
+    let end = statement.extent.end;
+    const lineStart = this.source.lastIndexOf('\n', start - 1) + 1;
+    const lineEnd = this.source.indexOf('\n', end);
+    const stop = lineEnd === -1 ? this.source.length : lineEnd;
+    if (this.source.slice(lineStart, start).trim() === '' && this.source.slice(end, stop).trim() === '') {
+      start = lineStart;
+      end = lineEnd === -1 ? stop : stop + 1;
+      const blankAbove = start === 0 || /\n[ \t]*\n$/.test(this.source.slice(0, start));
+      const blankBelow = /^[ \t]*(\n|$)/.test(this.source.slice(end));
+      if (blankAbove && blankBelow && end < this.source.length) {
+        end = this.source.indexOf('\n', end) + 1;
+      } else if (blankAbove && start > 0 && end >= this.source.length) {
+        // Nothing follows: drop the blank line above instead
+        start = this.source.lastIndexOf('\n', start - 2) + 1;
+      }
+    }
+    this.splice(start, end, '');
+  }
+
+  // Rename a key wherever it is set or unset. Statements in a block the new name does not
+  // belong to are moved to where the new key goes.
+  rename(from, to) {
+    const matches = this.statements().filter(entry => entry.key === from && entry.statement.type !== 'Block').reverse();
+    for (const { statement, prefix } of matches) {
+      const blockPath = prefix.join('.');
+      if (prefix.length === 0 || to.startsWith(`${blockPath}.`)) {
+        const name = prefix.length > 0 ? to.slice(blockPath.length + 1) : to;
+        this.splice(statement.keyLoc.start.offset, statement.keyLoc.end.offset, formatAlignKey(name));
+        continue;
+      }
+      const render = statement.type === 'Unset'
+        ? name => `unset ${formatAlignKey(name)}`
+        : name => `${formatAlignKey(name)} ${statement.operator} ${this.source.slice(statement.value.loc.start.offset, statement.value.loc.end.offset)}`;
+      this.cut(statement);
+      this.insert(to, render, { comments: statement.leadingComments });
+    }
+    return matches.length > 0;
+  }
+
+  // Move a key into a block, created at the end of the file when missing. Every statement
+  // for the key moves, in order (so `a = [1]` then `a += [2]` still gives [1, 2]), with
+  // values kept as written and their comments. Returns the new flattened key (block.name).
+  moveToBlock(key, block, name = key.split('.').pop()) {
+    const moved = this.statements().filter(entry => entry.key === key && entry.statement.type !== 'Block');
+    if (!moved.some(entry => entry.statement.type === 'Assignment')) {
+      throw new Error(`Cannot move ${key}: it is not set in ${this.file || 'this document'}`);
+    }
+    const kinds = block.split('.');
+    if (kinds.some(kind => !/^[A-Za-z_][A-Za-z0-9_-]*$/.test(kind))) {
+      throw new Error(`Invalid block name: ${block}`);
+    }
+    const renders = moved.map(({ statement }) => {
+      const trailing = statement.trailingComment ? ` ${statement.trailingComment}` : '';
+      const literal = statement.type === 'Unset' ? null : this.source.slice(statement.value.loc.start.offset, statement.value.loc.end.offset);
+      const render = statement.type === 'Unset'
+        ? relative => `unset ${formatAlignKey(relative)}${trailing}`
+        : relative => `${formatAlignKey(relative)} ${statement.operator} ${literal}${trailing}`;
+      return { render, comments: statement.leadingComments };
+    });
+    // Later statements first, so earlier offsets stay valid
+    moved.reverse().forEach(entry => this.cut(entry.statement));
+
+    if (!this.statements().some(entry => entry.statement.type === 'Block' && entry.key === block)) {
+      const opening = kinds.map((kind, depth) => `${'  '.repeat(depth)}${kind} {`);
+      const closing = kinds.map((_kind, depth) => `${'  '.repeat(depth)}}`).reverse();
+      this.append(`${this.source.trim() !== '' ? '\n' : ''}${[...opening, ...closing].join('\n')}`);
+    }
+    const target = `${block}.${name}`;
+    renders.forEach(({ render, comments }) => this.insert(target, render, { comments }));
+    return target;
+  }
+
+  toString() {
+    return this.source;
+  }
+
+  save(file = this.file) {
+    if (!file) {
+      throw new Error('AlignDocument.save needs a file path');
+    }
+    fs.writeFileSync(file, this.source);
+    this.original = this.source;
+    return this;
+  }
+}
+
+// Write changes to one environment's config through AlignDocument, into the files that set
+// each key (an included file when the key came from an include). Edits are { set, value },
+// { remove } or { rename, to }. Keys that no file sets go to base.align, or to the
+// environment file with options.target = 'environment'. Returns the files written, or with
+// options.dryRun the files that would be (nothing is saved).
+function applyConfigEdits(configDir, environment, edits, options = {}) {
+  const layers = loadEnvironmentLayers(configDir, environment, { optional: true });
+  const documents = new Map();
+  const open = (file) => {
+    const resolved = path.resolve(file);
+    if (!documents.has(resolved)) {
+      documents.set(resolved, AlignDocument.load(resolved, { initial: '' }));
+    }
+    return documents.get(resolved);
+  };
+  // Files setting the key or keys nested under it, the environment's own layer first
+  const filesSetting = (key) => [...new Set(layers.slice().reverse().flatMap(layer => Object.keys(layer.config)
+    .filter(candidate => candidate === key || candidate.startsWith(`${key}.`))
+    .map(candidate => (layer.provenance[candidate] && layer.provenance[candidate].file) || layer.file)))];
+  const fallback = path.join(configDir, options.target === 'environment' ? `${environment}.align` : 'base.align');
+
+  for (const edit of edits) {
+    if (edit.set !== undefined) {
+      const [file] = filesSetting(edit.set);
+      open(file || fallback).set(edit.set, edit.value);
+    } else if (edit.remove !== undefined) {
+      filesSetting(edit.remove).forEach(file => open(file).remove(edit.remove));
+    } else if (edit.rename !== undefined) {
+      filesSetting(edit.rename).forEach(file => open(file).rename(edit.rename, edit.to));
+    }
+  }
+
+  const changed = [...documents.values()].filter(document => document.changed);
+  if (!options.dryRun) {
+    changed.forEach(document => document.save());
+  }
+  return changed.map(document => document.file);
+}
+
+// Set or unset one key in an environment's own file (base.align with options.base) for
+// align set/unset. The merged result is validated before anything is written: the edited
+// environment, or every environment when only base.align is targeted. Edits are
+// { set, value } or { remove }. Throws when a target environment is locked or the edit
+// would leave a config invalid (see enforceEnvironmentLocks for options.lockOverride);
+// returns { file, changed, overridden }.
+function editConfigKey(configDir, environment, edit, options = {}) {
+  const name = options.base ? 'base' : environment;
+  const file = path.join(configDir, `${name}.align`);
+  const environments = environment && !options.base ? [environment] : discoverEnvironments(configDir);
+  const overridden = enforceEnvironmentLocks(configDir, environments, options.lockOverride);
+
+  const document = AlignDocument.load(file, { initial: '' });
+  if (edit.set !== undefined) {
+    document.set(edit.set, edit.value);
+  } else if (!document.remove(edit.remove)) {
+    throw new Error(`${edit.remove} is not set in ${file}`);
+  }
+  if (!document.changed) {
+    return { file, changed: false, overridden };
+  }
+
+  // Validate with the edited file in place of the one on disk
+  const edited = loadAlignFile(file, { content: document.toString() });
+  const cache = new Map([[file, { name, ...edited, parents: getEnvironmentParents(edited.ast) }]]);
+  const defaults = createDefaultsLayer(options.schema);
+  for (const target of environments.length > 0 ? environments : ['base']) {
+    const layers = loadEnvironmentLayers(configDir, target, { optional: true, cache });
+    for (const layer of layers) {
+      // As in build, keys with a schema default need not be set in base.align
+      const isBase = layer.name === 'base';
+      const config = isBase && defaults ? { ...defaults.config, ...layer.config } : layer.config;
+      const issues = collectValidationIssues(config, isBase, options.schema, { rules: false });
+      if (issues.length > 0) {
+        throw createValidationError(`${layer.name}.align would be invalid`, issues, layer.sources);
+      }
+    }
+    if (options.schema) {
+      const merged = coerceConfig(mergeLayers([defaults, ...layers].filter(Boolean), options.schema), options.schema).config;
+      const issues = collectValidationIssues(merged, true, options.schema);
+      if (issues.length > 0) {
+        throw createValidationError(`${target} would be invalid`, issues, layers.flatMap(layer => layer.sources));
+      }
+    }
+  }
+
+  document.save();
+  return { file, changed: true, overridden };
+}
+
+// TYPED LITERALS: DURATIONS, BYTE SIZES, DATETIMES AND URLS
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+// SI units are powers of 1000, IEC units (KiB, MiB, ...) powers of 1024
+const BYTE_UNITS = {
+  B: 1,
+  KB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12, PB: 1e15,
+  KIB: 1024, MIB: 1024 ** 2, GIB: 1024 ** 3, TIB: 1024 ** 4, PIB: 1024 ** 5
+};
+const DURATION_PATTERN = /^(?:\d+(?:\.\d+)?(?:ms|s|m|h|d|w))+$/;
+const DURATION_PART = /(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g;
+const BYTES_PATTERN = /^(\d+(?:\.\d+)?)\s?([KMGTP]i?B|B)$/i;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/\S+$/i;
+
+function durationUnitFactor(unit) {
+  if (!Object.prototype.hasOwnProperty.call(DURATION_UNITS, unit)) {
+    throw new Error(`Unknown duration unit "${unit}". Supported: ${Object.keys(DURATION_UNITS).join(', ')}`);
+  }
+  return DURATION_UNITS[unit];
+}
+
+function bytesUnitFactor(unit) {
+  const factor = BYTE_UNITS[String(unit).toUpperCase()];
+  if (factor === undefined) {
+    throw new Error(`Unknown byte unit "${unit}". Supported: B, KB, MB, GB, TB, PB, KiB, MiB, GiB, TiB, PiB`);
+  }
+  return factor;
+}
+
+// Milliseconds for a duration literal (30s, 1h30m) or a number given in `unit`; null otherwise
+function parseDurationValue(value, unit = 'ms') {
+  if (typeof value === 'number') {
+    return value * durationUnitFactor(unit);
+  }
+  if (typeof value !== 'string' || !DURATION_PATTERN.test(value.trim())) {
+    return null;
+  }
+  let total = 0;
+  for (const [, amount, partUnit] of value.trim().matchAll(DURATION_PART)) {
+    total += parseFloat(amount) * DURATION_UNITS[partUnit];
+  }
+  return total;
+}
+
+// Bytes for a size literal (512MB, 2GiB) or a number given in `unit`; null otherwise
+function parseBytesValue(value, unit = 'B') {
+  if (typeof value === 'number') {
+    return value * bytesUnitFactor(unit);
+  }
+  const match = typeof value === 'string' ? value.trim().match(BYTES_PATTERN) : null;
+  return match ? parseFloat(match[1]) * bytesUnitFactor(match[2]) : null;
+}
+
+// Epoch milliseconds for an ISO 8601 date or datetime; null otherwise
+function parseDateTimeValue(value) {
+  if (typeof value !== 'string' || !DATETIME_PATTERN.test(value.trim())) {
+    return null;
+  }
+  const time = Date.parse(value.trim());
+  return isNaN(time) ? null : time;
+}
+
+function isUrlValue(value) {
+  if (typeof value !== 'string' || !URL_PATTERN.test(value)) {
+    return false;
+  }
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// 'duration' | 'bytes' | 'datetime' | 'url' for a typed literal string, otherwise null
+function detectLiteralType(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  if (parseDurationValue(value) !== null) {
+    return 'duration';
+  }
+  if (parseBytesValue(value) !== null) {
+    return 'bytes';
+  }
+  if (parseDateTimeValue(value) !== null) {
+    return 'datetime';
+  }
+  if (isUrlValue(value)) {
+    return 'url';
+  }
+  return null;
+}
+
+// Rewrite durations and byte sizes as plain numbers in a target unit for exporters,
+// e.g. units = { duration: 's', bytes: 'MiB' }. Keys the schema types as duration or bytes
+// are converted (numbers are read in the schema's `unit`); other keys in the schema are left
+// alone (a "string" like 500m stays as written), and keys missing from it are converted
+// when their value is written as a literal.
+function normalizeTypedValues(config, schema = null, units = {}) {
+  const fields = schema ? getSchemaFields(schema) : {};
+  const convert = (value, type, sourceUnit) => {
+    if (Array.isArray(value)) {
+      return value.map(item => convert(item, type, sourceUnit));
+    }
+    if (type === 'duration' && units.duration) {
+      const ms = parseDurationValue(value, sourceUnit || 'ms');
+      return ms === null ? value : ms / durationUnitFactor(units.duration);
+    }
+    if (type === 'bytes' && units.bytes) {
+      const bytes = parseBytesValue(value, sourceUnit || 'B');
+      return bytes === null ? value : bytes / bytesUnitFactor(units.bytes);
+    }
+    return value;
+  };
+
+  const result = {};
+  for (const [key, value] of Object.entries(config)) {
+    const rules = fields[key];
+    if (rules && (rules.type === 'duration' || rules.type === 'bytes')) {
+      result[key] = convert(value, rules.type, rules.unit);
+    } else if (rules) {
+      result[key] = value;
+    } else {
+      const literal = Array.isArray(value) ? detectLiteralType(value[0]) : detectLiteralType(value);
+      result[key] = convert(value, literal);
+    }
+  }
+  return result;
+}
+
+// ERROR REPORTING WITH SOURCE LOCATIONS
+
+// Render the lines around a location with a caret under the offending text
+function renderCodeFrame(source, line, column, length = 1, contextLines = 2) {
+  const lines = String(source).replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+  if (!line || line > lines.length) {
+    return '';
+  }
+  const first = Math.max(1, line - contextLines);
+  const last = Math.min(lines.length, line + contextLines);
+  const width = String(last).length;
+  const frame = [];
+
+  for (let n = first; n <= last; n++) {
+    const text = lines[n - 1];
+    frame.push(`${n === line ? '>' : ' '} ${String(n).padStart(width)} | ${text}`);
+    if (n === line) {
+      // Keep tabs so the caret lines up with the source
+      const padding = text.slice(0, Math.max(0, column - 1)).replace(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(width)} | ${padding}${'^'.repeat(Math.max(1, length))}`);
+    }
+  }
+
+  return frame.join('\n');
+}
+
+class AlignSyntaxError extends Error {
+  constructor(reason, location = {}) {
+    const where = `${location.file ? `${location.file}:` : ''}${location.line}:${location.column}`;
+    super(`Invalid syntax on line ${location.line}: ${reason} (${where})`);
+    this.name = 'AlignSyntaxError';
+    this.reason = reason;
+    this.file = location.file || null;
+    this.line = location.line;
+    this.column = location.column;
+    this.length = location.length || 1;
+    this.frame = location.source !== undefined
+      ? renderCodeFrame(location.source, location.line, location.column, this.length)
+      : null;
+  }
+
+  toJSON() {
+    return {
+      type: 'syntax',
+      message: this.reason,
+      file: this.file,
+      line: this.line,
+      column: this.column,
+      endColumn: this.column + this.length,
+      frame: this.frame
+    };
+  }
+}
+
+class AlignValidationError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}: ${errors.map(error => error.message).join(', ')}` : message);
+    this.name = 'AlignValidationError';
+    this.title = message;
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return this.errors.map(error => ({
+      type: 'validation',
+      message: error.message,
+      key: error.key,
+      ...(error.keys ? { keys: error.keys } : {}),
+      file: error.file,
+      line: error.line,
+      column: error.column,
+      endColumn: error.endColumn,
+      frame: error.frame
+    }));
+  }
+}
+
+// Map every flattened key to the location of its (last) assigned value
+function collectKeyLocations(ast, prefix = []) {
+  const locations = {};
+  const visit = (statements, prefix) => {
+    for (const statement of statements) {
+      if (statement.type === 'Assignment') {
+        // Empty values (`key =`) point at the key instead
+        const loc = statement.value.loc.end.offset > statement.value.loc.start.offset ? statement.value.loc : statement.keyLoc;
+        locations[[...prefix, statement.key].join('.')] = {
+          line: loc.start.line,
+          column: loc.start.column,
+          endColumn: loc.end.line === loc.start.line ? loc.end.column : loc.start.column + 1
+        };
+      } else if (statement.type === 'Block') {
+        const path = statement.name !== null ? [statement.kind, statement.name] : [statement.kind];
+        visit(statement.body, [...prefix, ...path]);
+      }
+    }
+  };
+  visit(ast.body, prefix);
+  return locations;
+}
+
+// Attach file/line/column and a code frame to validation issues.
+// Sources are [{ file, content, prefix? }] in merge order; the last one defining a key wins.
+// prefix holds the block path of a file included inside a block.
+function locateValidationIssues(issues, sources = []) {
+  const located = sources.map(source => ({
+    ...source,
+    locations: collectKeyLocations(parseAlignAST(source.content, { file: source.file }), source.prefix)
+  }));
+  const fallbackFile = sources.length > 0 ? sources[sources.length - 1].file : null;
+
+  return issues.map(issue => {
+    for (let i = located.length - 1; i >= 0; i--) {
+      const location = located[i].locations[issue.key];
+      if (location) {
+        return {
+          ...issue,
+          file: located[i].file,
+          line: location.line,
+          column: location.column,
+          endColumn: location.endColumn,
+          frame: renderCodeFrame(located[i].content, location.line, location.column, location.endColumn - location.column)
+        };
+      }
+    }
+    // Missing keys have no location in any file
+    return { ...issue, file: fallbackFile, line: null, column: null, endColumn: null, frame: null };
+  });
+}
+
+function createValidationError(message, issues, sources = []) {
+  return new AlignValidationError(message, locateValidationIssues(issues, sources));
+}
+
+// Editor-friendly diagnostics for any error thrown while loading configuration
+function getErrorDiagnostics(err) {
+  if (err instanceof AlignSyntaxError) {
+    return [err.toJSON()];
+  }
+  if (err instanceof AlignValidationError) {
+    return err.toJSON();
+  }
+  return [{ type: 'error', message: err.message, file: null, line: null, column: null }];
+}
+
+function loadSchema(schemaPath) {
+  try {
+    if (!schemaPath || !fs.existsSync(schemaPath)) {
+      return null;
+    }
+    
+    const schemaContent = fs.readFileSync(schemaPath, 'utf-8');
+    return JSON.parse(schemaContent);
+  } catch (err) {
+    throw new Error(`Failed to load schema: ${err.message}`);
+  }
+}
+
+// Describe a value's type for error messages (arrays and null are not 'object')
+function describeValueType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Strings are quoted so a malformed literal is visible in the message
+function describeLiteral(value) {
+  return typeof value === 'string' ? `"${value}"` : describeValueType(value);
+}
+
+// SCHEMA VALIDATION (JSON SCHEMA DRAFT 2020-12 AND ALIGN'S FLAT KEY MAP)
+
+// Formats checked by `format`; unknown formats are annotations only, as in the spec
+const SCHEMA_FORMATS = {
+  'date-time': value => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value)),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  time: value => /^\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?$/.test(value),
+  duration: value => /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/.test(value) || parseDurationValue(value) !== null,
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  hostname: value => /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(value),
+  ipv4: value => net.isIPv4(value),
+  ipv6: value => net.isIPv6(value),
+  uri: value => /^[a-z][a-z0-9+.-]*:\S*$/i.test(value),
+  url: isUrlValue,
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  regex: value => {
+    try {
+      new RegExp(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+// align's literal types, checked (with unit-aware ranges) alongside the JSON types
+const LITERAL_TYPES = {
+  duration: { noun: 'a duration (e.g. 30s, 5m, 1h30m)', measure: (value, rules) => parseDurationValue(value, rules.unit) },
+  bytes: { noun: 'a byte size (e.g. 512MB, 2GiB)', measure: (value, rules) => parseBytesValue(value, rules.unit) },
+  datetime: { noun: 'an ISO 8601 datetime (e.g. 2026-01-01T00:00:00Z)', measure: value => parseDateTimeValue(value) },
+  url: { noun: 'a URL', measure: value => (isUrlValue(value) ? 0 : null) }
+};
+
+const TYPE_NOUNS = {
+  number: 'a number',
+  integer: 'an integer',
+  string: 'a string',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object',
+  null: 'null'
+};
+
+function matchesSchemaType(value, type) {
+  switch (type) {
+  case 'integer':
+    return Number.isInteger(value);
+  case 'null':
+    return value === null;
+  default:
+    return describeValueType(value) === type;
+  }
+}
+
+// A schema `pattern` or patternProperties key as a RegExp, or null when it does not compile.
+// JSON Schema documents use the u flag (ECMA-262 with Unicode, as the spec asks); flat-format
+// schemas compile without it, so patterns such as `\_` keep working there.
+function compileSchemaPattern(pattern, flags = 'u') {
+  try {
+    return new RegExp(pattern, flags);
+  } catch {
+    return null;
+  }
+}
+
+// A standard JSON Schema document rather than align's flat key -> rules map
+function isJSONSchema(schema) {
+  return isPlainObject(schema) && (
+    typeof schema.$schema === 'string' ||
+    isPlainObject(schema.$defs) ||
+    isPlainObject(schema.definitions) ||
+    (schema.type === 'object' && isPlainObject(schema.properties))
+  );
+}
+
+// Resolve a local "#/..." $ref against the schema root (only local refs are supported)
+function resolveSchemaRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported $ref "${ref}": only references within the schema (#/$defs/...) are supported`);
+  }
+  let target = root;
+  for (const part of ref.slice(1).split('/').slice(1)) {
+    const name = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+    target = isPlainObject(target) || Array.isArray(target) ? target[name] : undefined;
+  }
+  if (target === undefined) {
+    throw new Error(`Unresolvable $ref "${ref}"`);
+  }
+  return target;
+}
+
+// The flat map ({ key: { type, required, min, ... } }) is an object schema whose
+// properties carry `required: true` themselves
+function normalizeSchema(schema) {
+  if (isJSONSchema(schema)) {
+    return schema;
+  }
+  const properties = {};
+  for (const [key, rules] of Object.entries(schema || {})) {
+    if (isPlainObject(rules)) {
+      properties[key] = rules;
+    }
+  }
+  return { type: 'object', properties };
+}
+
+// Validate a value against a JSON Schema, returning { key, message } issues (key is the
+// top-level config key involved). Also understands align's extensions: `required: true`
+// on a property, `min`/`max`, and the duration/bytes/datetime/url types.
+// options.partial skips top-level completeness checks (required, dependentRequired) for
+// a single layer; options.skip(key) skips a top-level value (e.g. unresolved templates);
+// options.patternFlags are the RegExp flags for patterns ('u' unless given).
+function validateJSONSchema(instance, schema, options = {}) {
+  const root = schema;
+  const patternFlags = options.patternFlags !== undefined ? options.patternFlags : 'u';
+
+  const resolveRef = ref => resolveSchemaRef(root, ref);
+
+  const formatPath = path => path.reduce((label, segment) => (
+    typeof segment === 'number' ? `${label}[${segment}]` : label ? `${label}.${segment}` : segment
+  ), '');
+
+  // refs are the $refs already followed at this value, so a schema that refers back to
+  // itself without descending into the value is reported instead of recursing forever
+  const visit = (value, node, path, partial, refs = []) => {
+    const issues = [];
+    if (node === true || node === undefined || node === null) {
+      return issues;
+    }
+    const label = formatPath(path) || 'config';
+    const report = (message, key = path[0]) => issues.push({ key: key !== undefined ? String(key) : null, message });
+    if (node === false) {
+      report(`${label} is not allowed`);
+      return issues;
+    }
+    const check = (subValue, subNode, subPath, subPartial = partial) =>
+      issues.push(...visit(subValue, subNode, subPath, subPartial, subPath === path ? refs : []));
+    const isValid = (subNode, subPartial = false) => visit(value, subNode, path, subPartial, refs).length === 0;
+
+    if (typeof node.$ref === 'string') {
+      if (refs.includes(node.$ref)) {
+        report(`${label}: $ref "${node.$ref}" in the schema refers back to itself`);
+      } else {
+        issues.push(...visit(value, resolveRef(node.$ref), path, partial, [...refs, node.$ref]));
+      }
+    }
+
+    // Types (a mismatch makes the remaining keyword checks meaningless)
+    if (node.type !== undefined) {
+      const types = [].concat(node.type);
+      const literal = types.length === 1 ? LITERAL_TYPES[types[0]] : null;
+      if (literal) {
+        if (literal.measure(value, node) === null) {
+          report(`${label} must be ${literal.noun}, got ${describeLiteral(value)}`);
+          return issues;
+        }
+      } else if (!types.some(type => !TYPE_NOUNS[type] || matchesSchemaType(value, type))) {
+        report(`${label} must be ${types.map(type => TYPE_NOUNS[type]).join(' or ')}, got ${describeValueType(value)}`);
+        return issues;
+      }
+    }
+
+    if (Array.isArray(node.enum) && !node.enum.some(option => isDeepStrictEqual(option, value))) {
+      report(`${label} must be one of ${node.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if (node.const !== undefined && !isDeepStrictEqual(node.const, value)) {
+      report(`${label} must be ${JSON.stringify(node.const)}, got ${JSON.stringify(value)}`);
+    }
+
+    // Numbers (min/max are align's spelling of minimum/maximum)
+    const literal = LITERAL_TYPES[node.type];
+    if (literal) {
+      const actual = literal.measure(value, node);
+      const min = node.min !== undefined ? literal.measure(node.min, node) : null;
+      const max = node.max !== undefined ? literal.measure(node.max, node) : null;
+      if (min !== null && actual < min) {
+        report(`${label} must be >= ${node.min}, got ${value}`);
+      }
+      if (max !== null && actual > max) {
+        report(`${label} must be <= ${node.max}, got ${value}`);
+      }
+    } else if (typeof value === 'number') {
+      const minimum = node.minimum !== undefined ? node.minimum : node.min;
+      const maximum = node.maximum !== undefined ? node.maximum : node.max;
+      if (minimum !== undefined && value < minimum) {
+        report(`${label} must be >= ${minimum}, got ${value}`);
+      }
+      if (maximum !== undefined && value > maximum) {
+        report(`${label} must be <= ${maximum}, got ${value}`);
+      }
+      if (node.exclusiveMinimum !== undefined && value <= node.exclusiveMinimum) {
+        report(`${label} must be > ${node.exclusiveMinimum}, got ${value}`);
+      }
+      if (node.exclusiveMaximum !== undefined && value >= node.exclusiveMaximum) {
+        report(`${label} must be < ${node.exclusiveMaximum}, got ${value}`);
+      }
+      if (node.multipleOf !== undefined && Math.abs(value / node.multipleOf - Math.round(value / node.multipleOf)) > 1e-9) {
+        report(`${label} must be a multiple of ${node.multipleOf}, got ${value}`);
+      }
+    }
+
+    // Strings
+    if (typeof value === 'string') {
+      if (node.minLength !== undefined && value.length < node.minLength) {
+        report(`${label} must be at least ${node.minLength} characters, got ${value.length}`);
+      }
+      if (node.maxLength !== undefined && value.length > node.maxLength) {
+        report(`${label} must be at most ${node.maxLength} characters, got ${value.length}`);
+      }
+      const pattern = node.pattern ? compileSchemaPattern(node.pattern, patternFlags) : null;
+      if (node.pattern && !pattern) {
+        report(`${label} has an invalid pattern in the schema: ${node.pattern}`);
+      } else if (pattern && !pattern.test(value)) {
+        report(`${label} must match pattern ${node.pattern}, got "${value}"`);
+      }
+      if (node.format && SCHEMA_FORMATS[node.format] && !SCHEMA_FORMATS[node.format](value)) {
+        report(`${label} must be a valid ${node.format}, got "${value}"`);
+      }
+    }
+
+    // Arrays
+    if (Array.isArray(value)) {
+      if (node.minItems !== undefined && value.length < node.minItems) {
+        report(`${label} must have at least ${node.minItems} items, got ${value.length}`);
+      }
+      if (node.maxItems !== undefined && value.length > node.maxItems) {
+        report(`${label} must have at most ${node.maxItems} items, got ${value.length}`);
+      }
+      const prefixItems = Array.isArray(node.prefixItems) ? node.prefixItems : [];
+      value.forEach((item, index) => {
+        if (index < prefixItems.length) {
+          check(item, prefixItems[index], [...path, index]);
+        } else if (node.items !== undefined && !Array.isArray(node.items)) {
+          check(item, node.items, [...path, index]);
+        }
+      });
+      if (node.uniqueItems && value.some((item, index) => value.findIndex(other => isDeepStrictEqual(other, item)) !== index)) {
+        report(`${label} must not contain duplicate items`);
+      }
+      if (node.contains !== undefined) {
+        const matches = value.filter((item, index) => visit(item, node.contains, [...path, index], false).length === 0).length;
+        const minContains = node.minContains !== undefined ? node.minContains : 1;
+        if (matches < minContains) {
+          report(`${label} must contain at least ${minContains} matching item(s), found ${matches}`);
+        }
+        if (node.maxContains !== undefined && matches > node.maxContains) {
+          report(`${label} must contain at most ${node.maxContains} matching item(s), found ${matches}`);
+        }
+      }
+    }
+
+    // Objects
+    if (isPlainObject(value)) {
+      const complete = !(partial && path.length === 0);
+      const properties = isPlainObject(node.properties) ? node.properties : {};
+      const patterns = isPlainObject(node.patternProperties)
+        ? Object.entries(node.patternProperties).map(([pattern, subNode]) => [compileSchemaPattern(pattern, patternFlags), subNode, pattern])
+        : [];
+      patterns.filter(([regex]) => !regex)
+        .forEach(([, , pattern]) => report(`${label} has an invalid patternProperties pattern in the schema: ${pattern}`));
+      const child = name => formatPath([...path, name]);
+      const has = name => Object.prototype.hasOwnProperty.call(value, name);
+
+      if (complete && Array.isArray(node.required)) {
+        for (const name of node.required.filter(name => !has(name))) {
+          report(`Missing required key: ${child(name)}`, path.length ? path[0] : name);
+        }
+      }
+      for (const [name, subNode] of Object.entries(properties)) {
+        if (!has(name)) {
+          if (complete && isPlainObject(subNode) && subNode.required === true) {
+            report(`Missing required key: ${child(name)}`, path.length ? path[0] : name);
+          }
+          continue;
+        }
+        if (path.length === 0 && options.skip && options.skip(name)) {
+          continue;
+        }
+        check(value[name], subNode, [...path, name]);
+      }
+      for (const name of Object.keys(value)) {
+        if (path.length === 0 && options.skip && options.skip(name)) {
+          continue;
+        }
+        const matching = patterns.filter(([regex]) => regex && regex.test(name));
+        matching.forEach(([, subNode]) => check(value[name], subNode, [...path, name]));
+        if (Object.prototype.hasOwnProperty.call(properties, name) || matching.length > 0) {
+          continue;
+        }
+        if (node.additionalProperties === false) {
+          report(`Unknown key: ${child(name)}`, path.length ? path[0] : name);
+        } else if (isPlainObject(node.additionalProperties)) {
+          check(value[name], node.additionalProperties, [...path, name]);
+        }
+      }
+      if (node.propertyNames !== undefined) {
+        for (const name of Object.keys(value)) {
+          if (visit(name, node.propertyNames, [...path, name], false).length > 0) {
+            report(`Invalid key name: ${child(name)}`, path.length ? path[0] : name);
+          }
+        }
+      }
+      const count = Object.keys(value).length;
+      if (node.minProperties !== undefined && count < node.minProperties) {
+        report(`${label} must have at least ${node.minProperties} keys, got ${count}`);
+      }
+      if (node.maxProperties !== undefined && count > node.maxProperties) {
+        report(`${label} must have at most ${node.maxProperties} keys, got ${count}`);
+      }
+      if (complete && isPlainObject(node.dependentRequired)) {
+        for (const [name, dependencies] of Object.entries(node.dependentRequired)) {
+          if (!has(name)) {
+            continue;
+          }
+          for (const dependency of dependencies.filter(dependency => !has(dependency))) {
+            report(`${child(dependency)} is required when ${child(name)} is set`, path.length ? path[0] : name);
+          }
+        }
+      }
+      if (isPlainObject(node.dependentSchemas)) {
+        for (const [name, subNode] of Object.entries(node.dependentSchemas)) {
+          if (has(name)) {
+            check(value, subNode, path);
+          }
+        }
+      }
+    }
+
+    // Composition
+    if (Array.isArray(node.allOf)) {
+      node.allOf.forEach(subNode => check(value, subNode, path));
+    }
+    if (Array.isArray(node.anyOf) && !node.anyOf.some(subNode => isValid(subNode, partial))) {
+      report(`${label} must match at least one of the allowed schemas (anyOf)`);
+    }
+    if (Array.isArray(node.oneOf)) {
+      const matched = node.oneOf.filter(subNode => isValid(subNode, partial)).length;
+      if (matched !== 1) {
+        report(`${label} must match exactly one of the allowed schemas (oneOf), matched ${matched}`);
+      }
+    }
+    if (node.not !== undefined && isValid(node.not)) {
+      report(`${label} must not match the disallowed schema (not)`);
+    }
+    // The `if` condition is always evaluated against the whole value
+    if (node.if !== undefined) {
+      if (isValid(node.if)) {
+        if (node.then !== undefined) {
+          check(value, node.then, path);
+        }
+      } else if (node.else !== undefined) {
+        check(value, node.else, path);
+      }
+    }
+
+    return issues;
+  };
+
+  return visit(instance, root, [], options.partial === true);
+}
+
+// SCHEMA RULES (CROSS-FIELD CONSTRAINTS)
+
+// A schema's top-level "rules" array relates keys to each other:
+//   { "key": "ssl_enabled", "requires": ["ssl_cert_path"] }
+//   { "conflicts": ["debug", "production_mode"] }            (or "key" + "conflicts")
+//   { "assert": "min_pool_size <= max_pool_size" }            (or just the string)
+//   { "when": "ssl_enabled == true", "required": ["ssl_cert_path"] }
+// "when" can guard any rule; "message" replaces the generated description.
+const RULE_OPERATORS = ['==', '!=', '<=', '>=', '<', '>'];
+const RULE_TOKEN = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(&&|\|\||==|!=|<=|>=|<|>|!)|([^\s!<>=&|"']+))/y;
+
+// Bare words are numbers, booleans, null or typed literals (30s, 512MB); anything else is a key
+function parseRuleOperand(token) {
+  if (token.quoted !== undefined) {
+    return { literal: token.quoted };
+  }
+  if (token.word === 'null') {
+    return { literal: null };
+  }
+  const scalar = parseScalar(token.word, true);
+  if (typeof scalar !== 'string' || detectLiteralType(scalar)) {
+    return { literal: scalar };
+  }
+  return { key: token.word };
+}
+
+// Parse "a <= b", "!debug" or "ssl_enabled == true && env != 'dev'" into OR-ed groups of
+// AND-ed clauses ({ negate, left, operator?, right? })
+function parseRuleExpression(expression) {
+  const invalid = (reason) => new Error(`Invalid rule expression "${expression}": ${reason}`);
+  const tokens = [];
+  RULE_TOKEN.lastIndex = 0;
+  while (RULE_TOKEN.lastIndex < expression.length && expression.slice(RULE_TOKEN.lastIndex).trim()) {
+    const match = RULE_TOKEN.exec(expression);
+    if (!match) {
+      throw invalid(`unexpected "${expression.slice(RULE_TOKEN.lastIndex).trim()}"`);
+    }
+    if (match[1] !== undefined) {
+      const quoted = match[1].startsWith('"') ? JSON.parse(match[1]) : match[1].slice(1, -1).replace(/\\(.)/g, '$1');
+      tokens.push({ quoted });
+    } else if (match[2] !== undefined) {
+      tokens.push({ operator: match[2] });
+    } else {
+      tokens.push({ word: match[3] });
+    }
+  }
+
+  let position = 0;
+  const operand = () => {
+    const token = tokens[position++];
+    if (!token || token.operator) {
+      throw invalid(token ? `unexpected "${token.operator}"` : 'expected a key or value');
+    }
+    return parseRuleOperand(token);
+  };
+
+  const groups = [[]];
+  for (;;) {
+    const clause = { negate: false };
+    if (tokens[position] && tokens[position].operator === '!') {
+      clause.negate = true;
+      position++;
+    }
+    clause.left = operand();
+    const next = tokens[position];
+    if (next && RULE_OPERATORS.includes(next.operator)) {
+      if (clause.negate) {
+        throw invalid('"!" only applies to a single key');
+      }
+      position++;
+      clause.operator = next.operator;
+      clause.right = operand();
+    }
+    groups[groups.length - 1].push(clause);
+
+    const joiner = tokens[position++];
+    if (!joiner) {
+      return groups;
+    }
+    if (joiner.operator === '||') {
+      groups.push([]);
+    } else if (joiner.operator !== '&&') {
+      throw invalid(`expected && or || before "${joiner.operator || joiner.word || joiner.quoted}"`);
+    }
+  }
+}
+
+function getRuleExpressionKeys(groups) {
+  const keys = [];
+  for (const clause of groups.flat()) {
+    for (const side of [clause.left, clause.right]) {
+      if (side && side.key && !keys.includes(side.key)) {
+        keys.push(side.key);
+      }
+    }
+  }
+  return keys;
+}
+
+// A key counts as set when it is present and neither null nor false
+function isRuleKeySet(config, key) {
+  return key in config && config[key] !== null && config[key] !== false;
+}
+
+// Durations, byte sizes and datetimes compare by magnitude (using the schema's type and
+// unit for keys); a plain number on the other side is read in the default unit
+function measureRuleValue(value, rules = {}) {
+  const type = LITERAL_TYPES[rules.type] && rules.type !== 'url' ? rules.type : detectLiteralType(value);
+  if (type && type !== 'url') {
+    const amount = LITERAL_TYPES[type].measure(value, rules);
+    if (amount !== null) {
+      return { kind: type, amount };
+    }
+  }
+  return typeof value === 'number' ? { kind: 'number', amount: value } : null;
+}
+
+function compareRuleValues(left, right, operator, leftRules, rightRules) {
+  let a = measureRuleValue(left, leftRules);
+  let b = measureRuleValue(right, rightRules);
+  if (a && b && a.kind !== b.kind) {
+    if (a.kind === 'number') a = { kind: b.kind, amount: a.amount };
+    if (b.kind === 'number') b = { kind: a.kind, amount: b.amount };
+  }
+  const comparable = a && b && a.kind === b.kind;
+  if (!comparable && (operator === '==' || operator === '!=')) {
+    return isDeepStrictEqual(left, right) === (operator === '==');
+  }
+  if (!comparable) {
+    // Plain strings order lexicographically; a string never orders against a measure
+    if (a || b || typeof left !== 'string' || typeof right !== 'string') {
+      return null;
+    }
+    a = { amount: left };
+    b = { amount: right };
+  }
+  switch (operator) {
+  case '==': return a.amount === b.amount;
+  case '!=': return a.amount !== b.amount;
+  case '<': return a.amount < b.amount;
+  case '<=': return a.amount <= b.amount;
+  case '>': return a.amount > b.amount;
+  default: return a.amount >= b.amount;
+  }
+}
+
+// true/false, or null when a comparison involves an unset key or incomparable values
+function evaluateRuleExpression(groups, config, fields) {
+  const resolve = side => (side.key !== undefined ? config[side.key] : side.literal);
+  let undecided = false;
+  for (const group of groups) {
+    let holds = true;
+    for (const clause of group) {
+      let result;
+      if (!clause.operator) {
+        result = clause.left.key !== undefined ? isRuleKeySet(config, clause.left.key) : clause.left.literal !== null && clause.left.literal !== false;
+        result = clause.negate ? !result : result;
+      } else if ([clause.left, clause.right].some(side => side.key !== undefined && !(side.key in config))) {
+        result = null;
+      } else {
+        result = compareRuleValues(resolve(clause.left), resolve(clause.right), clause.operator, fields[clause.left.key], fields[clause.right.key]);
+      }
+      if (result !== true) {
+        undecided = undecided || result === null;
+        holds = false;
+        break;
+      }
+    }
+    if (holds) {
+      return true;
+    }
+  }
+  return undecided ? null : false;
+}
+
+// "a = 20, b is not set" for every key a rule involves
+function describeRuleKeys(config, keys) {
+  return keys.map(key => (key in config ? `${key} = ${JSON.stringify(config[key])}` : `${key} is not set`)).join(', ');
+}
+
+// Check a complete (merged) config against the schema's rules. Every issue names all the
+// keys involved and carries them as `keys`; `key` is the first one for source locations.
+function evaluateSchemaRules(config, schema) {
+  const rules = schema && schema.rules;
+  if (rules === undefined) {
+    return [];
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('Schema "rules" must be an array');
+  }
+  const fields = getSchemaFields(schema);
+  const issues = [];
+
+  rules.forEach((rawRule, index) => {
+    const rule = typeof rawRule === 'string' ? { assert: rawRule } : rawRule;
+    const invalid = (reason) => new Error(`Invalid schema rule #${index + 1}: ${reason}`);
+    const keyList = (value, name) => {
+      const list = [].concat(value);
+      if (list.length === 0 || list.some(key => typeof key !== 'string')) {
+        throw invalid(`"${name}" must be a key or a list of keys`);
+      }
+      return list;
+    };
+    if (!isPlainObject(rule)) {
+      throw invalid('expected an object or an expression string');
+    }
+    if (!['requires', 'conflicts', 'assert', 'required'].some(kind => rule[kind] !== undefined)) {
+      throw invalid('expected one of "requires", "conflicts", "assert" or "required"');
+    }
+    if (rule.key !== undefined && typeof rule.key !== 'string') {
+      throw invalid('"key" must be a string');
+    }
+    if (rule.requires !== undefined && rule.key === undefined) {
+      throw invalid('"requires" needs a "key"');
+    }
+
+    const condition = rule.when !== undefined ? parseRuleExpression(String(rule.when)) : null;
+    const assertion = rule.assert !== undefined ? parseRuleExpression(String(rule.assert)) : null;
+    const conditionKeys = condition ? getRuleExpressionKeys(condition) : [];
+    const allKeys = [...conditionKeys];
+    const addKeys = list => list.forEach(key => { if (!allKeys.includes(key)) allKeys.push(key); });
+    if (rule.key !== undefined) addKeys([rule.key]);
+    const required = rule.required !== undefined ? keyList(rule.required, 'required') : [];
+    const requires = rule.requires !== undefined ? keyList(rule.requires, 'requires') : [];
+    const conflicts = rule.conflicts !== undefined ? keyList(rule.conflicts, 'conflicts') : [];
+    addKeys(required);
+    addKeys(requires);
+    addKeys(conflicts);
+    if (assertion) addKeys(getRuleExpressionKeys(assertion));
+
+    // Templates are checked once interpolated
+    if (allKeys.some(key => containsInterpolation(config[key]))) {
+      return;
+    }
+    if (condition && evaluateRuleExpression(condition, config, fields) !== true) {
+      return;
+    }
+    const suffix = condition ? ` when ${rule.when}` : '';
+    const report = (description, keys) => {
+      const involved = [...conditionKeys];
+      keys.forEach(key => { if (!involved.includes(key)) involved.push(key); });
+      issues.push({
+        key: involved[0],
+        keys: involved,
+        rule: index + 1,
+        message: `${rule.message || description} (${describeRuleKeys(config, involved)})`
+      });
+    };
+
+    for (const key of required) {
+      if (!isRuleKeySet(config, key)) {
+        report(`${key} is required${suffix}`, [key]);
+      }
+    }
+    if (requires.length > 0 && isRuleKeySet(config, rule.key)) {
+      const missing = requires.filter(key => !isRuleKeySet(config, key));
+      if (missing.length > 0) {
+        report(`${rule.key} requires ${missing.join(', ')}${suffix}`, [rule.key, ...missing]);
+      }
+    }
+    if (conflicts.length > 0) {
+      if (rule.key !== undefined) {
+        const clashing = isRuleKeySet(config, rule.key) ? conflicts.filter(key => isRuleKeySet(config, key)) : [];
+        if (clashing.length > 0) {
+          report(`${rule.key} conflicts with ${clashing.join(', ')}${suffix}`, [rule.key, ...clashing]);
+        }
+      } else {
+        const setKeys = conflicts.filter(key => isRuleKeySet(config, key));
+        if (setKeys.length > 1) {
+          report(`Only one of ${conflicts.join(', ')} may be set${suffix}`, conflicts);
+        }
+      }
+    }
+    if (assertion) {
+      const assertionKeys = getRuleExpressionKeys(assertion);
+      // Unset keys are left to "required" (unless the assertion only tests presence)
+      const holds = evaluateRuleExpression(assertion, config, fields);
+      if (holds === false) {
+        report(`${rule.assert} does not hold${suffix}`, assertionKeys);
+      } else if (holds === null && assertionKeys.every(key => key in config)) {
+        report(`${rule.assert} cannot be evaluated: values are not comparable${suffix}`, assertionKeys);
+      }
+    }
+  });
+
+  return issues;
+}
+
+// Validation issues as { key, message } so callers can attach source locations.
+// Schema rules run on complete configs; pass { rules: false } for a base layer that
+// will be validated again once merged.
+function collectValidationIssues(config, isBaseConfig = false, schema = null, options = {}) {
+  const issues = [];
+  const report = (key, message) => issues.push({ key, message });
+  // Values with ${...} references are checked once interpolated (after merge)
+  const present = key => key in config && !containsInterpolation(config[key]);
+
+  // Schema-based validation: completeness checks (required keys) only apply to base configs,
+  // and values with ${...} references are checked once interpolated
+  if (schema) {
+    issues.push(...validateJSONSchema(config, normalizeSchema(schema), {
+      partial: !isBaseConfig,
+      skip: key => containsInterpolation(config[key]),
+      patternFlags: isJSONSchema(schema) ? 'u' : ''
+    }));
+    // Cross-field rules relate keys that may come from different layers
+    if (isBaseConfig && options.rules !== false) {
+      issues.push(...evaluateSchemaRules(config, schema));
+    }
+  } else {
+    // Legacy validation (only for base configs)
+    if (isBaseConfig) {
+      if (!('service_name' in config)) {
+        report('service_name', 'Missing required key: service_name');
+      }
+    }
+
+    // Type validation for all configs
+    if (present('timeout') && typeof config.timeout !== 'number' && parseDurationValue(config.timeout) === null) {
+      report('timeout', 'timeout must be a number');
+    }
+
+    if (present('auth_required') && typeof config.auth_required !== 'boolean') {
+      report('auth_required', 'auth_required must be true or false');
+    }
+
+    if (present('service_name') && typeof config.service_name !== 'string') {
+      report('service_name', 'service_name must be a string');
+    }
+
+    if (present('debug') && typeof config.debug !== 'boolean') {
+      report('debug', 'debug must be true or false');
+    }
+
+    if (present('port') && typeof config.port !== 'number') {
+      report('port', 'port must be a number');
+    }
+
+    if (present('database_url') && typeof config.database_url !== 'string') {
+      report('database_url', 'database_url must be a string');
+    }
+
+    if (present('log_level') && typeof config.log_level !== 'string') {
+      report('log_level', 'log_level must be a string');
+    }
+  }
+
+  return issues;
+}
+
+function validateConfig(config, isBaseConfig = false, schema = null, options = {}) {
+  return collectValidationIssues(config, isBaseConfig, schema, options).map(issue => issue.message);
+}
+
+// SCHEMA-DRIVEN COERCION
+
+const NUMERIC_TEXT = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?$/;
+// Words read as booleans; anything but true/false is reported as ambiguous
+const BOOLEAN_WORDS = { true: true, false: false, yes: true, no: false, on: true, off: false, 1: true, 0: false };
+
+// Convert a string to one declared type; { value } on success (plus a warning when the
+// conversion loses information or guesses), null when the text doesn't fit the type
+function coerceToType(text, type, rules) {
+  const trimmed = text.trim();
+  switch (type) {
+  case 'number':
+  case 'integer': {
+    const number = Number(trimmed);
+    if (!NUMERIC_TEXT.test(trimmed) || !Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+      return null;
+    }
+    if (/^[+-]?0\d/.test(trimmed)) {
+      return { value: number, warning: `"${text}" became ${number}, dropping its leading zeros` };
+    }
+    if (Number.isInteger(number) && !Number.isSafeInteger(number)) {
+      return { value: number, warning: `"${text}" is too large to be represented exactly (became ${number})` };
+    }
+    return { value: number };
+  }
+  case 'boolean': {
+    const word = trimmed.toLowerCase();
+    if (!(word in BOOLEAN_WORDS)) {
+      return null;
+    }
+    return word === 'true' || word === 'false'
+      ? { value: BOOLEAN_WORDS[word] }
+      : { value: BOOLEAN_WORDS[word], warning: `"${text}" was read as ${BOOLEAN_WORDS[word]}` };
+  }
+  case 'null':
+    return trimmed === 'null' ? { value: null } : null;
+  case 'duration':
+  case 'bytes': {
+    // Plain numbers are in the schema's unit; literals (30s, 512MB) are kept as written
+    if (NUMERIC_TEXT.test(trimmed)) {
+      return { value: Number(trimmed) };
+    }
+    return LITERAL_TYPES[type].measure(trimmed, rules) === null ? null : { value: trimmed };
+  }
+  case 'array': {
+    let items;
+    if (trimmed.startsWith('[')) {
+      try {
+        items = parseValue(trimmed);
+      } catch {
+        return null;
+      }
+    } else {
+      // Comma-separated, as in .env files
+      items = trimmed === '' ? [] : trimmed.split(',').map(item => item.trim());
+    }
+    if (!Array.isArray(items)) {
+      return null;
+    }
+    const warnings = [];
+    const value = items.map((item, index) => {
+      const coerced = coerceValue(item, isPlainObject(rules.items) ? rules.items : null);
+      if (coerced.warning) {
+        warnings.push(`[${index}] ${coerced.warning}`);
+      }
+      return coerced.value;
+    });
+    return warnings.length > 0 ? { value, warning: warnings.join('; ') } : { value };
+  }
+  case 'object': {
+    if (!trimmed.startsWith('{')) {
+      return null;
+    }
+    try {
+      const value = parseValue(trimmed);
+      return isPlainObject(value) ? { value } : null;
+    } catch {
+      return null;
+    }
+  }
+  default:
+    return null;
+  }
+}
+
+// Convert a string from an untyped source (.env files, --value, secret managers) to the type
+// its schema field declares, trying each declared type in order. Without a declared type the
+// text is read like an .align value. Returns { value, warning? }; a value that fits no type is
+// returned unchanged so validation can report it.
+function coerceValue(value, rules = null) {
+  if (typeof value !== 'string' || containsInterpolation(value)) {
+    return { value };
+  }
+  const types = rules && rules.type !== undefined ? [].concat(rules.type) : [];
+  if (types.length === 0) {
+    try {
+      return { value: parseValue(value) };
+    } catch {
+      return { value };
+    }
+  }
+  if (types.some(type => type === 'string' || type === 'datetime' || type === 'url')) {
+    return { value };
+  }
+  for (const type of types) {
+    const coerced = coerceToType(value, type, rules);
+    if (coerced) {
+      return coerced;
+    }
+  }
+  return { value };
+}
+
+// Coerce the string values of a config whose schema fields declare another type.
+// Returns the converted copy and { key, message } warnings for lossy or ambiguous conversions.
+function coerceConfig(config, schema = null) {
+  const fields = getSchemaFields(schema);
+  const coerced = { ...config };
+  const warnings = [];
+  for (const [key, value] of Object.entries(config)) {
+    const rules = fields[key];
+    if (typeof value !== 'string' || !isPlainObject(rules) || rules.type === undefined) {
+      continue;
+    }
+    const result = coerceValue(value, rules);
+    coerced[key] = result.value;
+    if (result.warning) {
+      warnings.push({ key, message: `${key}: ${result.warning}` });
+    }
+  }
+  if (config[MERGE_DIRECTIVES]) {
+    Object.defineProperty(coerced, MERGE_DIRECTIVES, { value: config[MERGE_DIRECTIVES], enumerable: false });
+  }
+  return { config: coerced, warnings };
+}
+
+// MERGE ENGINE
+
+const MERGE_STRATEGIES = ['replace', 'append', 'prepend', 'union', 'deep-merge', 'delete'];
+// Per-key directives from `+=` / `unset`, attached to parsed configs as a hidden property
+const MERGE_DIRECTIVES = Symbol('alignMergeDirectives');
+
+function getMergeDirectives(config) {
+  return (config && config[MERGE_DIRECTIVES]) || {};
+}
+
+// Field definitions for both schema shapes: flat key map or { type: 'object', properties }
+function getSchemaFields(schema) {
+  if (!schema) {
+    return {};
+  }
+  if (isJSONSchema(schema)) {
+    return isPlainObject(schema.properties) ? schema.properties : {};
+  }
+  return schema;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Strategy for a key: inline directive, then schema "merge", then replace
+function resolveMergeStrategy(key, envConfig, schema = null) {
+  const directive = getMergeDirectives(envConfig)[key];
+  const rules = getSchemaFields(schema)[key];
+  const strategy = directive || (rules && rules.merge) || 'replace';
+
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown merge strategy "${strategy}" for ${key}. Supported: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+  return strategy;
+}
+
+function mergeValues(baseValue, envValue, strategy = 'replace') {
+  if (baseValue === undefined) {
+    return envValue;
+  }
+  const toList = (value) => Array.isArray(value) ? value : [value];
+
+  switch (strategy) {
+  case 'append':
+    return [...toList(baseValue), ...toList(envValue)];
+  case 'prepend':
+    return [...toList(envValue), ...toList(baseValue)];
+  case 'union': {
+    const seen = new Set(toList(baseValue).map(item => JSON.stringify(item)));
+    const added = toList(envValue).filter(item => {
+      const id = JSON.stringify(item);
+      if (seen.has(id)) {
+        return false;
+      }
+      seen.add(id);
+      return true;
+    });
+    return [...toList(baseValue), ...added];
+  }
+  case 'deep-merge': {
+    if (!isPlainObject(baseValue) || !isPlainObject(envValue)) {
+      return envValue;
+    }
+    const merged = { ...baseValue };
+    for (const [key, value] of Object.entries(envValue)) {
+      merged[key] = mergeValues(merged[key], value, isPlainObject(value) ? 'deep-merge' : 'replace');
+    }
+    return merged;
+  }
+  default:
+    return envValue;
+  }
+}
+
+// Remove a key and every dotted key nested under it (e.g. a whole block)
+function deleteConfigKey(config, key) {
+  for (const existing of Object.keys(config)) {
+    if (existing === key || existing.startsWith(`${key}.`)) {
+      delete config[existing];
+    }
+  }
+}
+
+// Merge an environment over a base config, then resolve ${...} references
+// (pass { interpolate: false } to keep the raw templates, e.g. between layers)
+function mergeConfigs(baseConfig, envConfig, schema = null, options = {}) {
+  const merged = { ...baseConfig };
+  const overrides = envConfig || {};
+
+  // `unset` directives apply before the layer's own assignments
+  for (const [key, directive] of Object.entries(getMergeDirectives(overrides))) {
+    if (directive === 'delete') {
+      deleteConfigKey(merged, key);
+    }
+  }
+
+  for (const key of Object.keys(overrides)) {
+    const strategy = resolveMergeStrategy(key, overrides, schema);
+    if (strategy === 'delete') {
+      deleteConfigKey(merged, key);
+    } else {
+      merged[key] = mergeValues(merged[key], overrides[key], strategy);
+    }
+  }
+
+  return options.interpolate === false ? merged : interpolateConfig(merged, options);
+}
+
+// VARIABLE INTERPOLATION
+
+// ${key}, ${env:NAME} or ${env:NAME:-default}; $${...} is a literal "${...}"
+const INTERPOLATION_PATTERN = /\$(\$?)\{([^}]*)\}/g;
+
+function parseReference(expression) {
+  const match = expression.match(/^env:([A-Za-z_][A-Za-z0-9_]*)(?::-([\s\S]*))?$/);
+  if (match) {
+    return { type: 'env', name: match[1], default: match[2] };
+  }
+  return { type: 'key', name: expression.trim() };
+}
+
+function containsInterpolation(value) {
+  if (typeof value === 'string') {
+    return value.includes('${');
+  }
+  if (Array.isArray(value)) {
+    return value.some(containsInterpolation);
+  }
+  if (isPlainObject(value)) {
+    return Object.values(value).some(containsInterpolation);
+  }
+  return false;
+}
+
+// Resolve references in a merged config. Referenced keys are resolved first (so chains
+// work); cycles, unknown keys and unset environment variables without a default throw.
+// options.onReference(key, reference, value, source) is called for every lookup.
+function interpolateConfig(config, options = {}) {
+  if (!Object.values(config).some(containsInterpolation)) {
+    return config;
+  }
+
+  const env = options.env || process.env;
+  const resolved = {};
+  const resolving = [];
+
+  const lookup = (reference, key, whole) => {
+    let value;
+    let source;
+    if (reference.type === 'env') {
+      // As in the shell, ${env:X:-default} also uses the default when X is empty
+      const set = env[reference.name] !== undefined && !(env[reference.name] === '' && reference.default !== undefined);
+      if (set) {
+        value = env[reference.name];
+        source = 'env';
+      } else if (reference.default !== undefined) {
+        value = reference.default;
+        source = 'default';
+      } else {
+        throw new Error(`Environment variable ${reference.name} is not set (referenced by ${key})`);
+      }
+      // A value that is only "${env:PORT}" becomes a boolean or number when it is exactly one;
+      // anything else stays a string for the schema to type
+      value = whole ? parseStrictScalar(value) : value;
+    } else {
+      if (!Object.prototype.hasOwnProperty.call(config, reference.name)) {
+        throw new Error(`Unknown reference \${${reference.name}} in ${key}`);
+      }
+      value = resolveKey(reference.name);
+      source = 'key';
+    }
+    if (options.onReference) {
+      options.onReference(key, reference, value, source);
+    }
+    return value;
+  };
+
+  const resolveValue = (value, key) => {
+    if (typeof value === 'string') {
+      const whole = value.match(/^\$\{([^}]*)\}$/);
+      if (whole) {
+        return lookup(parseReference(whole[1]), key, true);
+      }
+      return value.replace(INTERPOLATION_PATTERN, (match, escaped, expression) => {
+        if (escaped) {
+          return `\${${expression}}`;
+        }
+        const replacement = lookup(parseReference(expression), key, false);
+        return typeof replacement === 'object' && replacement !== null ? JSON.stringify(replacement) : String(replacement);
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => resolveValue(item, key));
+    }
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, resolveValue(item, key)]));
+    }
+    return value;
+  };
+
+  const resolveKey = (key) => {
+    if (Object.prototype.hasOwnProperty.call(resolved, key)) {
+      return resolved[key];
+    }
+    if (resolving.includes(key)) {
+      const cycle = [...resolving.slice(resolving.indexOf(key)), key];
+      throw new Error(`Circular reference: ${cycle.join(' -> ')}`);
+    }
+    resolving.push(key);
+    resolved[key] = resolveValue(config[key], key);
+    resolving.pop();
+    return resolved[key];
+  };
+
+  const result = {};
+  for (const key of Object.keys(config)) {
+    result[key] = resolveKey(key);
+  }
+  return result;
+}
+
+// How an interpolated value was built: its template and every reference it used
+// (references to other templated keys carry their own references)
+function explainInterpolation(config, key, options = {}) {
+  if (!containsInterpolation(config[key])) {
+    return null;
+  }
+  const lookups = {};
+  const resolvedConfig = interpolateConfig(config, {
+    ...options,
+    onReference: (referencingKey, reference, value, source) => {
+      (lookups[referencingKey] = lookups[referencingKey] || []).push({ ...reference, value, source });
+    }
+  });
+  const describe = (name, seen) => (lookups[name] || []).map(reference => (
+    reference.type === 'key' && lookups[reference.name] && !seen.includes(reference.name)
+      ? { ...reference, references: describe(reference.name, [...seen, reference.name]) }
+      : reference
+  ));
+  const references = describe(key, [key]);
+
+  return { key, template: config[key], value: resolvedConfig[key], references };
+}
+
+// INCLUDES
+
+// An absolute include glob as the directory it starts from (the segments before the first
+// wildcard), a matcher for paths relative to it ('/'-separated) and whether it reaches into
+// subdirectories
+function compileIncludeGlob(absolute) {
+  const segments = absolute.split(path.sep);
+  const firstGlob = segments.findIndex(segment => /[*?]/.test(segment));
+  const root = segments.slice(0, firstGlob).join(path.sep) || (path.isAbsolute(absolute) ? path.sep : '.');
+  const rest = segments.slice(firstGlob).join('/');
+  const matcher = new RegExp('^' + rest
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\//g, '\u0000')
+    .replace(/\*\*/g, '\u0001')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '(?:[^/]+/)*')
+    .replace(/\u0001/g, '.*') + '$');
+  return { root, matcher, recursive: rest.includes('/') };
+}
+
+// Resolve an include path relative to the including file. Globs (*, ?, **) expand to
+// the matching files in sorted order; plain paths are returned even if missing.
+function expandIncludePath(fromFile, pattern) {
+  const absolute = path.isAbsolute(pattern) ? pattern : path.join(path.dirname(fromFile), pattern);
+  if (!/[*?]/.test(pattern)) {
+    return [absolute];
+  }
+
+  const { root, matcher, recursive } = compileIncludeGlob(absolute);
+  const matches = [];
+
+  const walk = (dir, relative) => {
+    if (!fs.existsSync(dir)) {
+      return;
+    }
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (recursive) {
+          walk(path.join(dir, entry.name), entryRelative);
+        }
+      } else if (matcher.test(entryRelative)) {
+        matches.push(path.join(root, ...entryRelative.split('/')));
+      }
+    }
+  };
+  walk(root, '');
+
+  return matches.sort();
+}
+
+// Read a .align file and splice in everything it includes (recursively, relative to
+// each including file). Returns the flattened config, every file involved in load
+// order (`sources`) and where each key was last set (`provenance`).
+function loadAlignFile(filePath, options = {}) {
+  const content = options.content !== undefined ? options.content : fs.readFileSync(filePath, 'utf-8');
+  const ast = parseAlignAST(content, { file: filePath });
+  const chain = [...(options.chain || []), path.resolve(filePath)];
+  const prefix = options.prefix || [];
+  const includedSources = [];
+  const provenance = {};
+
+  const include = (statement, blockPrefix) => {
+    const fail = (reason) => {
+      throw new AlignSyntaxError(reason, {
+        file: filePath,
+        source: content,
+        line: statement.pathLoc.start.line,
+        column: statement.pathLoc.start.column,
+        length: statement.pathLoc.end.offset - statement.pathLoc.start.offset
+      });
+    };
+    const root = path.dirname(chain[0]);
+
+    return expandIncludePath(filePath, statement.path).map(file => {
+      if (!fs.existsSync(file)) {
+        fail(`included file not found: ${statement.path}`);
+      }
+      if (chain.includes(path.resolve(file))) {
+        const cycle = [...chain.slice(chain.indexOf(path.resolve(file))), path.resolve(file)];
+        fail(`circular include: ${cycle.map(entry => path.relative(root, entry)).join(' -> ')}`);
+      }
+      const included = loadAlignFile(file, { chain, prefix: [...prefix, ...blockPrefix] });
+      includedSources.push(...included.sources);
+      return included;
+    });
+  };
+
+  const config = flattenAlignAST(ast, { file: filePath, include, provenance });
+
+  return {
+    file: filePath,
+    content,
+    ast,
+    config,
+    sources: [...includedSources, { file: filePath, content, prefix }],
+    provenance
+  };
+}
+
+// ENVIRONMENT INHERITANCE
+
+// Parent environments declared in a file's AST (in declaration order)
+function getEnvironmentParents(ast) {
+  return ast.body
+    .filter(statement => statement.type === 'Extends')
+    .flatMap(statement => statement.parents);
+}
+
+// Load every layer for an environment in merge order: base.align, then inherited
+// environments depth-first (each one once, so diamonds are fine), then the environment itself.
+// With options.optional, missing files are skipped instead of throwing.
+function loadEnvironmentLayers(configDir, environment, options = {}) {
+  const layers = [];
+  const loaded = new Set(['base']);
+  const visiting = [];
+
+  const readLayer = (name) => {
+    const file = path.join(configDir, `${name}.align`);
+    if (!fs.existsSync(file)) {
+      if (options.optional) {
+        return null;
+      }
+      throw new Error(`${name === 'base' ? 'Base' : 'Environment'} config not found: ${file}`);
+    }
+    // options.cache (a Map) lets several environments built in one run share parsed layers
+    if (options.cache && options.cache.has(file)) {
+      return options.cache.get(file);
+    }
+    const loaded = loadAlignFile(file);
+    const layer = { name, ...loaded, parents: getEnvironmentParents(loaded.ast) };
+    if (options.cache) {
+      options.cache.set(file, layer);
+    }
+    return layer;
+  };
+
+  const visit = (name) => {
+    if (visiting.includes(name)) {
+      const cycle = [...visiting.slice(visiting.indexOf(name)), name];
+      throw new Error(`Circular environment inheritance: ${cycle.join(' -> ')}`);
+    }
+    if (loaded.has(name)) {
+      return;
+    }
+    visiting.push(name);
+    const layer = readLayer(name);
+    if (layer) {
+      layer.parents.forEach(visit);
+      layers.push(layer);
+    }
+    visiting.pop();
+    loaded.add(name);
+  };
+
+  const base = readLayer('base');
+  if (base) {
+    layers.push(base);
+  }
+  visit(environment);
+
+  return layers;
+}
+
+// Environment names in a config directory: every *.align except base.align and the
+// files that are only pulled in by an include (and the .align/ directory of lock state)
+function discoverEnvironments(configDir) {
+  const candidates = fs.readdirSync(configDir)
+    .filter(file => file.endsWith('.align') && file !== 'base.align' && !file.startsWith('.'))
+    .sort();
+  const included = new Set();
+  for (const file of ['base.align', ...candidates]) {
+    try {
+      loadAlignFile(path.join(configDir, file)).sources.slice(0, -1)
+        .forEach(source => included.add(path.resolve(source.file)));
+    } catch {
+      // Missing or broken files are reported when the environment is built
+    }
+  }
+  return candidates
+    .filter(file => !included.has(path.resolve(configDir, file)))
+    .map(file => file.slice(0, -'.align'.length));
+}
+
+// Merge layers in order; references are resolved once, against the final result.
+// Schema defaults skip the merge strategies and only fill keys no layer sets or unsets
+function mergeLayers(layers, schema = null, options = {}) {
+  const files = layers.filter(layer => layer.name !== SCHEMA_DEFAULTS_LAYER);
+  const merged = files.reduce((result, layer) => mergeConfigs(result, layer.config, schema, { interpolate: false }), {});
+  for (const layer of layers.filter(layer => layer.name === SCHEMA_DEFAULTS_LAYER)) {
+    for (const [key, value] of Object.entries(layer.config)) {
+      if (isKeyDefaulted(files, key)) {
+        merged[key] = value;
+      }
+    }
+  }
+  return options.interpolate === false ? merged : interpolateConfig(merged, options);
+}
+
+// `unset key`, or `unset` of a block the key sits in
+function isKeyRemoved(config, key) {
+  return Object.entries(getMergeDirectives(config))
+    .some(([prefix, value]) => value === 'delete' && (key === prefix || key.startsWith(`${prefix}.`)));
+}
+
+// A schema default applies when no file layer sets or unsets the key
+function isKeyDefaulted(layers, key) {
+  return layers.every(layer => layer.name === SCHEMA_DEFAULTS_LAYER ||
+    (!Object.prototype.hasOwnProperty.call(layer.config, key) && !isKeyRemoved(layer.config, key)));
+}
+
+// Step-by-step resolution of one key across every layer; origin is the file/line
+// that set the value (an included file when it came from an include)
+function traceConfigKey(layers, key, schema = null) {
+  const steps = [];
+  let current;
+
+  const defaulted = isKeyDefaulted(layers, key);
+
+  for (const layer of layers) {
+    const isDefaults = layer.name === SCHEMA_DEFAULTS_LAYER;
+    const defined = Object.prototype.hasOwnProperty.call(layer.config, key) && (!isDefaults || defaulted);
+    const removed = !defined && !isDefaults && isKeyRemoved(layer.config, key);
+    let operation = null;
+
+    if (isDefaults && defined) {
+      operation = 'replace';
+      current = layer.config[key];
+    } else if (defined) {
+      operation = resolveMergeStrategy(key, layer.config, schema);
+      current = operation === 'delete' ? undefined : mergeValues(current, layer.config[key], operation);
+    } else if (removed) {
+      operation = 'delete';
+      current = undefined;
+    }
+
+    steps.push({
+      name: layer.name,
+      file: layer.file,
+      value: defined ? layer.config[key] : undefined,
+      origin: defined ? layer.provenance[key] : undefined,
+      operation,
+      result: current
+    });
+  }
+
+  // Interpolation happens after the last layer
+  const interpolation = explainInterpolation(mergeLayers(layers, schema, { interpolate: false }), key);
+
+  return { key, finalValue: interpolation ? interpolation.value : current, steps, interpolation };
+}
+
+// SCHEMA DEFAULTS
+
+const SCHEMA_DEFAULTS_LAYER = 'schema-default';
+
+// `default` values declared in the schema (flat map or JSON Schema properties), copied so
+// merges never mutate the schema
+function getSchemaDefaults(schema) {
+  const defaults = {};
+  for (const [key, rules] of Object.entries(getSchemaFields(schema))) {
+    if (isPlainObject(rules) && rules.default !== undefined) {
+      defaults[key] = JSON.parse(JSON.stringify(rules.default));
+    }
+  }
+  return defaults;
+}
+
+// Schema defaults as the lowest-priority layer, so mergeLayers and traceConfigKey treat
+// them like a file; null when the schema declares no defaults
+function createDefaultsLayer(schema, schemaFile = null) {
+  const config = schema ? getSchemaDefaults(schema) : {};
+  if (Object.keys(config).length === 0) {
+    return null;
+  }
+  return { name: SCHEMA_DEFAULTS_LAYER, file: schemaFile, content: '', ast: null, config, sources: [], provenance: {}, parents: [] };
+}
+
+// ENVIRONMENT VARIABLE OVERRIDES
+
+const ENV_OVERRIDES_LAYER = 'process-env';
+const DEFAULT_ENV_PREFIX = 'ALIGN';
+const DEFAULT_ENV_SEPARATOR = '__';
+
+function getEnvNaming(options = {}) {
+  const prefix = options.prefix !== undefined ? options.prefix : DEFAULT_ENV_PREFIX;
+  const separator = options.separator !== undefined ? options.separator : DEFAULT_ENV_SEPARATOR;
+  if (!prefix || !separator) {
+    throw new Error('Environment overrides need a non-empty prefix and separator');
+  }
+  return { prefix, separator };
+}
+
+// ALIGN__DATABASE__POOL__MAX -> database.pool.max; null for variables without the prefix.
+// Single underscores stay part of a name (ALIGN__LOG_LEVEL -> log_level).
+function envVariableToKey(name, options = {}) {
+  const { prefix, separator } = getEnvNaming(options);
+  const start = `${prefix}${separator}`;
+  if (!name.startsWith(start) || name.length === start.length) {
+    return null;
+  }
+  return name.slice(start.length).split(separator).map(part => part.toLowerCase()).join('.');
+}
+
+// database.pool.max -> ALIGN__DATABASE__POOL__MAX
+function keyToEnvVariable(key, options = {}) {
+  const { prefix, separator } = getEnvNaming(options);
+  return [prefix, ...key.split('.').map(part => part.toUpperCase().replace(/[^A-Z0-9_]/g, '_'))].join(separator);
+}
+
+// Overrides from environment variables (options.env, default process.env) as the
+// highest-priority layer. A variable is matched to a schema key or one of options.keys (the
+// keys the files set) by its variable name, so ALIGN__APIKEY finds apiKey and, with a "_"
+// separator, APP_LOG_LEVEL finds log_level. A name matching nothing is still applied
+// (split on the separator) and listed in `unmatched`. Values are typed by the schema like
+// .env files; without a schema type only exact true/false and plain numbers change type, and
+// a value that reads as something else in .align (12abc, 10.0.0.1) stays a string with a
+// warning. Overrides always replace, whatever the key's merge strategy. Returns null when
+// no variable carries the prefix.
+function createEnvOverridesLayer(schema = null, options = {}) {
+  const env = options.env || process.env;
+  const fields = getSchemaFields(schema);
+  const known = new Map();
+  for (const key of [...Object.keys(fields), ...(options.keys || [])]) {
+    const variable = keyToEnvVariable(key, options);
+    if (!known.has(variable)) {
+      known.set(variable, key);
+    }
+  }
+
+  const config = {};
+  const provenance = {};
+  const warnings = [];
+  const unmatched = [];
+  for (const name of Object.keys(env).sort()) {
+    const candidate = envVariableToKey(name, options);
+    if (candidate === null || env[name] === undefined) {
+      continue;
+    }
+    const key = known.get(name) || candidate;
+    if (!known.has(name)) {
+      unmatched.push(name);
+    }
+    const rules = isPlainObject(fields[key]) ? fields[key] : null;
+    const { value, warning } = rules && rules.type !== undefined ? coerceValue(env[name], rules) : coerceUntypedEnvValue(env[name]);
+    if (warning) {
+      warnings.push({ key, message: `${name}: ${warning}` });
+    }
+    config[key] = value;
+    provenance[key] = { file: null, variable: name };
+  }
+
+  if (Object.keys(config).length === 0) {
+    return null;
+  }
+  return { name: ENV_OVERRIDES_LAYER, file: null, content: '', ast: null, config: withReplaceDirectives(config), sources: [], provenance, parents: [], warnings, unmatched };
+}
+
+function coerceUntypedEnvValue(raw) {
+  const value = parseStrictScalar(raw);
+  if (value !== raw || isDeepStrictEqual(parseValue(raw), raw.trim())) {
+    return { value };
+  }
+  return { value, warning: `"${raw}" was kept as a string; declare a type in the schema to convert it` };
+}
+
+// Override layers replace values outright, whatever the key's merge strategy
+function withReplaceDirectives(config) {
+  Object.defineProperty(config, MERGE_DIRECTIVES, {
+    value: Object.fromEntries(Object.keys(config).map(key => [key, 'replace'])),
+    enumerable: false
+  });
+  return config;
+}
+
+// COMMAND-LINE OVERRIDES
+
+const CLI_OVERRIDES_LAYER = 'cli-set';
+
+// "key=value" -> { key, text }, split at the first "="
+function parseAssignment(assignment, flag) {
+  const index = String(assignment).indexOf('=');
+  const key = index > 0 ? assignment.slice(0, index).trim() : '';
+  if (!key) {
+    throw new Error(`Invalid ${flag} "${assignment}": expected key=value`);
+  }
+  return { key, text: assignment.slice(index + 1) };
+}
+
+// --set key=value (parsed like an .align value: 20, true, [a, b], "quoted") and
+// --set-file key=path (the file's text, without one trailing newline) as the layer applied
+// after everything else, or null when neither flag was given. The last flag for a key wins,
+// and --set-file wins over --set.
+function createCliOverridesLayer(sets = [], setFiles = [], options = {}) {
+  const cwd = options.cwd || process.cwd();
   const config = {};
-  let currentBlock = null;
-  let currentBlockName = null;
+  const provenance = {};
+  for (const assignment of sets) {
+    const { key, text } = parseAssignment(assignment, '--set');
+    config[key] = parseValue(text);
+    provenance[key] = { file: null, flag: '--set' };
+  }
+  for (const assignment of setFiles) {
+    const { key, text } = parseAssignment(assignment, '--set-file');
+    const file = path.resolve(cwd, text.trim());
+    if (!fs.existsSync(file)) {
+      throw new Error(`File not found for --set-file ${key}: ${text.trim()}`);
+    }
+    config[key] = fs.readFileSync(file, 'utf-8').replace(/\r?\n$/, '');
+    provenance[key] = { file: null, flag: '--set-file', path: file };
+  }
+  if (Object.keys(config).length === 0) {
+    return null;
+  }
+  return { name: CLI_OVERRIDES_LAYER, file: null, content: '', ast: null, config: withReplaceDirectives(config), sources: [], provenance, parents: [] };
+}
+
+// FILE WATCHING
+
+// Every file loading an environment reads: base.align, each layer (including parents that
+// don't exist yet, so creating one is noticed), their includes and the schema
+function listEnvironmentFiles(configDir, environment, schemaFile = null) {
+  const layerFile = name => path.join(configDir, `${name}.align`);
+  const files = [layerFile('base'), layerFile(environment)];
+  try {
+    for (const layer of loadEnvironmentLayers(configDir, environment, { optional: true })) {
+      files.push(...layer.sources.map(source => source.file), ...layer.parents.map(layerFile));
+    }
+  } catch {
+    // A broken chain or include is reported by the next load; watch the main files meanwhile
+  }
+  if (schemaFile) {
+    files.push(schemaFile);
+  }
+  return [...new Set(files.map(file => path.resolve(file)))];
+}
+
+// The include globs (as absolute patterns) in the files an environment reads, so a watcher
+// can notice files that start or stop matching one
+function listEnvironmentGlobs(configDir, environment) {
+  const globs = [];
+  const visit = (statements, file) => statements.forEach(statement => {
+    if (statement.type === 'Block') {
+      visit(statement.body, file);
+    } else if (statement.type === 'Include' && /[*?]/.test(statement.path)) {
+      globs.push(path.resolve(path.dirname(file), statement.path));
+    }
+  });
+  try {
+    for (const layer of loadEnvironmentLayers(configDir, environment, { optional: true })) {
+      layer.sources.forEach(source => visit(parseAlignAST(source.content, { file: source.file }).body, source.file));
+    }
+  } catch {
+    // A broken chain or include is reported by the next load
+  }
+  return [...new Set(globs)];
+}
+
+// The config directory a file belongs to: the nearest directory up from it with a
+// base.align, or null
+function findConfigDir(file) {
+  for (let dir = path.dirname(path.resolve(file)); ; dir = path.dirname(dir)) {
+    if (fs.existsSync(path.join(dir, 'base.align'))) {
+      return dir;
+    }
+    if (path.dirname(dir) === dir) {
+      return null;
+    }
+  }
+}
+
+// Environments that read any of the files (base.align, a parent or an include), for lock
+// checks before a write
+function environmentsUsingFiles(configDir, files) {
+  const written = new Set(files.map(file => path.resolve(file)));
+  return discoverEnvironments(configDir)
+    .filter(environment => listEnvironmentFiles(configDir, environment).some(file => written.has(file)));
+}
+
+// Call onChange (debounced by options.debounce ms) when one of the files from getFiles() is
+// written, created or removed, or a file matching one of the include globs from
+// options.getGlobs() is. Directories are watched rather than files so that editors saving
+// via rename are seen, and both lists are refreshed after each change (new includes, new
+// glob matches and subdirectories). Changes arriving while onChange runs trigger one more
+// call. Returns { close }.
+function watchFiles(getFiles, onChange, options = {}) {
+  const debounce = options.debounce !== undefined ? options.debounce : 100;
+  const watchers = new Map();
+  let files = new Set();
+  let globs = [];
+  let timer = null;
+  let running = false;
+  let pending = false;
+  let closed = false;
+
+  // Directories a glob can match files in: its root, and every directory under it for **
+  const globDirectories = (glob) => {
+    const directories = [];
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+      directories.push(dir);
+      if (glob.recursive) {
+        fs.readdirSync(dir, { withFileTypes: true })
+          .filter(entry => entry.isDirectory())
+          .forEach(entry => walk(path.join(dir, entry.name)));
+      }
+    };
+    walk(path.resolve(glob.root));
+    return directories;
+  };
+  const matchesGlob = file => globs.some(glob => {
+    const relative = path.relative(path.resolve(glob.root), file);
+    return !relative.startsWith('..') && glob.matcher.test(relative.split(path.sep).join('/'));
+  });
+  // A new subdirectory under a ** glob's root may hold matches too
+  const isGlobDirectory = file => globs.some(glob => glob.recursive && !path.relative(path.resolve(glob.root), file).startsWith('..') &&
+    fs.existsSync(file) && fs.statSync(file).isDirectory());
+
+  const refresh = () => {
+    files = new Set(getFiles().map(file => path.resolve(file)));
+    globs = (options.getGlobs ? options.getGlobs() : []).map(compileIncludeGlob);
+    const directories = new Set([...files].map(file => path.dirname(file)));
+    globs.flatMap(globDirectories).forEach(directory => directories.add(directory));
+    for (const [directory, watcher] of watchers) {
+      if (!directories.has(directory)) {
+        watcher.close();
+        watchers.delete(directory);
+      }
+    }
+    for (const directory of directories) {
+      if (!watchers.has(directory) && fs.existsSync(directory)) {
+        watchers.set(directory, fs.watch(directory, (eventType, filename) => {
+          const file = filename ? path.join(directory, filename.toString()) : null;
+          if (!file || files.has(file) || matchesGlob(file) || isGlobDirectory(file)) {
+            schedule();
+          }
+        }));
+      }
+    }
+  };
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    // Skip empty lines and comments
-    if (line === '' || line.startsWith('#') || line.startsWith('//')) {
-      continue;
+  const run = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      await onChange();
+    } finally {
+      running = false;
+      if (!closed) {
+        refresh();
+        if (pending) {
+          pending = false;
+          schedule();
+        }
+      }
     }
+  };
 
-    // Handle block start
-    if (line.includes('{')) {
-      const match = line.match(/(\w+)\s*"([^"]+)"\s*\{/);
-      if (match) {
-        currentBlock = match[1];
-        currentBlockName = match[2];
-        continue;
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      if (!closed) {
+        run();
       }
+    }, debounce);
+  };
+
+  refresh();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
     }
+  };
+}
 
-    // Handle block end
-    if (line === '}') {
-      currentBlock = null;
-      currentBlockName = null;
+// CODE GENERATION
+
+// Schema fields as codegen sees them: { key, rules, required, description, default } with
+// top-level $refs resolved. Keys stay as parseAlign produces them (database.pool.max,
+// block.name.key) since that is the shape load() returns. Non-object entries (the
+// $schema/version stamps, rules) are skipped. With options.durationUnit/bytesUnit,
+// defaults are converted the way `build` converts values.
+function getCodegenFields(schema, options = {}) {
+  const units = { duration: options.durationUnit, bytes: options.bytesUnit };
+  const requiredKeys = isJSONSchema(schema) && Array.isArray(schema.required) ? schema.required : [];
+  const fields = [];
+  for (const [key, value] of Object.entries(getSchemaFields(schema))) {
+    let rules = value;
+    const seen = new Set();
+    while (isPlainObject(rules) && typeof rules.$ref === 'string' && !seen.has(rules.$ref)) {
+      seen.add(rules.$ref);
+      rules = { ...resolveSchemaRef(schema, rules.$ref), ...rules, $ref: undefined };
+    }
+    if (!isPlainObject(rules)) {
       continue;
     }
+    fields.push({
+      key,
+      rules,
+      required: rules.required === true || requiredKeys.includes(key),
+      description: typeof rules.description === 'string' ? rules.description : null,
+      default: rules.default !== undefined && (units.duration || units.bytes)
+        ? normalizeTypedValues({ [key]: rules.default }, { [key]: rules }, units)[key]
+        : rules.default
+    });
+  }
+  return fields;
+}
 
-    // Handle key-value pairs
-    const equalIndex = line.indexOf('=');
-    if (equalIndex !== -1) {
-      const key = line.substring(0, equalIndex).trim();
-      const rawValue = line.substring(equalIndex + 1).trim();
-      
-      if (!key) {
-        throw new Error(`Invalid syntax on line ${i + 1}: empty key`);
-      }
-      
-      const value = parseValue(rawValue);
-      
-      // Handle nested keys
-      if (currentBlock && currentBlockName) {
-        const nestedKey = `${currentBlock}.${currentBlockName}.${key}`;
-        config[nestedKey] = value;
-      } else {
-        config[key] = value;
+function toTypeScriptString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+function toTypeScriptLiteral(value) {
+  return typeof value === 'string' ? toTypeScriptString(value) : JSON.stringify(value);
+}
+
+function toTypeScriptKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : toTypeScriptString(key);
+}
+
+// TypeScript type for a schema node (flat rules or JSON Schema, align's extra types included)
+function toTypeScriptType(rules, root) {
+  if (!isPlainObject(rules)) {
+    return 'unknown';
+  }
+  if (typeof rules.$ref === 'string') {
+    return toTypeScriptType(resolveSchemaRef(root, rules.$ref), root);
+  }
+  if (rules.const !== undefined) {
+    return toTypeScriptLiteral(rules.const);
+  }
+  if (Array.isArray(rules.enum)) {
+    return rules.enum.map(toTypeScriptLiteral).join(' | ') || 'never';
+  }
+  const variants = rules.oneOf || rules.anyOf;
+  if (Array.isArray(variants)) {
+    return [...new Set(variants.map(variant => toTypeScriptType(variant, root)))].join(' | ');
+  }
+  if (Array.isArray(rules.allOf)) {
+    return rules.allOf.map(part => wrapTypeScriptUnion(toTypeScriptType(part, root))).join(' & ');
+  }
+
+  let types = [].concat(rules.type || []);
+  if (types.length === 0) {
+    types = rules.properties ? ['object'] : rules.items ? ['array'] : [];
+  }
+  if (types.length === 0) {
+    return 'unknown';
+  }
+  const mapped = types.map(type => {
+    switch (type) {
+    case 'string':
+    case 'datetime':
+    case 'url':
+      return 'string';
+    case 'number':
+    case 'integer':
+      return 'number';
+    case 'duration':
+    case 'bytes':
+      return 'string | number';
+    case 'boolean':
+      return 'boolean';
+    case 'null':
+      return 'null';
+    case 'array':
+      if (Array.isArray(rules.items)) {
+        return `[${rules.items.map(item => toTypeScriptType(item, root)).join(', ')}]`;
       }
-    } else if (line && !line.startsWith('#') && !line.startsWith('//') && !line.includes('{') && line !== '}') {
-      // If we have a non-empty line that's not a comment, block start/end, or key-value, it's invalid
-      throw new Error(`Invalid syntax on line ${i + 1}: missing '='`);
+      return `${wrapTypeScriptUnion(rules.items ? toTypeScriptType(rules.items, root) : 'unknown')}[]`;
+    case 'object':
+      return toTypeScriptObjectType(rules, root);
+    default:
+      return 'unknown';
     }
+  });
+  return [...new Set(mapped)].join(' | ');
+}
+
+function wrapTypeScriptUnion(type) {
+  return /[|&]/.test(type) && !/^[[{]/.test(type) ? `(${type})` : type;
+}
+
+function toTypeScriptObjectType(rules, root) {
+  if (!isPlainObject(rules.properties)) {
+    const values = isPlainObject(rules.additionalProperties) ? toTypeScriptType(rules.additionalProperties, root) : 'unknown';
+    return `Record<string, ${values}>`;
+  }
+  const required = Array.isArray(rules.required) ? rules.required : [];
+  const members = Object.entries(rules.properties).map(([key, property]) => {
+    const optional = required.includes(key) || (isPlainObject(property) && property.required === true) ? '' : '?';
+    return `${toTypeScriptKey(key)}${optional}: ${toTypeScriptType(property, root)}`;
+  });
+  return members.length > 0 ? `{ ${members.join('; ')} }` : 'Record<string, never>';
+}
+
+function formatJSDoc(field, indent) {
+  const lines = field.description ? field.description.split('\n') : [];
+  if (field.default !== undefined) {
+    lines.push(`@default ${JSON.stringify(field.default)}`);
+  }
+  if (lines.length === 0) {
+    return '';
+  }
+  const escaped = lines.map(line => line.replace(/\*\//g, '*\\/').trimEnd());
+  return `${indent}/**\n${escaped.map(line => `${indent} *${line ? ` ${line}` : ''}`).join('\n')}\n${indent} */\n`;
+}
+
+// A `Config` interface plus a typed load() wrapper around the Align class. A key is
+// optional unless the schema requires it or gives it a default (load() applies defaults).
+function generateTypeScriptCode(schema, options = {}) {
+  const name = options.name || 'config';
+  const configDir = options.configDir || '../config';
+  const header = `// Generated by Align codegen from ${options.schemaFile || 'align.schema.json'} - do not edit by hand\n`;
+  const environments = options.environments || [];
+
+  let declarations = header;
+  declarations += `\nexport type Environment = ${environments.length > 0 ? environments.map(toTypeScriptString).join(' | ') : 'string'};\n\n`;
+  declarations += 'export interface Config {\n';
+  for (const field of getCodegenFields(schema)) {
+    const optional = field.required || field.default !== undefined ? '' : '?';
+    declarations += formatJSDoc(field, '  ');
+    declarations += `  ${toTypeScriptKey(field.key)}${optional}: ${toTypeScriptType(field.rules, schema)};\n`;
+  }
+  declarations += '}\n\n';
+  declarations += 'export interface LoadOptions {\n';
+  declarations += `  /** Directory holding base.align and the environment files (default: ${configDir} relative to this file) */\n`;
+  declarations += '  configDir?: string;\n';
+  declarations += '}\n\n';
+  declarations += '/** Load, merge and validate the configuration for an environment */\n';
+  declarations += 'export declare function load(environment: Environment, options?: LoadOptions): Config;\n';
+
+  let loader = header;
+  loader += '\'use strict\';\n\n';
+  loader += 'const path = require(\'path\');\n';
+  loader += 'const Align = require(\'align-config\');\n\n';
+  loader += `const CONFIG_DIR = path.join(__dirname, ${toTypeScriptString(configDir)});\n\n`;
+  loader += 'function load(environment, options = {}) {\n';
+  loader += '  return new Align(options.configDir || CONFIG_DIR).load(environment);\n';
+  loader += '}\n\n';
+  loader += 'module.exports = { load };\n';
+
+  return [
+    { file: `${name}.d.ts`, content: declarations },
+    { file: `${name}.js`, content: loader }
+  ];
+}
+
+// Reduce a schema node to what typed languages need: { kind, nullable, items, values, enum }.
+// kind is string, integer, number, boolean, array, map, measure (a duration or byte size
+// that is either text or a number) or any. With options.durationUnit/bytesUnit (matching
+// `build --duration-unit/--bytes-unit`) durations and byte sizes are plain numbers.
+function describeCodegenType(rules, root, options = {}) {
+  if (!isPlainObject(rules)) {
+    return { kind: 'any', nullable: false };
+  }
+  if (typeof rules.$ref === 'string') {
+    return describeCodegenType(resolveSchemaRef(root, rules.$ref), root, options);
+  }
+  const literals = rules.const !== undefined ? [rules.const] : Array.isArray(rules.enum) ? rules.enum : null;
+  if (literals) {
+    const kinds = [...new Set(literals.filter(value => value !== null).map(value => (
+      Number.isInteger(value) ? 'integer' : describeValueType(value)
+    )))];
+    const kind = kinds.length === 1 && ['string', 'integer', 'number', 'boolean'].includes(kinds[0]) ? kinds[0] : 'any';
+    return { kind, nullable: literals.includes(null), enum: literals };
+  }
+  const variants = rules.oneOf || rules.anyOf;
+  if (Array.isArray(variants)) {
+    const described = variants.map(variant => describeCodegenType(variant, root, options));
+    const nullable = described.some(type => type.nullable || type.kind === 'null');
+    const concrete = described.filter(type => type.kind !== 'null');
+    const same = concrete.every(type => type.kind === concrete[0].kind && !['array', 'map'].includes(type.kind));
+    return concrete.length > 0 && same ? { ...concrete[0], nullable, enum: undefined } : { kind: 'any', nullable };
+  }
+
+  let types = [].concat(rules.type || []);
+  if (types.length === 0) {
+    types = rules.properties ? ['object'] : rules.items ? ['array'] : [];
+  }
+  const nullable = types.includes('null');
+  types = types.filter(type => type !== 'null');
+  if (types.length !== 1) {
+    return { kind: 'any', nullable };
+  }
+  switch (types[0]) {
+  case 'string':
+  case 'datetime':
+  case 'url':
+    return { kind: 'string', nullable };
+  case 'integer':
+  case 'number':
+  case 'boolean':
+    return { kind: types[0], nullable };
+  case 'duration':
+    return { kind: options.durationUnit ? 'number' : 'measure', nullable };
+  case 'bytes':
+    return { kind: options.bytesUnit ? 'number' : 'measure', nullable };
+  case 'array':
+    return {
+      kind: 'array',
+      nullable,
+      items: isPlainObject(rules.items) ? describeCodegenType(rules.items, root, options) : { kind: 'any', nullable: false }
+    };
+  case 'object':
+    return {
+      kind: 'map',
+      nullable,
+      values: !isPlainObject(rules.properties) && isPlainObject(rules.additionalProperties)
+        ? describeCodegenType(rules.additionalProperties, root, options)
+        : { kind: 'any', nullable: false }
+    };
+  default:
+    return { kind: 'any', nullable };
   }
+}
 
-  return config;
+// Words of a config key: database.pool.max, database-pool_max -> [database, pool, max]
+function splitIdentifierWords(key) {
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
 }
 
-function parseValue(rawValue) {
-  // Strip inline comments (but not URLs)
-  const value = rawValue.replace(/#.*$|\/\/\s.*$/, '').trim();
-  
-  // Handle arrays (check before quoted strings to avoid conflicts)
-  if (value.startsWith('[') && value.endsWith(']')) {
-    const arrayContent = value.slice(1, -1).trim();
-    if (arrayContent === '') return [];
-    
-    // Split by comma and handle quoted items
-    const items = arrayContent.split(',').map(item => {
-      const trimmed = item.trim();
-      // Remove quotes from array items
-      if ((trimmed.startsWith('"') && trimmed.endsWith('"')) || 
-          (trimmed.startsWith('\'') && trimmed.endsWith('\''))) {
-        return trimmed.slice(1, -1);
-      }
-      return trimmed;
-    });
-    
-    return items;
+// Map every field key to an identifier, failing when two keys collapse onto one name
+function assignIdentifiers(fields, toIdentifier, lang) {
+  const owners = new Map();
+  return fields.map(field => {
+    const name = toIdentifier(field.key);
+    if (owners.has(name)) {
+      throw new Error(`Keys "${owners.get(name)}" and "${field.key}" both map to ${name} in ${lang}; rename one of them`);
+    }
+    owners.set(name, field.key);
+    return { ...field, name };
+  });
+}
+
+function toPascalCase(key, initialisms = new Set()) {
+  const name = splitIdentifierWords(key)
+    .map(word => initialisms.has(word) ? word.toUpperCase() : word[0].toUpperCase() + word.slice(1))
+    .join('');
+  return /^[0-9]/.test(name) ? `X${name}` : name || 'X';
+}
+
+function describeFieldDoc(field, options) {
+  const lines = field.description ? field.description.split('\n').map(line => line.trimEnd()) : [];
+  const type = [].concat(field.rules.type || []);
+  if (type.includes('duration') && options.durationUnit) {
+    lines.push(`Unit: ${options.durationUnit}.`);
+  } else if (type.includes('bytes') && options.bytesUnit) {
+    lines.push(`Unit: ${options.bytesUnit}.`);
   }
-  
-  // Handle quoted strings
-  if ((value.startsWith('"') && value.endsWith('"')) || 
-      (value.startsWith('\'') && value.endsWith('\''))) {
-    return value.slice(1, -1);
+  if (Array.isArray(field.rules.enum)) {
+    lines.push(`One of: ${field.rules.enum.map(value => JSON.stringify(value)).join(', ')}.`);
   }
-  
-  // Handle booleans
-  if (value === 'true' || value === 'false') {
-    return value === 'true';
+  if (field.default !== undefined) {
+    lines.push(`Default: ${JSON.stringify(field.default)}.`);
   }
-  
-  // Handle numbers
-  const num = parseFloat(value);
-  if (!isNaN(num)) {
-    return num;
+  if (field.required) {
+    lines.push('Required.');
   }
-  
-  // Return as string
-  return value;
+  return lines;
 }
 
-function loadSchema(schemaPath) {
-  try {
-    if (!schemaPath || !fs.existsSync(schemaPath)) {
-      return null;
-    }
-    
-    const schemaContent = fs.readFileSync(schemaPath, 'utf-8');
-    return JSON.parse(schemaContent);
-  } catch (err) {
-    throw new Error(`Failed to load schema: ${err.message}`);
+const GO_INITIALISMS = new Set(['api', 'cpu', 'db', 'dns', 'http', 'https', 'id', 'ip', 'json', 'jwt', 'sql', 'ssl', 'tcp', 'tls', 'ttl', 'udp', 'uri', 'url', 'uuid', 'xml']);
+
+function toGoType(type, pointer = false) {
+  let goType;
+  switch (type.kind) {
+  case 'string':
+    goType = 'string';
+    break;
+  case 'integer':
+    goType = 'int64';
+    break;
+  case 'number':
+    goType = 'float64';
+    break;
+  case 'boolean':
+    goType = 'bool';
+    break;
+  case 'array':
+    return `[]${toGoType(type.items)}`;
+  case 'map':
+    return `map[string]${toGoType(type.values)}`;
+  default:
+    return 'interface{}';
   }
+  return pointer || type.nullable ? `*${goType}` : goType;
 }
 
-function validateConfig(config, isBaseConfig = false, schema = null) {
-  const errors = [];
+function toGoLiteral(value, type) {
+  if (value === null) {
+    return 'nil';
+  }
+  if (Array.isArray(value)) {
+    return `${toGoType(type)}{${value.map(item => toGoLiteral(item, type.items || { kind: 'any' })).join(', ')}}`;
+  }
+  if (isPlainObject(value)) {
+    const values = type.values || { kind: 'any' };
+    return `${toGoType(type)}{${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${toGoLiteral(item, values)}`).join(', ')}}`;
+  }
+  const literal = JSON.stringify(value);
+  return type.nullable && ['string', 'integer', 'number', 'boolean'].includes(type.kind)
+    ? `ptr(${toGoType({ ...type, nullable: false })}(${literal}))`
+    : literal;
+}
 
-  // Schema-based validation
-  if (schema) {
-    for (const [key, rules] of Object.entries(schema)) {
-      const value = config[key];
-      
-      // Check required fields only for base configs or if the key is present
-      if (rules.required && isBaseConfig && value === undefined) {
-        errors.push(`Missing required key: ${key}`);
-        continue;
-      }
-      
-      // Skip if not present and not required
-      if (value === undefined) {
-        continue;
-      }
-      
-      // Type validation
-      if (rules.type) {
-        const expectedType = rules.type;
-        const actualType = typeof value;
-        
-        if (expectedType === 'number' && actualType !== 'number') {
-          errors.push(`${key} must be a number, got ${actualType}`);
-        } else if (expectedType === 'boolean' && actualType !== 'boolean') {
-          errors.push(`${key} must be a boolean, got ${actualType}`);
-        } else if (expectedType === 'string' && actualType !== 'string') {
-          errors.push(`${key} must be a string, got ${actualType}`);
-        }
-      }
-      
-      // Range validation for numbers
-      if (rules.type === 'number' && typeof value === 'number') {
-        if (rules.min !== undefined && value < rules.min) {
-          errors.push(`${key} must be >= ${rules.min}, got ${value}`);
-        }
-        if (rules.max !== undefined && value > rules.max) {
-          errors.push(`${key} must be <= ${rules.max}, got ${value}`);
-        }
+// A Config struct with json tags matching the keys `align build --format json` writes,
+// DefaultConfig() with the schema defaults and Load(path), which checks required keys.
+// Optional keys without a default are pointers so "unset" stays distinguishable.
+function generateGoCode(schema, options = {}) {
+  const name = options.name || 'config';
+  const packageName = options.package || (splitIdentifierWords(name).join('') || 'config');
+  const fields = assignIdentifiers(getCodegenFields(schema, options), key => toPascalCase(key, GO_INITIALISMS), 'go')
+    .map(field => {
+      const type = describeCodegenType(field.rules, schema, options);
+      const optional = !field.required && field.default === undefined;
+      return { ...field, type, goType: toGoType(type, optional), optional };
+    });
+  const needsPtr = fields.some(field => field.default !== undefined && field.default !== null &&
+    field.type.nullable && ['string', 'integer', 'number', 'boolean'].includes(field.type.kind));
+  // gofmt aligns runs of fields, and a doc comment starts a new run
+  const runs = [];
+  for (const field of fields) {
+    if (runs.length === 0 || describeFieldDoc(field, options).length > 0) {
+      runs.push([]);
+    }
+    runs[runs.length - 1].push(field);
+  }
+  const widths = new Map();
+  for (const run of runs) {
+    const nameWidth = Math.max(...run.map(field => field.name.length));
+    const typeWidth = Math.max(...run.map(field => field.goType.length));
+    run.forEach(field => widths.set(field, { nameWidth, typeWidth }));
+  }
+
+  let output = `// Code generated by align codegen from ${options.schemaFile || 'align.schema.json'}. DO NOT EDIT.\n\n`;
+  output += `package ${packageName}\n\n`;
+  output += 'import (\n\t"encoding/json"\n\t"fmt"\n\t"os"\n)\n\n';
+  output += '// Config mirrors the configuration written by `align build --format json`.\n';
+  output += 'type Config struct {\n';
+  for (const field of fields) {
+    for (const line of describeFieldDoc(field, options)) {
+      output += `\t// ${line}\n`.replace(/ \n$/, '\n');
+    }
+    const tag = `\`json:"${field.key}${field.optional ? ',omitempty' : ''}"\``;
+    const { nameWidth, typeWidth } = widths.get(field);
+    output += `\t${field.name.padEnd(nameWidth)} ${field.goType.padEnd(typeWidth)} ${tag}\n`;
+  }
+  output += '}\n\n';
+
+  output += '// RequiredKeys lists the keys the schema marks as required.\n';
+  output += `var RequiredKeys = []string{${fields.filter(field => field.required).map(field => JSON.stringify(field.key)).join(', ')}}\n\n`;
+
+  output += '// DefaultConfig returns a Config holding the schema defaults.\n';
+  output += 'func DefaultConfig() Config {\n\treturn Config{\n';
+  const defaulted = fields.filter(field => field.default !== undefined && field.default !== null);
+  const keyWidth = Math.max(0, ...defaulted.map(field => field.name.length + 1));
+  for (const field of defaulted) {
+    output += `\t\t${`${field.name}:`.padEnd(keyWidth)} ${toGoLiteral(field.default, field.type)},\n`;
+  }
+  output += '\t}\n}\n\n';
+
+  output += '// Load reads a built JSON config, applying schema defaults and checking required keys.\n';
+  output += 'func Load(path string) (*Config, error) {\n';
+  output += '\tdata, err := os.ReadFile(path)\n\tif err != nil {\n\t\treturn nil, err\n\t}\n';
+  output += '\tvar raw map[string]json.RawMessage\n';
+  output += '\tif err := json.Unmarshal(data, &raw); err != nil {\n\t\treturn nil, fmt.Errorf("%s: %w", path, err)\n\t}\n';
+  output += '\tfor _, key := range RequiredKeys {\n';
+  output += '\t\tif _, ok := raw[key]; !ok {\n\t\t\treturn nil, fmt.Errorf("%s: missing required configuration key %q", path, key)\n\t\t}\n\t}\n';
+  output += '\tconfig := DefaultConfig()\n';
+  output += '\tif err := json.Unmarshal(data, &config); err != nil {\n\t\treturn nil, fmt.Errorf("%s: %w", path, err)\n\t}\n';
+  output += '\treturn &config, nil\n}\n';
+  if (needsPtr) {
+    output += '\nfunc ptr[T any](value T) *T {\n\treturn &value\n}\n';
+  }
+
+  return [{ file: `${name}.go`, content: output }];
+}
+
+const PYTHON_KEYWORDS = new Set([
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+  'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal',
+  'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+]);
+
+function toPythonIdentifier(key) {
+  const name = splitIdentifierWords(key).join('_') || 'field';
+  // Pydantic treats names with a leading underscore as private, so digits get an x_ prefix like Go's X.
+  const safe = /^[0-9]/.test(name) ? `x_${name}` : name;
+  return PYTHON_KEYWORDS.has(safe) || ['model_config', 'from_dict'].includes(safe) ? `${safe}_` : safe;
+}
+
+function toPythonType(type) {
+  let pythonType;
+  if (type.enum) {
+    pythonType = `Literal[${type.enum.filter(value => value !== null).map(toPythonLiteral).join(', ')}]`;
+  } else {
+    switch (type.kind) {
+    case 'string':
+      pythonType = 'str';
+      break;
+    case 'integer':
+      pythonType = 'int';
+      break;
+    case 'number':
+      pythonType = 'float';
+      break;
+    case 'boolean':
+      pythonType = 'bool';
+      break;
+    case 'measure':
+      pythonType = 'Union[str, float]';
+      break;
+    case 'array':
+      pythonType = `List[${toPythonType(type.items)}]`;
+      break;
+    case 'map':
+      pythonType = `Dict[str, ${toPythonType(type.values)}]`;
+      break;
+    default:
+      return 'Any';
+    }
+  }
+  return type.nullable ? `Optional[${pythonType}]` : pythonType;
+}
+
+function toPythonLiteral(value) {
+  if (value === null) {
+    return 'None';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'True' : 'False';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(toPythonLiteral).join(', ')}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${toPythonLiteral(item)}`).join(', ')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// A pydantic model (options.style = 'pydantic', the default) or a dataclass with
+// from_dict(), plus load(path) for the JSON `align build` writes. Keys that are not valid
+// Python names (database.pool.max) become snake_case attributes aliased to the key.
+function generatePythonCode(schema, options = {}) {
+  const name = options.name || 'config';
+  const style = options.style || 'pydantic';
+  if (!['pydantic', 'dataclass'].includes(style)) {
+    throw new Error(`Unsupported Python style "${style}". Supported: pydantic, dataclass`);
+  }
+  const fields = assignIdentifiers(getCodegenFields(schema, options), toPythonIdentifier, 'python').map(field => {
+    const type = describeCodegenType(field.rules, schema, options);
+    const optional = !field.required && field.default === undefined;
+    return { ...field, type, pyType: optional && !type.nullable ? `Optional[${toPythonType(type)}]` : toPythonType(type), optional };
+  });
+  const annotations = fields.map(field => field.pyType).concat(style === 'dataclass' ? ['Dict[str, Any]'] : []).join(' ');
+  const typingNames = ['Any', 'Dict', 'List', 'Literal', 'Optional', 'Union'].filter(typing => new RegExp(`\\b${typing}\\b`).test(annotations));
+
+  let output = `# Generated by Align codegen from ${options.schemaFile || 'align.schema.json'} - do not edit by hand\n`;
+  output += 'import json\n';
+  if (style === 'dataclass') {
+    output += 'from dataclasses import dataclass, field, fields\n';
+  }
+  if (typingNames.length > 0) {
+    output += `from typing import ${typingNames.join(', ')}\n`;
+  }
+  if (style === 'pydantic') {
+    output += '\nfrom pydantic import BaseModel, ConfigDict, Field\n';
+  }
+  output += '\n\n';
+
+  if (style === 'pydantic') {
+    output += 'class Config(BaseModel):\n';
+    output += '    """Configuration written by `align build --format json`"""\n\n';
+    output += '    model_config = ConfigDict(populate_by_name=True)\n\n';
+    for (const field of fields) {
+      const args = [field.default !== undefined ? toPythonLiteral(field.default) : field.optional ? 'None' : '...'];
+      if (field.name !== field.key) {
+        args.push(`alias=${JSON.stringify(field.key)}`);
       }
-      
-      // String validation
-      if (rules.type === 'string' && typeof value === 'string') {
-        if (rules.minLength !== undefined && value.length < rules.minLength) {
-          errors.push(`${key} must be at least ${rules.minLength} characters, got ${value.length}`);
-        }
-        if (rules.maxLength !== undefined && value.length > rules.maxLength) {
-          errors.push(`${key} must be at most ${rules.maxLength} characters, got ${value.length}`);
-        }
-        if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
-          errors.push(`${key} must match pattern ${rules.pattern}, got "${value}"`);
-        }
+      if (field.description) {
+        args.push(`description=${JSON.stringify(field.description)}`);
       }
+      const value = args.length > 1 ? `Field(${args.join(', ')})` : args[0] === '...' ? null : args[0];
+      output += `    ${field.name}: ${field.pyType}${value ? ` = ${value}` : ''}\n`;
     }
+    output += '\n\ndef load(path: str) -> Config:\n';
+    output += '    """Read a built JSON config, applying schema defaults and checking types"""\n';
+    output += '    with open(path) as handle:\n';
+    output += '        return Config.model_validate(json.load(handle))\n';
   } else {
-    // Legacy validation (only for base configs)
-    if (isBaseConfig) {
-      if (!('service_name' in config)) {
-        errors.push('Missing required key: service_name');
+    // Fields without a default must come first in a dataclass
+    const ordered = [...fields.filter(field => !field.optional && field.default === undefined), ...fields.filter(field => field.optional || field.default !== undefined)];
+    output += '@dataclass\n';
+    output += 'class Config:\n';
+    output += '    """Configuration written by `align build --format json`"""\n\n';
+    for (const field of ordered) {
+      const args = [];
+      if (field.default !== undefined) {
+        args.push(field.default !== null && typeof field.default === 'object'
+          ? `default_factory=lambda: ${toPythonLiteral(field.default)}`
+          : `default=${toPythonLiteral(field.default)}`);
+      } else if (field.optional) {
+        args.push('default=None');
       }
-    }
+      const metadata = { ...(field.name !== field.key ? { key: field.key } : {}), ...(field.description ? { description: field.description } : {}) };
+      if (Object.keys(metadata).length > 0) {
+        args.push(`metadata=${toPythonLiteral(metadata)}`);
+      }
+      const simple = args.length === 1 && args[0].startsWith('default=') ? args[0].slice('default='.length) : null;
+      const value = simple || (args.length > 0 ? `field(${args.join(', ')})` : null);
+      output += `    ${field.name}: ${field.pyType}${value ? ` = ${value}` : ''}\n`;
+    }
+    output += '\n    @classmethod\n';
+    output += '    def from_dict(cls, data: Dict[str, Any]) -> "Config":\n';
+    output += '        names = {item.metadata.get("key", item.name): item.name for item in fields(cls)}\n';
+    output += '        return cls(**{names[key]: value for key, value in data.items() if key in names})\n';
+    output += '\n\ndef load(path: str) -> Config:\n';
+    output += '    """Read a built JSON config, applying schema defaults"""\n';
+    output += '    with open(path) as handle:\n';
+    output += '        return Config.from_dict(json.load(handle))\n';
+  }
+
+  return [{ file: `${name}.py`, content: output }];
+}
+
+const JAVA_KEYWORDS = new Set([
+  'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default',
+  'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'float', 'for', 'goto', 'if', 'implements',
+  'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'null', 'package', 'private', 'protected',
+  'public', 'record', 'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw',
+  'throws', 'transient', 'true', 'try', 'var', 'void', 'volatile', 'while', 'yield'
+]);
+
+function toJavaIdentifier(key) {
+  const [first = 'field', ...rest] = splitIdentifierWords(key);
+  const name = first + rest.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  const safe = /^[0-9]/.test(name) ? `_${name}` : name;
+  return JAVA_KEYWORDS.has(safe) || safe === 'load' ? `${safe}_` : safe;
+}
+
+function toJavaType(type) {
+  switch (type.kind) {
+  case 'string':
+    return 'String';
+  case 'integer':
+    return 'Long';
+  case 'number':
+    return 'Double';
+  case 'boolean':
+    return 'Boolean';
+  case 'array':
+    return `List<${toJavaType(type.items)}>`;
+  case 'map':
+    return `Map<String, ${toJavaType(type.values)}>`;
+  default:
+    return 'Object';
+  }
+}
 
-    // Type validation for all configs
-    if ('timeout' in config && typeof config.timeout !== 'number') {
-      errors.push('timeout must be a number');
+function toJavaLiteral(value, type = { kind: 'any' }) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return `List.of(${value.map(item => toJavaLiteral(item, type.items)).join(', ')})`;
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value).map(([key, item]) => `Map.entry(${JSON.stringify(key)}, ${toJavaLiteral(item, type.values)})`);
+    return `Map.ofEntries(${entries.join(', ')})`;
+  }
+  if (typeof value === 'number') {
+    if (type.kind === 'integer') {
+      return `${value}L`;
     }
+    return type.kind === 'number' && Number.isInteger(value) ? `${value}.0` : String(value);
+  }
+  return JSON.stringify(value);
+}
 
-    if ('auth_required' in config && typeof config.auth_required !== 'boolean') {
-      errors.push('auth_required must be true or false');
+// A Java record with Jackson annotations for the JSON `align build` writes. The compact
+// constructor fills in schema defaults and rejects missing required keys.
+function generateJavaCode(schema, options = {}) {
+  const className = toPascalCase(options.name || 'config');
+  const fields = assignIdentifiers(getCodegenFields(schema, options), toJavaIdentifier, 'java').map(field => {
+    const type = describeCodegenType(field.rules, schema, options);
+    const defaultValue = field.default !== undefined && field.default !== null ? toJavaLiteral(field.default, type) : null;
+    return { ...field, type, javaType: toJavaType(type), defaultValue };
+  });
+  const code = fields.map(field => `${field.javaType} ${field.defaultValue || ''}`).join(' ');
+
+  let output = `// Generated by Align codegen from ${options.schemaFile || 'align.schema.json'} - do not edit by hand\n`;
+  if (options.package) {
+    output += `package ${options.package};\n`;
+  }
+  output += '\nimport com.fasterxml.jackson.annotation.JsonProperty;\n';
+  output += 'import com.fasterxml.jackson.databind.ObjectMapper;\n';
+  output += 'import java.io.File;\n';
+  output += 'import java.io.IOException;\n';
+  if (/\bList\b/.test(code)) {
+    output += 'import java.util.List;\n';
+  }
+  if (/\bMap\b/.test(code)) {
+    output += 'import java.util.Map;\n';
+  }
+  if (fields.some(field => field.required)) {
+    output += 'import java.util.Objects;\n';
+  }
+  output += '\n/**\n * Configuration written by {@code align build --format json}.\n';
+  const documented = fields.filter(field => describeFieldDoc(field, options).length > 0);
+  if (documented.length > 0) {
+    output += ' *\n';
+    for (const field of documented) {
+      const sentences = describeFieldDoc(field, options).map(line => /[.!?:]$/.test(line) ? line : `${line}.`);
+      output += ` * @param ${field.name} ${sentences.join(' ').replace(/\*\//g, '*&#47;')}\n`;
+    }
+  }
+  output += ' */\n';
+  output += `public record ${className}(\n`;
+  output += fields.map(field => {
+    const annotation = field.required
+      ? `@JsonProperty(value = ${JSON.stringify(field.key)}, required = true)`
+      : `@JsonProperty(${JSON.stringify(field.key)})`;
+    return `    ${annotation} ${field.javaType} ${field.name}`;
+  }).join(',\n');
+  output += `${fields.length > 0 ? '\n' : ''}) {\n`;
+  const checks = fields.filter(field => field.required || field.defaultValue);
+  if (checks.length > 0) {
+    output += `    public ${className} {\n`;
+    for (const field of checks) {
+      if (field.required) {
+        output += `        Objects.requireNonNull(${field.name}, "missing required configuration key ${field.key.replace(/["\\]/g, '\\$&')}");\n`;
+      } else {
+        output += `        if (${field.name} == null) {\n            ${field.name} = ${field.defaultValue};\n        }\n`;
+      }
     }
+    output += '    }\n\n';
+  }
+  output += '    /** Read a built JSON config, applying schema defaults and checking required keys. */\n';
+  output += `    public static ${className} load(String path) throws IOException {\n`;
+  output += `        return new ObjectMapper().readValue(new File(path), ${className}.class);\n`;
+  output += '    }\n}\n';
 
-    if ('service_name' in config && typeof config.service_name !== 'string') {
-      errors.push('service_name must be a string');
-    }
+  return [{ file: `${className}.java`, content: output }];
+}
 
-    if ('debug' in config && typeof config.debug !== 'boolean') {
-      errors.push('debug must be true or false');
-    }
+const CODEGEN_TARGETS = {
+  ts: generateTypeScriptCode,
+  go: generateGoCode,
+  python: generatePythonCode,
+  java: generateJavaCode
+};
 
-    if ('port' in config && typeof config.port !== 'number') {
-      errors.push('port must be a number');
-    }
+// Generate typed bindings for `lang`, returning [{ file, content }] relative to the output dir
+function generateCode(lang, schema, options = {}) {
+  const generate = CODEGEN_TARGETS[lang];
+  if (!generate) {
+    throw new Error(`Unsupported codegen language "${lang}". Supported: ${Object.keys(CODEGEN_TARGETS).join(', ')}`);
+  }
+  if (!schema) {
+    throw new Error('Code generation requires a schema');
+  }
+  return generate(schema, options);
+}
 
-    if ('database_url' in config && typeof config.database_url !== 'string') {
-      errors.push('database_url must be a string');
-    }
+// EMBEDDED ARTIFACTS
 
-    if ('log_level' in config && typeof config.log_level !== 'string') {
-      errors.push('log_level must be a string');
-    }
+const ARTIFACT_VERSION = 1;
+
+// JSON with object keys sorted at every level, so a hash doesn't depend on key order
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// The hash covers everything in the artifact except the hash itself
+function hashArtifact(artifact) {
+  const meta = { ...artifact.$align };
+  delete meta.hash;
+  const digest = crypto.createHash('sha256')
+    .update(canonicalJSON({ $align: meta, schema: artifact.schema, config: artifact.config }))
+    .digest('hex');
+  return `sha256:${digest}`;
+}
+
+// A self-describing build output: { $align: { version, environment, builtAt, units, hash },
+// schema, config }. units records build's --duration-unit/--bytes-unit so the numbers in
+// config can be checked against the schema later.
+function createEmbeddedArtifact(config, schema, options = {}) {
+  const meta = {
+    version: ARTIFACT_VERSION,
+    environment: options.environment || null,
+    builtAt: options.builtAt || new Date().toISOString()
+  };
+  if (options.units && (options.units.duration || options.units.bytes)) {
+    meta.units = { ...options.units };
   }
+  const artifact = { $align: meta, schema, config: JSON.parse(JSON.stringify(config)) };
+  artifact.$align.hash = hashArtifact(artifact);
+  return artifact;
+}
 
-  return errors;
+// Schema whose duration/bytes fields use the units the artifact was built with
+function applyArtifactUnits(schema, units = {}) {
+  const fields = getSchemaFields(schema);
+  const adjusted = {};
+  for (const [key, rules] of Object.entries(fields)) {
+    const types = isPlainObject(rules) ? [].concat(rules.type || []) : [];
+    if (types.includes('duration') && units.duration) {
+      adjusted[key] = { ...rules, unit: units.duration };
+    } else if (types.includes('bytes') && units.bytes) {
+      adjusted[key] = { ...rules, unit: units.bytes };
+    }
+  }
+  if (Object.keys(adjusted).length === 0) {
+    return schema;
+  }
+  return isJSONSchema(schema)
+    ? { ...schema, properties: { ...schema.properties, ...adjusted } }
+    : { ...schema, ...adjusted };
 }
 
-function mergeConfigs(baseConfig, envConfig) {
-  return { ...baseConfig, ...envConfig };
+// Check a parsed artifact: structure, the content hash (was it edited after the build?) and
+// the config against the embedded schema. Returns { key, message } issues.
+function verifyEmbeddedArtifact(artifact) {
+  if (!isPlainObject(artifact) || !isPlainObject(artifact.$align) || !isPlainObject(artifact.config)) {
+    return [{ key: null, message: 'Not an Align artifact: build it with `align build --embed-schema`' }];
+  }
+  const meta = artifact.$align;
+  if (meta.version !== ARTIFACT_VERSION) {
+    return [{ key: null, message: `Unsupported artifact version ${JSON.stringify(meta.version)} (expected ${ARTIFACT_VERSION})` }];
+  }
+  if (!isPlainObject(artifact.schema)) {
+    return [{ key: null, message: 'Artifact has no embedded schema' }];
+  }
+
+  const issues = [];
+  const actual = hashArtifact(artifact);
+  if (meta.hash !== actual) {
+    issues.push({
+      key: null,
+      message: `Content hash mismatch: the file was modified after it was built (expected ${meta.hash}, got ${actual})`
+    });
+  }
+  issues.push(...collectValidationIssues(artifact.config, true, applyArtifactUnits(artifact.schema, meta.units)));
+  return issues;
 }
 
 // SMART ANALYSIS FUNCTIONS
@@ -1819,44 +5660,25 @@ function applyRepairsAuto(plan, options, projectDir) {
         });
       }
       
-      // Create base.align
-      const baseAlignPath = path.join(projectDir, 'config', 'base.align');
-      fs.mkdirSync(path.dirname(baseAlignPath), { recursive: true });
-      
-      let baseAlignContent = '# Base Configuration\n';
-      Object.entries(configData).forEach(([key, value]) => {
-        if (typeof value === 'string') {
-          baseAlignContent += `${key} = "${value}"\n`;
-        } else if (Array.isArray(value)) {
-          baseAlignContent += `${key} = [${value.map(item => `"${item}"`).join(', ')}]\n`;
-        } else {
-          baseAlignContent += `${key} = ${value}\n`;
-        }
-      });
-      
-      fs.writeFileSync(baseAlignPath, baseAlignContent);
-      console.log(chalk.green('  ✅ Created config/base.align'));
-      result.filesCreated++;
-      
-      // Create dev.align
-      const devAlignPath = path.join(projectDir, 'config', 'dev.align');
-      let devAlignContent = '# Development Environment Overrides\n';
-      devAlignContent += 'debug = true\n';
-      devAlignContent += 'log_level = "DEBUG"\n';
-      
-      fs.writeFileSync(devAlignPath, devAlignContent);
-      console.log(chalk.green('  ✅ Created config/dev.align'));
-      result.filesCreated++;
-      
-      // Create prod.align
-      const prodAlignPath = path.join(projectDir, 'config', 'prod.align');
-      let prodAlignContent = '# Production Environment Overrides\n';
-      prodAlignContent += 'debug = false\n';
-      prodAlignContent += 'log_level = "WARN"\n';
-      
-      fs.writeFileSync(prodAlignPath, prodAlignContent);
-      console.log(chalk.green('  ✅ Created config/prod.align'));
-      result.filesCreated++;
+      // Write the .align files through AlignDocument: existing files keep their comments and
+      // keys, and the environments keep values someone already chose
+      const configPath = path.join(projectDir, 'config');
+      fs.mkdirSync(configPath, { recursive: true });
+      const writeAlign = (name, header, values, overwrite) => {
+        const file = path.join(configPath, name);
+        const existed = fs.existsSync(file);
+        const document = AlignDocument.load(file, { initial: `${header}\n` });
+        Object.entries(values)
+          .filter(([key]) => overwrite || !document.has(key))
+          .forEach(([key, value]) => document.set(key, value));
+        document.save();
+        console.log(chalk.green(`  ✅ ${existed ? 'Updated' : 'Created'} config/${name}`));
+        result.filesCreated++;
+      };
+
+      writeAlign('base.align', '# Base Configuration', configData, true);
+      writeAlign('dev.align', '# Development Environment Overrides', { debug: true, log_level: 'DEBUG' }, false);
+      writeAlign('prod.align', '# Production Environment Overrides', { debug: false, log_level: 'WARN' }, false);
       
       // Create align.schema.json
       const schemaPath = path.join(projectDir, 'config', 'align.schema.json');
@@ -3543,80 +7365,34 @@ function applyLintFixes(config, schema, environment, lintResult) {
   return { config: fixedConfig, results };
 }
 
-async function writeFixedConfig(config, configDir, environment, schema) {
-  const fs = require('fs').promises;
-  const path = require('path');
+// Write lint fixes back through AlignDocument, so only the fixed keys change and comments
+// stay. config is the fixed merged config; a fixed value equal to the schema default drops
+// the override when only the environment file sets it. options are passed to
+// applyConfigEdits (dryRun lists the files without writing them).
+async function writeFixedConfig(config, configDir, environment, schema, options = {}) {
+  const layers = loadEnvironmentLayers(configDir, environment, { optional: true });
+  const current = mergeLayers([createDefaultsLayer(schema), ...layers].filter(Boolean), schema);
+  const fields = getSchemaFields(schema);
+  const edits = [];
 
-  // Determine which file to update based on where the values came from
-  const basePath = path.join(configDir, 'base.align');
-  const envPath = path.join(configDir, `${environment}.align`);
-  
-  // Load original files to determine what should go where
-  let baseContent = '';
-  let envContent = '';
-  let baseConfig = {};
-  let envConfig = {};
-  
-  try {
-    baseContent = await fs.readFile(basePath, 'utf-8');
-    baseConfig = parseAlign(baseContent);
-  } catch (error) {
-    // File doesn't exist, use empty config
-    baseConfig = {};
-  }
-  
-  try {
-    envContent = await fs.readFile(envPath, 'utf-8');
-    envConfig = parseAlign(envContent);
-  } catch (error) {
-    // File doesn't exist, use empty config
-    envConfig = {};
-  }
-  
-  // Separate fixes into base and environment configs
-  const baseFixes = {};
-  const envFixes = {};
-  const envRemovals = [];
-  
-  for (const [key, value] of Object.entries(config)) {
-    // If the key exists in base config, it's a base fix
-    if (key in baseConfig) {
-      baseFixes[key] = value;
-    }
-    // If the key exists in env config, check if it should be removed
-    else if (key in envConfig) {
-      // If the value matches the schema default, remove it from env config
-      if (schema && schema.properties && schema.properties[key] && 
-          schema.properties[key].default !== undefined &&
-          value === schema.properties[key].default) {
-        envRemovals.push(key);
-      } else {
-        envFixes[key] = value;
-      }
+  for (const key of new Set([...Object.keys(current), ...Object.keys(config)])) {
+    if (!(key in config)) {
+      edits.push({ remove: key });
+      continue;
     }
-    // Otherwise, it's a new field - add to base
-    else {
-      baseFixes[key] = value;
+    if (isDeepStrictEqual(current[key], config[key])) {
+      continue;
+    }
+    const setBy = layers.filter(layer => key in layer.config).map(layer => layer.name);
+    const isDefault = fields[key] && fields[key].default !== undefined && isDeepStrictEqual(config[key], fields[key].default);
+    if (isDefault && setBy.length === 1 && setBy[0] === environment) {
+      edits.push({ remove: key });
+    } else {
+      edits.push({ set: key, value: config[key] });
     }
   }
-  
-  // Apply fixes to base config
-  if (Object.keys(baseFixes).length > 0) {
-    const updatedBaseConfig = { ...baseConfig, ...baseFixes };
-    const baseContent = generateAlignContent(updatedBaseConfig);
-    await fs.writeFile(basePath, baseContent);
-  }
-  
-  // Apply fixes to environment config and remove unnecessary overrides
-  const updatedEnvConfig = { ...envConfig, ...envFixes };
-  envRemovals.forEach(key => {
-    delete updatedEnvConfig[key];
-  });
-  
-  if (Object.keys(envFixes).length > 0 || envRemovals.length > 0) {
-    const envContent = generateAlignContent(updatedEnvConfig);
-    await fs.writeFile(envPath, envContent);
-  }
+
+  return applyConfigEdits(configDir, environment, edits, options);
 }
 
 // Secrets Management Functions
@@ -5058,8 +8834,12 @@ function generateBaseAlignFromAngular(envVars) {
 }
 
 // .env Migration Functions
-function parseEnvFile(content) {
+// With a schema, values of the keys it declares (as written or lowercased) are typed by
+// coerceValue instead of by their shape. Returns { values, warnings } like coerceConfig.
+function parseEnvFile(content, schema = null) {
   const envVars = {};
+  const warnings = [];
+  const fields = getSchemaFields(schema);
   const lines = content.split('\n');
   
   for (const line of lines) {
@@ -5082,8 +8862,15 @@ function parseEnvFile(content) {
         value = value.slice(1, -1);
       }
       
-      // Convert boolean strings
-      if (value === 'true' || value === 'false') {
+      const rules = fields[key] || fields[key.toLowerCase()];
+      if (isPlainObject(rules) && rules.type !== undefined) {
+        const result = coerceValue(value, rules);
+        envVars[key] = result.value;
+        if (result.warning) {
+          warnings.push({ key, message: `${key}: ${result.warning}` });
+        }
+      } else if (value === 'true' || value === 'false') {
+        // Convert boolean strings
         envVars[key] = value === 'true';
       } else if (value === 'null' || value === 'undefined') {
         envVars[key] = null;
@@ -5095,7 +8882,7 @@ function parseEnvFile(content) {
     }
   }
   
-  return envVars;
+  return { values: envVars, warnings };
 }
 
 function generateSchemaFromEnvVars(envVars) {
@@ -5479,7 +9266,91 @@ function createEnvironmentReview(environment, config, reviewer, reviewType = 'se
   return review;
 }
 
-function lockEnvironment(environment, lockedBy, reason, duration = '2h') {
+// ENVIRONMENT LOCKS
+// Lock state lives in <configDir>/.align/locks.json; overrides, locks and unlocks are
+// appended to <configDir>/.align/audit.log, one JSON object per line.
+
+// Thrown when a write targets a locked environment
+class AlignLockError extends Error {
+  constructor(environment, lock) {
+    super(`Environment ${environment} is locked by ${lock.lockedBy} until ${lock.expiresAt} (${lock.reason})`);
+    this.name = 'AlignLockError';
+    this.environment = environment;
+    this.lock = lock;
+  }
+}
+
+function lockStatePath(configDir, name) {
+  return path.join(configDir, '.align', name);
+}
+
+// Locks recorded for a config directory, by environment; {} when there are none
+function readEnvironmentLocks(configDir) {
+  const file = lockStatePath(configDir, 'locks.json');
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8')).locks || {};
+}
+
+// Expired locks are dropped whenever the file is written
+function writeEnvironmentLocks(configDir, locks, now = Date.now()) {
+  const active = Object.fromEntries(Object.entries(locks).filter(([, lock]) => Date.parse(lock.expiresAt) > now));
+  fs.mkdirSync(path.join(configDir, '.align'), { recursive: true });
+  fs.writeFileSync(lockStatePath(configDir, 'locks.json'), `${JSON.stringify({ locks: active }, null, 2)}\n`);
+}
+
+// The lock currently held on an environment, or null (expired locks no longer count)
+function findEnvironmentLock(configDir, environment, now = Date.now()) {
+  const lock = readEnvironmentLocks(configDir)[environment];
+  return lock && Date.parse(lock.expiresAt) > now ? lock : null;
+}
+
+// Locks that have not expired, soonest to expire first
+function listEnvironmentLocks(configDir, now = Date.now()) {
+  return Object.values(readEnvironmentLocks(configDir))
+    .filter(lock => Date.parse(lock.expiresAt) > now)
+    .sort((a, b) => Date.parse(a.expiresAt) - Date.parse(b.expiresAt));
+}
+
+function appendLockAudit(configDir, entry) {
+  fs.mkdirSync(path.join(configDir, '.align'), { recursive: true });
+  fs.appendFileSync(lockStatePath(configDir, 'audit.log'), `${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`);
+}
+
+// Throw AlignLockError when one of the environments is locked. An override
+// ({ reason, user, command }) lets the write go ahead instead; each lock it overrides is
+// recorded in the audit log. Returns the overridden locks.
+function enforceEnvironmentLocks(configDir, environments, override = null) {
+  const locked = environments
+    .map(environment => ({ environment, lock: findEnvironmentLock(configDir, environment) }))
+    .filter(entry => entry.lock);
+  if (locked.length === 0) {
+    return [];
+  }
+  if (!override) {
+    throw new AlignLockError(locked[0].environment, locked[0].lock);
+  }
+  if (!override.reason || !String(override.reason).trim()) {
+    throw new Error('Overriding a lock needs a reason');
+  }
+  for (const { environment, lock } of locked) {
+    appendLockAudit(configDir, { action: 'override', environment, user: override.user, command: override.command, reason: override.reason, lock });
+  }
+  return locked.map(entry => entry.lock);
+}
+
+// Lock an environment. With configDir the environment must exist there and the lock is
+// stored there (and audit-logged); an active lock held by someone else is an AlignLockError,
+// the owner's own lock is replaced.
+function lockEnvironment(environment, lockedBy, reason, duration = '2h', configDir = null) {
+  if (configDir) {
+    const environments = discoverEnvironments(configDir);
+    if (!environments.includes(environment)) {
+      throw new Error(`Unknown environment ${environment} in ${configDir} (environments: ${environments.join(', ') || 'none'})`);
+    }
+  }
+
   const lock = {
     environment,
     lockedBy,
@@ -5489,6 +9360,15 @@ function lockEnvironment(environment, lockedBy, reason, duration = '2h') {
     expiresAt: new Date(Date.now() + parseDuration(duration)).toISOString(),
     status: 'locked'
   };
+
+  if (configDir) {
+    const current = findEnvironmentLock(configDir, environment);
+    if (current && current.lockedBy !== lockedBy) {
+      throw new AlignLockError(environment, current);
+    }
+    writeEnvironmentLocks(configDir, { ...readEnvironmentLocks(configDir), [environment]: lock });
+    appendLockAudit(configDir, { action: 'lock', environment, user: lockedBy, reason, expiresAt: lock.expiresAt });
+  }
   
   console.log(chalk.yellow(`🔒 Environment locked: ${environment}`));
   console.log(chalk.blue(`👤 Locked by: ${lockedBy}`));
@@ -5498,13 +9378,27 @@ function lockEnvironment(environment, lockedBy, reason, duration = '2h') {
   return lock;
 }
 
-function unlockEnvironment(environment, unlockedBy) {
+// Unlock an environment. With configDir the stored lock is removed (and audit-logged);
+// it is an error when the environment is not locked.
+function unlockEnvironment(environment, unlockedBy, configDir = null) {
   const unlock = {
     environment,
     unlockedBy,
     unlockedAt: new Date().toISOString(),
     status: 'unlocked'
   };
+
+  if (configDir) {
+    const lock = findEnvironmentLock(configDir, environment);
+    if (!lock) {
+      throw new Error(`Environment ${environment} is not locked`);
+    }
+    const locks = readEnvironmentLocks(configDir);
+    delete locks[environment];
+    writeEnvironmentLocks(configDir, locks);
+    appendLockAudit(configDir, { action: 'unlock', environment, user: unlockedBy, lockedBy: lock.lockedBy });
+    unlock.lock = lock;
+  }
   
   console.log(chalk.green(`🔓 Environment unlocked: ${environment}`));
   console.log(chalk.blue(`👤 Unlocked by: ${unlockedBy}`));
@@ -5512,22 +9406,13 @@ function unlockEnvironment(environment, unlockedBy) {
   return unlock;
 }
 
+// Milliseconds for a lock duration such as 30m, 2h or 1d; anything else is an error
 function parseDuration(duration) {
-  const units = {
-    's': 1000,
-    'm': 60 * 1000,
-    'h': 60 * 60 * 1000,
-    'd': 24 * 60 * 60 * 1000
-  };
-  
-  const match = duration.match(/^(\d+)([smhd])$/);
-  if (match) {
-    const value = parseInt(match[1]);
-    const unit = match[2];
-    return value * units[unit];
+  const ms = typeof duration === 'string' ? parseDurationValue(duration) : null;
+  if (ms === null || ms <= 0) {
+    throw new Error(`Invalid duration "${duration}". Use a number and a unit (${Object.keys(DURATION_UNITS).join(', ')}), e.g. 30m, 2h or 1d`);
   }
-  
-  return 2 * 60 * 60 * 1000; // Default 2 hours
+  return ms;
 }
 
 // SOC 2 Compliance Functions
@@ -6606,10 +10491,77 @@ function updateCursorIgnore(projectDir, options = {}) {
 
 module.exports = {
   parseAlign,
+  parseAlignAST,
+  tokenizeAlign,
+  flattenAlignAST,
   parseValue,
+  parseAlignCST,
+  formatAlign,
+  AlignDocument,
+  toAlignLiteral,
+  applyConfigEdits,
+  editConfigKey,
   loadSchema,
   validateConfig,
+  collectValidationIssues,
+  AlignSyntaxError,
+  AlignValidationError,
+  renderCodeFrame,
+  collectKeyLocations,
+  locateValidationIssues,
+  createValidationError,
+  getErrorDiagnostics,
   mergeConfigs,
+  mergeValues,
+  resolveMergeStrategy,
+  getMergeDirectives,
+  getSchemaFields,
+  MERGE_STRATEGIES,
+  interpolateConfig,
+  explainInterpolation,
+  validateJSONSchema,
+  evaluateSchemaRules,
+  parseRuleExpression,
+  coerceValue,
+  coerceConfig,
+  isJSONSchema,
+  normalizeSchema,
+  parseDurationValue,
+  parseBytesValue,
+  parseDateTimeValue,
+  isUrlValue,
+  detectLiteralType,
+  normalizeTypedValues,
+  getEnvironmentParents,
+  expandIncludePath,
+  loadAlignFile,
+  loadEnvironmentLayers,
+  discoverEnvironments,
+  mergeLayers,
+  traceConfigKey,
+  SCHEMA_DEFAULTS_LAYER,
+  getSchemaDefaults,
+  createDefaultsLayer,
+  ENV_OVERRIDES_LAYER,
+  createEnvOverridesLayer,
+  envVariableToKey,
+  keyToEnvVariable,
+  CLI_OVERRIDES_LAYER,
+  createCliOverridesLayer,
+  listEnvironmentFiles,
+  listEnvironmentGlobs,
+  environmentsUsingFiles,
+  findConfigDir,
+  watchFiles,
+  generateCode,
+  generateTypeScriptCode,
+  generateGoCode,
+  generatePythonCode,
+  generateJavaCode,
+  getCodegenFields,
+  createEmbeddedArtifact,
+  verifyEmbeddedArtifact,
+  canonicalJSON,
   performSmartAnalysis,
   diagnoseConfig,
   repairConfig,
@@ -6697,6 +10649,12 @@ module.exports = {
   analyzeConfigurationUsage,
   createEnvironmentShare,
   createEnvironmentReview,
+  AlignLockError,
+  readEnvironmentLocks,
+  writeEnvironmentLocks,
+  findEnvironmentLock,
+  listEnvironmentLocks,
+  enforceEnvironmentLocks,
   lockEnvironment,
   unlockEnvironment,
   parseDuration,
@@ -1,7 +1,52 @@
 const { 
   parseAlign, 
+  parseValue,
+  parseAlignAST,
+  parseAlignCST,
+  formatAlign,
+  AlignDocument,
+  applyConfigEdits,
+  editConfigKey,
+  tokenizeAlign,
   validateConfig, 
+  collectValidationIssues,
+  validateJSONSchema,
+  evaluateSchemaRules,
+  getSchemaDefaults,
+  coerceValue,
+  coerceConfig,
+  createDefaultsLayer,
+  createEnvOverridesLayer,
+  envVariableToKey,
+  keyToEnvVariable,
+  createCliOverridesLayer,
+  generateCode,
+  createEmbeddedArtifact,
+  verifyEmbeddedArtifact,
+  canonicalJSON,
+  parseRuleExpression,
+  isJSONSchema,
+  createValidationError,
+  getErrorDiagnostics,
+  renderCodeFrame,
+  AlignSyntaxError,
+  AlignValidationError,
   mergeConfigs, 
+  mergeValues,
+  getMergeDirectives,
+  loadAlignFile,
+  expandIncludePath,
+  interpolateConfig,
+  explainInterpolation,
+  parseDurationValue,
+  parseBytesValue,
+  detectLiteralType,
+  normalizeTypedValues,
+  locateValidationIssues,
+  loadEnvironmentLayers,
+  discoverEnvironments,
+  mergeLayers,
+  traceConfigKey,
   loadSchema,
   performSmartAnalysis,
   diagnoseConfig,
@@ -64,6 +109,11 @@ const {
   createEnvironmentReview,
   lockEnvironment,
   unlockEnvironment,
+  listEnvironmentLocks,
+  enforceEnvironmentLocks,
+  environmentsUsingFiles,
+  findConfigDir,
+  AlignLockError,
   parseDuration,
   generateSOC2Checklist
 } = require('./parser');
@@ -185,7 +235,7 @@ describe('Parser Module', () => {
       
       const result = parseAlign(content);
       
-      expect(result.ports).toEqual(["3000", "3001", "3002"]);
+      expect(result.ports).toEqual([3000, 3001, 3002]);
       expect(result.hosts).toEqual(['localhost', '127.0.0.1']);
       expect(result.empty_array).toEqual([]);
     });
@@ -254,15 +304,358 @@ describe('Parser Module', () => {
         app_name: 'myapp',
         'service.api.port': 3000,
         'service.api.workers': 4,
-        'database.primary.url': 'postgresql://localhost:5432/myapp',
-        'database.primary.pool_size': 10,
-        'cache.redis.host': 'localhost',
-        'cache.redis.port': 6379
+        'service.api.database.primary.url': 'postgresql://localhost:5432/myapp',
+        'service.api.database.primary.pool_size': 10,
+        'service.api.cache.redis.host': 'localhost',
+        'service.api.cache.redis.port': 6379
       });
     });
+
+    test('should handle blocks without a name', () => {
+      const content = `
+        database {
+          pool {
+            max = 20
+          }
+        }
+      `;
+
+      expect(parseAlign(content)).toEqual({ 'database.pool.max': 20 });
+    });
+
+    test('should handle multi-line arrays with comments and trailing commas', () => {
+      const content = `
+        cors_origins = [
+          "https://a.example.com", # primary
+          "https://b.example.com",
+        ]
+      `;
+
+      expect(parseAlign(content).cors_origins).toEqual(['https://a.example.com', 'https://b.example.com']);
+    });
+
+    test('should keep commas and hashes inside quoted strings', () => {
+      const content = `
+        tags = ["a,b", "c"]
+        color = "#ff0000" # red
+      `;
+
+      const result = parseAlign(content);
+
+      expect(result.tags).toEqual(['a,b', 'c']);
+      expect(result.color).toBe('#ff0000');
+    });
+
+    test('should handle escaped quotes', () => {
+      const content = 'greeting = "say \\"hi\\""\nliteral = \'it\\\'s\'';
+
+      const result = parseAlign(content);
+
+      expect(result.greeting).toBe('say "hi"');
+      expect(result.literal).toBe('it\'s');
+    });
+
+    test('should handle heredoc strings', () => {
+      const content = [
+        'banner = <<-EOT',
+        '    Welcome',
+        '      to align',
+        '    EOT',
+        'port = 3000'
+      ].join('\n');
+
+      const result = parseAlign(content);
+
+      expect(result.banner).toBe('Welcome\n  to align');
+      expect(result.port).toBe(3000);
+    });
+
+    test('should end unquoted values at the brace closing a one-line block', () => {
+      const result = parseAlign('db { host = localhost }\nservice "api" { url = http://${db.host}/v1 }\n');
+
+      expect(result['db.host']).toBe('localhost');
+      expect(result['service.api.url']).toBe('http://${db.host}/v1');
+      expect(parseAlign('pattern = a}b\n').pattern).toBe('a}b');
+    });
+
+    test('should throw error for unclosed blocks and arrays', () => {
+      expect(() => parseAlign('service "api" {\n  port = 1\n')).toThrow('Invalid syntax on line 1: unclosed block');
+      expect(() => parseAlign('hosts = ["a",\n"b"\n')).toThrow('Invalid syntax on line 1: unterminated array');
+      expect(() => parseAlign('name = "web')).toThrow('Invalid syntax on line 1: unterminated string');
+    });
+  });
+
+  describe('Typed and nested values', () => {
+    test('should type array elements', () => {
+      const result = parseAlign('mixed = [80, "443", true, 1.5, 10.0.0.1]');
+
+      expect(result.mixed).toEqual([80, '443', true, 1.5, '10.0.0.1']);
+    });
+
+    test('should parse nested arrays', () => {
+      const result = parseAlign('matrix = [[1, 2], ["a", ["b"]]]');
+
+      expect(result.matrix).toEqual([[1, 2], ['a', ['b']]]);
+    });
+
+    test('should parse inline objects on one or several lines', () => {
+      const content = `
+        limits = { cpu = "500m", memory = "1Gi" }
+        probe = {
+          path = "/health"   # liveness
+          ports = [8080, 8081]
+          tls = { enabled = true }
+        }
+        upstreams = [{ host = "a", port = 1 }, { host = "b", port = 2 }]
+      `;
+
+      const result = parseAlign(content);
+
+      expect(result.limits).toEqual({ cpu: '500m', memory: '1Gi' });
+      expect(result.probe).toEqual({ path: '/health', ports: [8080, 8081], tls: { enabled: true } });
+      expect(result.upstreams).toEqual([{ host: 'a', port: 1 }, { host: 'b', port: 2 }]);
+    });
+
+    test('should parse typed values with parseValue', () => {
+      expect(parseValue('[1, "two", false]')).toEqual([1, 'two', false]);
+      expect(parseValue('{ cpu = "500m" }')).toEqual({ cpu: '500m' });
+    });
+
+    test('should throw error for unterminated inline objects', () => {
+      expect(() => parseAlign('limits = { cpu = "500m"')).toThrow('Invalid syntax on line 1: unterminated object');
+    });
+  });
+
+  describe('parseAlignAST', () => {
+    test('should produce assignments and blocks with source positions', () => {
+      const ast = parseAlignAST('# header\nport = 3000\nservice "api" {\n  host = "localhost"\n}\n');
+
+      expect(ast.type).toBe('Document');
+      expect(ast.comments).toHaveLength(1);
+      expect(ast.body[0]).toMatchObject({
+        type: 'Assignment',
+        key: 'port',
+        value: { type: 'Bare', value: '3000' },
+        loc: { start: { line: 2, column: 1 } }
+      });
+      expect(ast.body[1]).toMatchObject({ type: 'Block', kind: 'service', name: 'api' });
+      expect(ast.body[1].body[0].keyLoc.start).toEqual({ line: 4, column: 3, offset: 39 });
+    });
+
+    test('should tokenize with positions', () => {
+      const tokens = tokenizeAlign('a = "b"');
+
+      expect(tokens.map(token => token.type)).toEqual(['word', 'equals', 'string', 'eof']);
+      expect(tokens[2].start).toEqual({ line: 1, column: 5, offset: 4 });
+    });
+  });
+
+  describe('formatting', () => {
+    test('should align =, normalise quotes and keep comments and groups', () => {
+      const source = [
+        '# Server',
+        'name=\'web\'   # shown in logs',
+        'port=8080',
+        'hosts += [ "a",\'b\' ]',
+        '',
+        '',
+        '// Paths',
+        'dir = \'C:\\temp\'',
+        'db "main" {   # primary',
+        '      port=5432',
+        '  opts = {a=1,b = "x"}',
+        '}'
+      ].join('\n');
+
+      expect(formatAlign(source)).toBe([
+        '# Server',
+        'name   = "web" # shown in logs',
+        'port   = 8080',
+        'hosts += ["a", "b"]',
+        '',
+        '// Paths',
+        'dir = \'C:\\temp\'',
+        'db "main" { # primary',
+        '  port = 5432',
+        '  opts = { a = 1, b = "x" }',
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    test('should be idempotent and keep multi-line values and heredocs', () => {
+      const source = 'list = [\n  1,\n    2\n]\ntext = <<END\n  hello\nEND\nempty {\n}\n';
+      const formatted = formatAlign(source);
+
+      expect(formatted).toBe('list = [\n  1,\n  2\n]\ntext = <<END\n  hello\nEND\nempty {}\n');
+      expect(formatAlign(formatted)).toBe(formatted);
+    });
+
+    test('should sort keys within groups without crossing includes or overlapping keys', () => {
+      const source = '# Header\nzeta = 1\nalpha = 2\ninclude "x.align"\nmid = 3\nbeta = 4\n\ndb.host = "a"\ndb {\n  host = "b"\n}\n';
+
+      expect(formatAlign(source, { sort: true })).toBe(
+        '# Header\nalpha = 2\nzeta  = 1\ninclude "x.align"\nbeta = 4\nmid  = 3\n\ndb.host = "a"\ndb {\n  host = "b"\n}\n'
+      );
+    });
+
+    test('should attach comments to the statements they describe', () => {
+      const cst = parseAlignCST('# file header\n\n# port\nport = 1 # inline\n\n# end\n');
+
+      expect(cst.body.map(item => item.type)).toEqual(['Comment', 'Assignment', 'Comment']);
+      expect(cst.body[1]).toMatchObject({ leadingComments: ['# port'], trailingComment: '# inline', blankBefore: true });
+      expect(cst.body[2]).toMatchObject({ text: '# end', blankBefore: true });
+    });
+  });
+
+  describe('document editing', () => {
+    const source = '# App\nname = "web"  # shown in logs\nhosts += ["a"]\n\n# Database\ndb {\n  host = "localhost"\n}\n';
+
+    test('should set values in place and keep comments', () => {
+      const document = new AlignDocument(source).set('name', 'api').set('hosts', ['b']).set('db.port', 5432).set('debug', true);
+
+      expect(document.toString()).toBe(
+        '# App\nname = "api"  # shown in logs\nhosts  = ["b"]\n\n# Database\ndb {\n  host = "localhost"\n  port = 5432\n}\ndebug = true\n'
+      );
+      expect(document.get('db.port')).toBe(5432);
+      expect(document.changed).toBe(true);
+    });
+
+    test('should remove keys and blocks with their comments', () => {
+      const document = new AlignDocument(source);
+
+      expect(document.remove('db')).toBe(true);
+      expect(document.remove('missing')).toBe(false);
+      expect(document.toString()).toBe('# App\nname = "web"  # shown in logs\nhosts += ["a"]\n');
+
+      const spaced = new AlignDocument('a = 1\n\nb = 2\n\nc = 3\n');
+      spaced.remove('b');
+      expect(spaced.toString()).toBe('a = 1\n\nc = 3\n');
+    });
+
+    test('should rename keys and move them into blocks', () => {
+      const document = new AlignDocument(source);
+      document.rename('db.host', 'db.hostname');
+
+      expect(document.moveToBlock('name', 'service')).toBe('service.name');
+      expect(document.toString()).toBe(
+        'hosts += ["a"]\n\n# Database\ndb {\n  hostname = "localhost"\n}\n\nservice {\n  # App\n  name = "web" # shown in logs\n}\n'
+      );
+      expect(() => document.moveToBlock('missing', 'service')).toThrow('Cannot move missing');
+
+      const appended = new AlignDocument('a = [1]\nb = 2\na += [2] # more\n');
+      appended.moveToBlock('a', 'blk');
+      expect(appended.toString()).toBe('b = 2\n\nblk {\n  a = [1]\n  a += [2] # more\n}\n');
+      expect(parseAlign(appended.toString())['blk.a']).toEqual([1, 2]);
+    });
+
+    test('should refuse to write null', () => {
+      expect(() => new AlignDocument('a = 1\n').set('a', null)).toThrow('Cannot write null to .align');
+    });
+
+    test('should write edits to the file that sets each key', () => {
+      const files = {
+        '/config/base.align': '# base\nport = 80\ninclude "db.align"\n',
+        '/config/db.align': 'db_host = "a" # primary\n',
+        '/config/prod.align': '# prod\nport = 443\n'
+      };
+      fs.existsSync.mockImplementation(file => file in files);
+      fs.readFileSync.mockImplementation(file => files[file]);
+      fs.readdirSync.mockReturnValue([]);
+      fs.writeFileSync.mockImplementation((file, content) => { files[file] = content; });
+
+      const edits = [
+        { set: 'port', value: 8443 },
+        { set: 'db_host', value: 'b' },
+        { set: 'region', value: 'eu' },
+        { rename: 'db_host', to: 'database_host' }
+      ];
+      expect(applyConfigEdits('/config', 'prod', edits, { dryRun: true }).sort()).toEqual(['/config/base.align', '/config/db.align', '/config/prod.align']);
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+
+      const written = applyConfigEdits('/config', 'prod', edits);
+
+      expect(written.sort()).toEqual(['/config/base.align', '/config/db.align', '/config/prod.align']);
+      expect(files['/config/prod.align']).toBe('# prod\nport = 8443\n');
+      expect(files['/config/db.align']).toBe('database_host = "b" # primary\n');
+      expect(files['/config/base.align']).toBe('# base\nport = 80\ninclude "db.align"\nregion = "eu"\n');
+    });
+
+    test('should validate the merged result before setting or unsetting a key', () => {
+      const files = {
+        '/config/base.align': 'service_name = "web"\nport = 80\n',
+        '/config/prod.align': '# prod\nport = 443\n'
+      };
+      const schema = { service_name: { type: 'string', required: true }, port: { type: 'number', max: 65535 } };
+      fs.existsSync.mockImplementation(file => file in files);
+      fs.readFileSync.mockImplementation(file => files[file]);
+      fs.readdirSync.mockReturnValue(['base.align', 'prod.align']);
+      fs.writeFileSync.mockImplementation((file, content) => { files[file] = content; });
+
+      expect(editConfigKey('/config', 'prod', { set: 'port', value: 8443 }, { schema })).toEqual({ file: '/config/prod.align', changed: true, overridden: [] });
+      expect(files['/config/prod.align']).toBe('# prod\nport = 8443\n');
+
+      expect(() => editConfigKey('/config', 'prod', { set: 'port', value: 70000 }, { schema })).toThrow('prod.align would be invalid');
+      expect(() => editConfigKey('/config', null, { remove: 'service_name' }, { base: true, schema })).toThrow('base.align would be invalid');
+      expect(() => editConfigKey('/config', 'prod', { remove: 'debug' }, { schema })).toThrow('debug is not set in /config/prod.align');
+      expect(files['/config/prod.align']).toBe('# prod\nport = 8443\n');
+      expect(files['/config/base.align']).toBe('service_name = "web"\nport = 80\n');
+
+      files['/config/.align/locks.json'] = JSON.stringify({ locks: { prod: { lockedBy: 'alice', reason: 'release', expiresAt: '2999-01-01T00:00:00.000Z' } } });
+      expect(() => editConfigKey('/config', 'prod', { set: 'port', value: 1 }, { schema })).toThrow('Environment prod is locked by alice');
+      expect(() => editConfigKey('/config', null, { set: 'port', value: 1 }, { base: true, schema })).toThrow('Environment prod is locked');
+    });
+
+    test('should let schema defaults satisfy required keys in base.align', () => {
+      const files = { '/config/base.align': 'port = 80\n', '/config/prod.align': 'port = 443\n' };
+      const schema = { region: { type: 'string', required: true, default: 'eu' }, port: { type: 'number' } };
+      fs.existsSync.mockImplementation(file => file in files);
+      fs.readFileSync.mockImplementation(file => files[file]);
+      fs.readdirSync.mockReturnValue(['base.align', 'prod.align']);
+      fs.writeFileSync.mockImplementation((file, content) => { files[file] = content; });
+
+      expect(editConfigKey('/config', 'prod', { set: 'port', value: 8443 }, { schema }).changed).toBe(true);
+      expect(editConfigKey('/config', null, { set: 'port', value: 8080 }, { base: true, schema }).changed).toBe(true);
+      expect(files['/config/base.align']).toBe('port = 8080\n');
+    });
   });
 
   describe('validateConfig', () => {
+    test('should validate array items', () => {
+      const schema = {
+        ports: { type: 'array', maxItems: 2, items: { type: 'number', min: 1, max: 65535 } },
+        hosts: { type: 'array', items: { type: 'string' } }
+      };
+
+      const errors = validateConfig({ ports: [80, 0, 'x'], hosts: 'localhost' }, false, schema);
+
+      expect(errors).toEqual([
+        'ports must have at most 2 items, got 3',
+        'ports[1] must be >= 1, got 0',
+        'ports[2] must be a number, got string',
+        'hosts must be an array, got string'
+      ]);
+    });
+
+    test('should validate object properties', () => {
+      const schema = {
+        limits: {
+          type: 'object',
+          properties: {
+            cpu: { type: 'string', pattern: '^[0-9]+m$' },
+            memory: { type: 'string', required: true }
+          }
+        }
+      };
+
+      expect(validateConfig({ limits: { cpu: '500m', memory: '1Gi' } }, false, schema)).toEqual([]);
+      expect(validateConfig({ limits: { cpu: 2 } }, false, schema)).toEqual([
+        'limits.cpu must be a string, got number',
+        'Missing required key: limits.memory'
+      ]);
+      expect(validateConfig({ limits: ['500m'] }, false, schema)).toEqual(['limits must be an object, got array']);
+    });
+
     test('should validate base config with required fields', () => {
       const config = {
         timeout: 3000,
@@ -383,6 +776,610 @@ describe('Parser Module', () => {
     });
   });
 
+  describe('JSON Schema validation', () => {
+    const schema = {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'object',
+      $defs: {
+        port: { type: 'integer', minimum: 1, maximum: 65535 }
+      },
+      properties: {
+        port: { $ref: '#/$defs/port' },
+        log_level: { enum: ['debug', 'info', 'warn', 'error'] },
+        admin_email: { type: 'string', format: 'email' },
+        tls: { type: 'boolean' },
+        tls_cert: { type: 'string' },
+        cache: { oneOf: [{ type: 'boolean' }, { type: 'object', required: ['ttl'] }] },
+        tags: { type: 'array', items: { type: 'string' }, uniqueItems: true }
+      },
+      required: ['port'],
+      additionalProperties: false,
+      dependentRequired: { tls_cert: ['tls'] },
+      if: { properties: { tls: { const: true } }, required: ['tls'] },
+      then: { required: ['tls_cert'] }
+    };
+
+    test('should detect JSON Schema documents', () => {
+      expect(isJSONSchema(schema)).toBe(true);
+      expect(isJSONSchema({ port: { type: 'number' } })).toBe(false);
+    });
+
+    test('should accept a valid config', () => {
+      expect(validateConfig({ port: 8080, log_level: 'info', tls: true, tls_cert: '/etc/cert.pem', cache: { ttl: 60 } }, true, schema)).toEqual([]);
+    });
+
+    test('should report enum, format, $ref, oneOf, items and additionalProperties errors', () => {
+      const errors = validateConfig({
+        port: 70000,
+        log_level: 'trace',
+        admin_email: 'nobody',
+        cache: { size: 1 },
+        tags: ['a', 'a', 3],
+        extra: true
+      }, true, schema);
+
+      expect(errors).toEqual([
+        'port must be <= 65535, got 70000',
+        'log_level must be one of "debug", "info", "warn", "error", got "trace"',
+        'admin_email must be a valid email, got "nobody"',
+        'cache must match exactly one of the allowed schemas (oneOf), matched 0',
+        'tags[2] must be a string, got number',
+        'tags must not contain duplicate items',
+        'Unknown key: extra'
+      ]);
+    });
+
+    test('should apply dependentRequired and if/then to complete configs only', () => {
+      expect(validateConfig({ port: 80, tls: true }, true, schema)).toEqual(['Missing required key: tls_cert']);
+      expect(validateConfig({ port: 80, tls_cert: 'x' }, true, schema)).toEqual(['tls is required when tls_cert is set']);
+      expect(validateConfig({ tls: true }, false, schema)).toEqual([]);
+    });
+
+    test('should report the top-level key of nested issues', () => {
+      expect(collectValidationIssues({ port: 80, cache: { ttl: 'x' } }, true, {
+        type: 'object',
+        properties: { port: { type: 'number' }, cache: { type: 'object', properties: { ttl: { type: 'number' } } } }
+      })).toEqual([{ key: 'cache', message: 'cache.ttl must be a number, got string' }]);
+    });
+
+    test('should support JSON Schema keywords in the flat schema format', () => {
+      expect(validateConfig({ log_level: 'trace', replicas: 3 }, false, {
+        log_level: { type: 'string', enum: ['info', 'warn'] },
+        replicas: { type: 'integer', multipleOf: 2 }
+      })).toEqual([
+        'log_level must be one of "info", "warn", got "trace"',
+        'replicas must be a multiple of 2, got 3'
+      ]);
+    });
+
+    test('should accept flat-format patterns and report invalid ones instead of throwing', () => {
+      expect(validateConfig({ name: 'my_app', tag: 'x' }, false, {
+        name: { type: 'string', pattern: '^[a-z\\_]+$' },
+        tag: { type: 'string', pattern: '(' }
+      })).toEqual(['tag has an invalid pattern in the schema: (']);
+      expect(validateJSONSchema({ 'x-a': 1, b: 2 }, {
+        type: 'object',
+        patternProperties: { '^x\\-': { type: 'string' }, '[': { type: 'string' } }
+      }, { patternFlags: '' })).toEqual([
+        { key: null, message: 'config has an invalid patternProperties pattern in the schema: [' },
+        { key: 'x-a', message: 'x-a must be a string, got number' }
+      ]);
+    });
+
+    test('should compile JSON Schema patterns with the u flag', () => {
+      expect(validateJSONSchema({ name: 'my_app' }, {
+        type: 'object',
+        properties: { name: { type: 'string', pattern: '^[a-z\\_]+$' } }
+      })).toEqual([
+        { key: 'name', message: 'name has an invalid pattern in the schema: ^[a-z\\_]+$' }
+      ]);
+      expect(validateJSONSchema({ name: 'café' }, {
+        type: 'object',
+        properties: { name: { type: 'string', pattern: '^\\p{L}+$' } }
+      })).toEqual([]);
+    });
+
+    test('should report self-referential references instead of recursing', () => {
+      const issues = validateJSONSchema({ a: 1 }, {
+        type: 'object',
+        $defs: { loop: { $ref: '#/$defs/loop' } },
+        properties: { a: { $ref: '#/$defs/loop' } }
+      });
+      expect(issues).toEqual([
+        { key: 'a', message: 'a: $ref "#/$defs/loop" in the schema refers back to itself' }
+      ]);
+    });
+
+    test('should reject unresolvable references', () => {
+      expect(() => validateJSONSchema({ a: 1 }, { type: 'object', properties: { a: { $ref: '#/$defs/missing' } } })).toThrow('Unresolvable $ref "#/$defs/missing"');
+      expect(() => validateJSONSchema({ a: 1 }, { type: 'object', properties: { a: { $ref: 'https://example.com/s.json' } } })).toThrow('Unsupported $ref');
+    });
+  });
+
+  describe('schema rules', () => {
+    const schema = {
+      ssl_enabled: { type: 'boolean' },
+      cache_ttl: { type: 'duration', unit: 's' },
+      session_timeout: { type: 'duration' },
+      rules: [
+        { when: 'ssl_enabled == true', required: ['ssl_cert_path'] },
+        { key: 'auth_enabled', requires: ['jwt_secret', 'jwt_issuer'] },
+        { conflicts: ['debug', 'production_mode'] },
+        'cache_ttl <= session_timeout',
+        { assert: 'min_pool_size <= max_pool_size', message: 'Pool minimum exceeds maximum' }
+      ]
+    };
+
+    test('should accept configs that satisfy every rule', () => {
+      expect(validateConfig({
+        ssl_enabled: false,
+        auth_enabled: true,
+        jwt_secret: 's',
+        jwt_issuer: 'align',
+        debug: true,
+        production_mode: false,
+        cache_ttl: 600,
+        session_timeout: '30m',
+        min_pool_size: 2,
+        max_pool_size: 10
+      }, true, schema)).toEqual([]);
+    });
+
+    test('should name every involved key in rule errors', () => {
+      expect(validateConfig({
+        ssl_enabled: true,
+        auth_enabled: true,
+        jwt_issuer: 'align',
+        debug: true,
+        production_mode: true,
+        cache_ttl: 3600,
+        session_timeout: '30m',
+        min_pool_size: 20,
+        max_pool_size: 10
+      }, true, schema)).toEqual([
+        'ssl_cert_path is required when ssl_enabled == true (ssl_enabled = true, ssl_cert_path is not set)',
+        'auth_enabled requires jwt_secret (auth_enabled = true, jwt_secret is not set)',
+        'Only one of debug, production_mode may be set (debug = true, production_mode = true)',
+        'cache_ttl <= session_timeout does not hold (cache_ttl = 3600, session_timeout = "30m")',
+        'Pool minimum exceeds maximum (min_pool_size = 20, max_pool_size = 10)'
+      ]);
+    });
+
+    test('should report involved keys and locate issues at the first one', () => {
+      expect(evaluateSchemaRules({ min_pool_size: 5, max_pool_size: 1 }, schema)).toEqual([{
+        key: 'min_pool_size',
+        keys: ['min_pool_size', 'max_pool_size'],
+        rule: 5,
+        message: 'Pool minimum exceeds maximum (min_pool_size = 5, max_pool_size = 1)'
+      }]);
+    });
+
+    test('should only evaluate rules on complete configs', () => {
+      expect(validateConfig({ ssl_enabled: true }, false, schema)).toEqual([]);
+      expect(validateConfig({ ssl_enabled: true }, true, schema, { rules: false })).toEqual([]);
+    });
+
+    test('should guard rules with when conditions combining && and ||', () => {
+      const rules = { rules: [{ when: 'env == \'prod\' || env == \'staging\' && !canary', assert: 'replicas >= 2' }] };
+      expect(validateConfig({ env: 'dev', replicas: 1 }, true, rules)).toEqual([]);
+      expect(validateConfig({ env: 'staging', canary: true, replicas: 1 }, true, rules)).toEqual([]);
+      expect(validateConfig({ env: 'prod', replicas: 1 }, true, rules)).toEqual([
+        'replicas >= 2 does not hold when env == \'prod\' || env == \'staging\' && !canary (env = "prod", canary is not set, replicas = 1)'
+      ]);
+    });
+
+    test('should compare typed literals by magnitude and skip unset keys', () => {
+      const rules = { rules: ['max_upload <= 1GiB', 'timeout < 1m'] };
+      expect(validateConfig({ max_upload: '512MB', timeout: '30s' }, true, rules)).toEqual([]);
+      expect(validateConfig({ max_upload: '2GB' }, true, rules)).toEqual(['max_upload <= 1GiB does not hold (max_upload = "2GB")']);
+      expect(validateConfig({ timeout: 'soon' }, true, rules)).toEqual(['timeout < 1m cannot be evaluated: values are not comparable (timeout = "soon")']);
+    });
+
+    test('should reject malformed rules', () => {
+      expect(() => parseRuleExpression('a <=')).toThrow('Invalid rule expression "a <=": expected a key or value');
+      expect(() => parseRuleExpression('a b')).toThrow('expected && or || before "b"');
+      expect(() => evaluateSchemaRules({}, { rules: [{ requires: ['b'] }] })).toThrow('Invalid schema rule #1: "requires" needs a "key"');
+      expect(() => evaluateSchemaRules({}, { rules: [{ when: 'a' }] })).toThrow('Invalid schema rule #1: expected one of');
+    });
+  });
+
+  describe('schema defaults', () => {
+    test('should collect defaults from both schema formats', () => {
+      const limits = { cpu: '500m' };
+      const defaults = getSchemaDefaults({ port: { type: 'number', default: 3000 }, limits: { type: 'object', default: limits }, host: { type: 'string' } });
+
+      expect(defaults).toEqual({ port: 3000, limits: { cpu: '500m' } });
+      expect(defaults.limits).not.toBe(limits);
+      expect(getSchemaDefaults({ type: 'object', properties: { log_level: { enum: ['info', 'debug'], default: 'info' } } })).toEqual({ log_level: 'info' });
+    });
+
+    test('should merge defaults as the lowest-priority layer', () => {
+      const schema = { port: { type: 'number', default: 3000 }, url: { type: 'string', default: 'http://${host}:${port}' } };
+      const defaults = createDefaultsLayer(schema, 'config/align.schema.json');
+
+      expect(defaults).toMatchObject({ name: 'schema-default', file: 'config/align.schema.json', sources: [] });
+      expect(mergeLayers([defaults, { name: 'base', config: { host: 'localhost', port: 8080 } }], schema)).toEqual({
+        port: 8080,
+        url: 'http://localhost:8080',
+        host: 'localhost'
+      });
+      expect(createDefaultsLayer({ port: { type: 'number' } })).toBeNull();
+      expect(createDefaultsLayer(null)).toBeNull();
+    });
+
+    test('should apply defaults after the merge, only to keys no layer sets', () => {
+      const schema = { origins: { type: 'array', merge: 'append', default: ['*'] }, port: { type: 'number', default: 3000 }, debug: { type: 'boolean', default: false } };
+      const layers = [createDefaultsLayer(schema), { name: 'base', config: { origins: ['a'], host: 'localhost' }, provenance: {} }, { name: 'dev', config: { debug: true }, provenance: {} }];
+
+      const merged = mergeLayers(layers, schema);
+      expect(merged).toEqual({ origins: ['a'], host: 'localhost', debug: true, port: 3000 });
+      expect(Object.keys(merged)).toEqual(['origins', 'host', 'debug', 'port']);
+      expect(traceConfigKey(layers, 'origins', schema).steps.map(step => step.value)).toEqual([undefined, ['a'], undefined]);
+      expect(traceConfigKey(layers, 'port', schema)).toMatchObject({ finalValue: 3000, steps: [{ name: 'schema-default', value: 3000 }, { value: undefined }, { value: undefined }] });
+    });
+  });
+
+  describe('environment overrides', () => {
+    test('should map variable names to keys and back', () => {
+      expect(envVariableToKey('ALIGN__DATABASE__POOL__MAX')).toBe('database.pool.max');
+      expect(envVariableToKey('ALIGN__LOG_LEVEL')).toBe('log_level');
+      expect(envVariableToKey('APP_PORT', { prefix: 'APP', separator: '_' })).toBe('port');
+      expect(envVariableToKey('ALIGNED__PORT')).toBeNull();
+      expect(envVariableToKey('ALIGN__')).toBeNull();
+      expect(keyToEnvVariable('database.pool.max')).toBe('ALIGN__DATABASE__POOL__MAX');
+      expect(keyToEnvVariable('api-key', { prefix: 'APP', separator: '_' })).toBe('APP_API_KEY');
+      expect(() => envVariableToKey('X', { prefix: '' })).toThrow('Environment overrides need a non-empty prefix and separator');
+    });
+
+    test('should build a typed, replacing layer from matching variables', () => {
+      const schema = { 'database.pool.max': { type: 'integer' }, tags: { type: 'array', merge: 'append' } };
+      const layer = createEnvOverridesLayer(schema, {
+        keys: ['apiKey', 'tags'],
+        env: { ALIGN__DATABASE__POOL__MAX: '20', ALIGN__TAGS: 'b,c', ALIGN__APIKEY: 'secret', ALIGN__DEBUG: 'on', PATH: '/usr/bin' }
+      });
+
+      expect(layer).toMatchObject({ name: 'process-env', file: null, unmatched: ['ALIGN__DEBUG'] });
+      expect(layer.config).toEqual({ 'database.pool.max': 20, tags: ['b', 'c'], apiKey: 'secret', debug: 'on' });
+      expect(layer.provenance['database.pool.max']).toEqual({ file: null, variable: 'ALIGN__DATABASE__POOL__MAX' });
+      expect(mergeLayers([{ name: 'base', config: { tags: ['a'], 'database.pool.max': 10 } }, layer], schema)).toMatchObject({
+        tags: ['b', 'c'],
+        'database.pool.max': 20
+      });
+      expect(traceConfigKey([{ name: 'base', file: 'base.align', config: { tags: ['a'] }, provenance: {} }, layer], 'tags', schema).steps[1])
+        .toMatchObject({ name: 'process-env', operation: 'replace', origin: { variable: 'ALIGN__TAGS' } });
+    });
+
+    test('should match keys by their variable name with custom naming', () => {
+      const layer = createEnvOverridesLayer({ log_level: { type: 'string' }, port: { type: 'number' } }, {
+        prefix: 'APP',
+        separator: '_',
+        env: { APP_LOG_LEVEL: 'warn', APP_PORT: '0800', ALIGN__PORT: '1' }
+      });
+
+      expect(layer.config).toEqual({ log_level: 'warn', port: 800 });
+      expect(layer.warnings).toEqual([{ key: 'port', message: 'APP_PORT: "0800" became 800, dropping its leading zeros' }]);
+      expect(createEnvOverridesLayer(null, { env: { HOME: '/root' } })).toBeNull();
+    });
+
+    test('should only type untyped variables that are exactly a boolean or a number', () => {
+      const layer = createEnvOverridesLayer(null, {
+        env: { ALIGN__DB_HOST: '10.0.0.1', ALIGN__API_KEY: '12abc', ALIGN__DEBUG: 'false', ALIGN__PORT: '8080', ALIGN__NAME: 'web' }
+      });
+
+      expect(layer.config).toEqual({ db_host: '10.0.0.1', api_key: '12abc', debug: false, port: 8080, name: 'web' });
+      expect(layer.warnings).toEqual([
+        { key: 'api_key', message: 'ALIGN__API_KEY: "12abc" was kept as a string; declare a type in the schema to convert it' },
+        { key: 'db_host', message: 'ALIGN__DB_HOST: "10.0.0.1" was kept as a string; declare a type in the schema to convert it' }
+      ]);
+    });
+  });
+
+  describe('command-line overrides', () => {
+    test('should parse --set values like .align literals', () => {
+      const layer = createCliOverridesLayer(['database.pool.max=20', 'tags=[a, b]', 'debug=true', 'url=http://x?a=b', 'name= "web" ', 'debug=false']);
+
+      expect(layer).toMatchObject({ name: 'cli-set', file: null });
+      expect(layer.config).toEqual({ 'database.pool.max': 20, tags: ['a', 'b'], debug: false, url: 'http://x?a=b', name: 'web' });
+      expect(layer.provenance.tags).toEqual({ file: null, flag: '--set' });
+      expect(mergeLayers([{ name: 'base', config: { tags: ['z'] } }, layer], { tags: { type: 'array', merge: 'append' } }).tags).toEqual(['a', 'b']);
+      expect(createCliOverridesLayer([], [])).toBeNull();
+    });
+
+    test('should read --set-file contents', () => {
+      fs.existsSync.mockImplementation(file => file === '/certs/tls.pem');
+      fs.readFileSync.mockImplementation(() => 'line1\nline2\n');
+
+      const layer = createCliOverridesLayer(['tls_cert=inline'], ['tls_cert=tls.pem'], { cwd: '/certs' });
+      expect(layer.config).toEqual({ tls_cert: 'line1\nline2' });
+      expect(layer.provenance.tls_cert).toEqual({ file: null, flag: '--set-file', path: '/certs/tls.pem' });
+      expect(() => createCliOverridesLayer([], ['key=missing.pem'], { cwd: '/certs' })).toThrow('File not found for --set-file key: missing.pem');
+    });
+
+    test('should reject assignments without a key', () => {
+      expect(() => createCliOverridesLayer(['debug'])).toThrow('Invalid --set "debug": expected key=value');
+      expect(() => createCliOverridesLayer(['=1'])).toThrow('Invalid --set "=1": expected key=value');
+      expect(() => createCliOverridesLayer([], ['cert'])).toThrow('Invalid --set-file "cert": expected key=value');
+    });
+  });
+
+  describe('schema coercion', () => {
+    test('should convert strings to the declared type', () => {
+      expect(coerceValue('8080', { type: 'number' })).toEqual({ value: 8080 });
+      expect(coerceValue('3', { type: 'integer' })).toEqual({ value: 3 });
+      expect(coerceValue('FALSE', { type: 'boolean' })).toEqual({ value: false });
+      expect(coerceValue('a, b,c', { type: 'array' })).toEqual({ value: ['a', 'b', 'c'] });
+      expect(coerceValue('[80, 443]', { type: 'array', items: { type: 'number' } })).toEqual({ value: [80, 443] });
+      expect(coerceValue('30000', { type: 'duration' })).toEqual({ value: 30000 });
+      expect(coerceValue('5m', { type: 'duration' })).toEqual({ value: '5m' });
+      expect(coerceValue('{ cpu = "500m" }', { type: 'object' })).toEqual({ value: { cpu: '500m' } });
+      expect(coerceValue('null', { type: ['number', 'null'] })).toEqual({ value: null });
+    });
+
+    test('should warn about lossy and ambiguous conversions', () => {
+      expect(coerceValue('0800', { type: 'number' })).toEqual({ value: 800, warning: '"0800" became 800, dropping its leading zeros' });
+      expect(coerceValue('yes', { type: 'boolean' })).toEqual({ value: true, warning: '"yes" was read as true' });
+      expect(coerceValue('9007199254740993', { type: 'integer' }).warning).toContain('too large to be represented exactly');
+      expect(coerceValue('1,02', { type: 'array', items: { type: 'number' } })).toEqual({
+        value: [1, 2],
+        warning: '[1] "02" became 2, dropping its leading zeros'
+      });
+    });
+
+    test('should leave values that do not fit, strings and templates alone', () => {
+      expect(coerceValue('3.5', { type: 'integer' })).toEqual({ value: '3.5' });
+      expect(coerceValue('maybe', { type: 'boolean' })).toEqual({ value: 'maybe' });
+      expect(coerceValue('0123', { type: 'string' })).toEqual({ value: '0123' });
+      expect(coerceValue('${env:PORT}', { type: 'number' })).toEqual({ value: '${env:PORT}' });
+      expect(coerceValue(8080, { type: 'string' })).toEqual({ value: 8080 });
+    });
+
+    test('should read untyped values like .align literals', () => {
+      expect(coerceValue('true')).toEqual({ value: true });
+      expect(coerceValue('42', { description: 'untyped' })).toEqual({ value: 42 });
+      expect(coerceValue('["a", "b"]')).toEqual({ value: ['a', 'b'] });
+      expect(coerceValue('hello')).toEqual({ value: 'hello' });
+    });
+
+    test('should coerce a config and report warnings by key', () => {
+      const result = coerceConfig({ port: '8080', debug: 'on', name: '42' }, {
+        type: 'object',
+        properties: { port: { type: 'number' }, debug: { type: 'boolean' }, name: { type: 'string' } }
+      });
+
+      expect(result.config).toEqual({ port: 8080, debug: true, name: '42' });
+      expect(result.warnings).toEqual([{ key: 'debug', message: 'debug: "on" was read as true' }]);
+      expect(validateConfig(result.config, true, { port: { type: 'number' }, debug: { type: 'boolean' } })).toEqual([]);
+    });
+
+    test('should type .env values declared in the schema', () => {
+      expect(parseEnvFile('PORT=08080\nDEBUG=on\nZIP=02134', { port: { type: 'number' }, debug: { type: 'boolean' }, ZIP: { type: 'string' } })).toEqual({
+        values: { PORT: 8080, DEBUG: true, ZIP: '02134' },
+        warnings: [
+          { key: 'PORT', message: 'PORT: "08080" became 8080, dropping its leading zeros' },
+          { key: 'DEBUG', message: 'DEBUG: "on" was read as true' }
+        ]
+      });
+    });
+  });
+
+  describe('code generation', () => {
+    test('should emit a typed Config interface with JSDoc from descriptions', () => {
+      const [declarations] = generateCode('ts', {
+        app_name: { type: 'string', required: true, description: 'Service name shown in logs' },
+        'database.pool.max': { type: 'integer', default: 10 },
+        log_level: { type: 'string', enum: ['debug', 'info'] },
+        timeout: { type: 'duration' },
+        hosts: { type: 'array', items: { type: ['string', 'null'] } },
+        version: '1.0.0'
+      }, { environments: ['dev', 'prod'] });
+
+      expect(declarations.file).toBe('config.d.ts');
+      expect(declarations.content).toContain('export type Environment = \'dev\' | \'prod\';');
+      expect(declarations.content).toContain('  /**\n   * Service name shown in logs\n   */\n  app_name: string;');
+      expect(declarations.content).toContain('   * @default 10\n   */\n  \'database.pool.max\': number;');
+      expect(declarations.content).toContain('  log_level?: \'debug\' | \'info\';');
+      expect(declarations.content).toContain('  timeout?: string | number;');
+      expect(declarations.content).toContain('  hosts?: (string | null)[];');
+      expect(declarations.content).not.toContain('version');
+      expect(declarations.content).toContain('export declare function load(environment: Environment, options?: LoadOptions): Config;');
+    });
+
+    test('should read JSON Schema properties, required and $refs', () => {
+      const [declarations] = generateCode('ts', {
+        type: 'object',
+        required: ['port'],
+        $defs: { port: { type: 'integer', description: 'Listen port' } },
+        properties: {
+          port: { $ref: '#/$defs/port' },
+          limits: { type: 'object', properties: { cpu: { type: 'string' } }, required: ['cpu'] },
+          labels: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+      });
+
+      expect(declarations.content).toContain('export type Environment = string;');
+      expect(declarations.content).toContain('   * Listen port\n   */\n  port: number;');
+      expect(declarations.content).toContain('  limits?: { cpu: string };');
+      expect(declarations.content).toContain('  labels?: Record<string, string>;');
+    });
+
+    test('should emit a load() wrapper resolving the config directory', () => {
+      const [, loader] = generateCode('ts', { port: { type: 'number' } }, { name: 'settings', configDir: '../config' });
+
+      expect(loader.file).toBe('settings.js');
+      expect(loader.content).toContain('const Align = require(\'align-config\');');
+      expect(loader.content).toContain('const CONFIG_DIR = path.join(__dirname, \'../config\');');
+      expect(loader.content).toContain('module.exports = { load };');
+    });
+
+    const typedSchema = {
+      app_name: { type: 'string', required: true, description: 'Service name' },
+      'database.pool.max': { type: 'integer', default: 10 },
+      timeout: { type: 'duration', unit: 'ms', default: '30s' },
+      tls_url: { type: ['string', 'null'] },
+      hosts: { type: 'array', items: { type: 'string' }, default: ['a'] }
+    };
+
+    test('should emit a Go struct with json tags, defaults and required keys', () => {
+      const [go] = generateCode('go', typedSchema, { durationUnit: 's' });
+
+      expect(go.file).toBe('config.go');
+      expect(go.content).toContain('package config\n');
+      expect(go.content).toContain('\t// Service name\n\t// Required.\n\tAppName string `json:"app_name"`');
+      expect(go.content).toContain('\tDatabasePoolMax int64 `json:"database.pool.max"`');
+      expect(go.content).toContain('\t// Unit: s.\n\t// Default: 30.\n\tTimeout float64 `json:"timeout"`');
+      expect(go.content).toContain('\tTimeout float64 `json:"timeout"`\n\tTLSURL  *string `json:"tls_url,omitempty"`');
+      expect(go.content).toContain('var RequiredKeys = []string{"app_name"}');
+      expect(go.content).toContain('\t\tDatabasePoolMax: 10,\n\t\tTimeout:         30,\n\t\tHosts:           []string{"a"},\n');
+    });
+
+    test('should emit pydantic and dataclass models with aliases for dotted keys', () => {
+      const [pydantic] = generateCode('python', typedSchema);
+      expect(pydantic.file).toBe('config.py');
+      expect(pydantic.content).toContain('from typing import List, Optional, Union\n');
+      expect(pydantic.content).toContain('    app_name: str = Field(..., description="Service name")\n');
+      expect(pydantic.content).toContain('    database_pool_max: int = Field(10, alias="database.pool.max")\n');
+      expect(pydantic.content).toContain('    timeout: Union[str, float] = "30s"\n');
+      expect(pydantic.content).toContain('    tls_url: Optional[str] = None\n');
+      expect(pydantic.content).toContain('Config.model_validate(json.load(handle))');
+
+      const [dataclass] = generateCode('python', { ...typedSchema, ratio: { type: 'number' } }, { style: 'dataclass', durationUnit: 'ms' });
+      expect(dataclass.content).toContain('@dataclass\nclass Config:');
+      expect(dataclass.content).toContain('    timeout: float = 30000\n');
+      expect(dataclass.content).toContain('    hosts: List[str] = field(default_factory=lambda: ["a"])\n');
+      expect(dataclass.content).toContain('    database_pool_max: int = field(default=10, metadata={"key": "database.pool.max"})\n');
+      expect(dataclass.content.indexOf('app_name: str')).toBeLessThan(dataclass.content.indexOf('database_pool_max'));
+    });
+
+    test('should give Python fields that start with a digit a public name', () => {
+      const [pydantic] = generateCode('python', { '2fa.enabled': { type: 'boolean', default: false } });
+      expect(pydantic.content).toContain('    x_2fa_enabled: bool = Field(False, alias="2fa.enabled")\n');
+    });
+
+    test('should emit a Java record that applies defaults and checks required keys', () => {
+      const [java] = generateCode('java', typedSchema, { package: 'com.example', name: 'app-config' });
+
+      expect(java.file).toBe('AppConfig.java');
+      expect(java.content).toContain('package com.example;\n');
+      expect(java.content).toContain(' * @param appName Service name. Required.\n');
+      expect(java.content).toContain('    @JsonProperty(value = "app_name", required = true) String appName,\n');
+      expect(java.content).toContain('    @JsonProperty("database.pool.max") Long databasePoolMax,\n');
+      expect(java.content).toContain('    @JsonProperty("timeout") Object timeout,\n');
+      expect(java.content).toContain('        Objects.requireNonNull(appName, "missing required configuration key app_name");\n');
+      expect(java.content).toContain('            databasePoolMax = 10L;\n');
+      expect(java.content).toContain('            hosts = List.of("a");\n');
+      expect(java.content).toContain('public static AppConfig load(String path) throws IOException');
+    });
+
+    test('should reject keys that collapse onto one identifier', () => {
+      expect(() => generateCode('go', { 'db.host': { type: 'string' }, db_host: { type: 'string' } }))
+        .toThrow('Keys "db.host" and "db_host" both map to DBHost in go; rename one of them');
+    });
+
+    test('should reject unknown languages and missing schemas', () => {
+      expect(() => generateCode('cobol', {})).toThrow('Unsupported codegen language "cobol". Supported: ts, go, python, java');
+      expect(() => generateCode('python', {}, { style: 'attrs' })).toThrow('Unsupported Python style "attrs". Supported: pydantic, dataclass');
+      expect(() => generateCode('ts', null)).toThrow('Code generation requires a schema');
+    });
+  });
+
+  describe('embedded artifacts', () => {
+    const schema = { name: { type: 'string', required: true }, timeout: { type: 'duration', unit: 'ms', max: '1m' } };
+
+    test('should hash content independently of key order', () => {
+      expect(canonicalJSON({ b: [1, { d: 2, c: 3 }], a: null })).toBe('{"a":null,"b":[1,{"c":3,"d":2}]}');
+
+      const first = createEmbeddedArtifact({ name: 'web', timeout: 500 }, schema, { environment: 'prod', builtAt: '2024-01-01T00:00:00.000Z' });
+      const second = createEmbeddedArtifact({ timeout: 500, name: 'web' }, schema, { environment: 'prod', builtAt: '2024-01-01T00:00:00.000Z' });
+      expect(first.$align).toMatchObject({ version: 1, environment: 'prod' });
+      expect(first.$align.hash).toMatch(/^sha256:[0-9a-f]{64}$/);
+      expect(second.$align.hash).toBe(first.$align.hash);
+      expect(verifyEmbeddedArtifact(first)).toEqual([]);
+    });
+
+    test('should report tampering with the config, schema or metadata', () => {
+      const artifact = createEmbeddedArtifact({ name: 'web' }, schema, { environment: 'prod' });
+      const tampered = [
+        { ...artifact, config: { name: 'api' } },
+        { ...artifact, schema: { name: { type: 'string' } } },
+        { ...artifact, $align: { ...artifact.$align, environment: 'dev' } }
+      ];
+      for (const copy of tampered) {
+        expect(verifyEmbeddedArtifact(copy)[0].message).toContain('Content hash mismatch');
+      }
+      expect(verifyEmbeddedArtifact({ name: 'web' })).toEqual([
+        { key: null, message: 'Not an Align artifact: build it with `align build --embed-schema`' }
+      ]);
+    });
+
+    test('should validate normalised values in the units they were built with', () => {
+      const artifact = createEmbeddedArtifact({ name: 'web', timeout: 30 }, schema, { units: { duration: 's' } });
+      expect(artifact.$align.units).toEqual({ duration: 's' });
+      expect(verifyEmbeddedArtifact(artifact)).toEqual([]);
+
+      const tooLong = createEmbeddedArtifact({ name: 'web', timeout: 90 }, schema, { units: { duration: 's' } });
+      expect(verifyEmbeddedArtifact(tooLong)).toEqual([expect.objectContaining({ key: 'timeout' })]);
+    });
+  });
+
+  describe('Error reporting', () => {
+    test('should throw AlignSyntaxError with file, line, column and code frame', () => {
+      const content = 'port = 3000\n  invalid line\n';
+
+      let error;
+      try {
+        parseAlign(content, { file: 'config/base.align' });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(AlignSyntaxError);
+      expect(error.message).toBe('Invalid syntax on line 2: missing \'=\' after \'invalid\' (config/base.align:2:3)');
+      expect(error).toMatchObject({ file: 'config/base.align', line: 2, column: 3, length: 7 });
+      expect(error.frame).toBe([
+        '  1 | port = 3000',
+        '> 2 |   invalid line',
+        '    |   ^^^^^^^'
+      ].join('\n'));
+      expect(getErrorDiagnostics(error)).toEqual([
+        expect.objectContaining({ type: 'syntax', file: 'config/base.align', line: 2, column: 3, endColumn: 10 })
+      ]);
+    });
+
+    test('should locate validation issues in the last file defining the key', () => {
+      const schema = {
+        service_name: { type: 'string', required: true },
+        port: { type: 'number' }
+      };
+      const sources = [
+        { file: 'base.align', content: 'port = 3000\n' },
+        { file: 'dev.align', content: 'debug = true\nport = "abc"\n' }
+      ];
+      const config = mergeConfigs(parseAlign(sources[0].content), parseAlign(sources[1].content));
+
+      const error = createValidationError('Validation failed', collectValidationIssues(config, true, schema), sources);
+
+      expect(error).toBeInstanceOf(AlignValidationError);
+      expect(error.message).toBe('Validation failed: Missing required key: service_name, port must be a number, got string');
+      expect(error.errors[0]).toMatchObject({ key: 'service_name', file: 'dev.align', line: null });
+      expect(error.errors[1]).toMatchObject({ key: 'port', file: 'dev.align', line: 2, column: 8, endColumn: 13 });
+      expect(error.errors[1].frame).toContain('> 2 | port = "abc"');
+      expect(error.toJSON()[1]).toMatchObject({ type: 'validation', key: 'port', line: 2 });
+    });
+
+    test('should render code frames with context lines', () => {
+      const frame = renderCodeFrame('a = 1\nb = 2\nc = 3\nd = 4\ne = 5\nf = 6', 4, 5, 1);
+
+      expect(frame).toBe([
+        '  2 | b = 2',
+        '  3 | c = 3',
+        '> 4 | d = 4',
+        '    |     ^',
+        '  5 | e = 5',
+        '  6 | f = 6'
+      ].join('\n'));
+    });
+  });
+
   describe('mergeConfigs', () => {
     test('should merge base and environment configs', () => {
       const baseConfig = {
@@ -441,6 +1438,363 @@ describe('Parser Module', () => {
     });
   });
 
+  describe('merge strategies', () => {
+    test('should append with += and remove keys with unset', () => {
+      const base = parseAlign([
+        'cors_origins = ["https://a.example.com"]',
+        'legacy_flag = true',
+        'service "old" {',
+        '  port = 1',
+        '}'
+      ].join('\n'));
+      const env = parseAlign([
+        'cors_origins += ["https://b.example.com"]',
+        'unset legacy_flag',
+        'unset service.old'
+      ].join('\n'));
+
+      expect(getMergeDirectives(env)).toEqual({
+        cors_origins: 'append',
+        legacy_flag: 'delete',
+        'service.old': 'delete'
+      });
+      expect(mergeConfigs(base, env)).toEqual({
+        cors_origins: ['https://a.example.com', 'https://b.example.com']
+      });
+    });
+
+    test('should apply += within the same file', () => {
+      const config = parseAlign('hosts = ["a"]\nhosts += ["b"]');
+
+      expect(config.hosts).toEqual(['a', 'b']);
+      expect(getMergeDirectives(config)).toEqual({});
+    });
+
+    test('should use merge strategies from the schema', () => {
+      const schema = {
+        plugins: { type: 'array', merge: 'prepend' },
+        tags: { type: 'array', merge: 'union' },
+        limits: { type: 'object', merge: 'deep-merge' },
+        debug_token: { type: 'string', merge: 'delete' }
+      };
+      const base = {
+        plugins: ['auth'],
+        tags: ['web', 'api'],
+        limits: { cpu: '250m', memory: '512Mi', nested: { a: 1, b: 2 } },
+        debug_token: 'abc'
+      };
+      const env = {
+        plugins: ['tracing'],
+        tags: ['api', 'eu'],
+        limits: { cpu: '500m', nested: { b: 3 } },
+        debug_token: ''
+      };
+
+      expect(mergeConfigs(base, env, schema)).toEqual({
+        plugins: ['tracing', 'auth'],
+        tags: ['web', 'api', 'eu'],
+        limits: { cpu: '500m', memory: '512Mi', nested: { a: 1, b: 3 } }
+      });
+    });
+
+    test('should let inline directives win over the schema', () => {
+      const env = parseAlign('plugins += ["tracing"]');
+
+      expect(mergeConfigs({ plugins: ['auth'] }, env, { plugins: { merge: 'prepend' } }).plugins).toEqual(['auth', 'tracing']);
+    });
+
+    test('should support schemas with properties', () => {
+      const schema = { type: 'object', properties: { tags: { type: 'array', merge: 'append' } } };
+
+      expect(mergeConfigs({ tags: ['a'] }, { tags: ['b'] }, schema).tags).toEqual(['a', 'b']);
+    });
+
+    test('should reject unknown merge strategies', () => {
+      expect(() => mergeConfigs({ a: 1 }, { a: 2 }, { a: { merge: 'smash' } })).toThrow('Unknown merge strategy "smash" for a');
+    });
+
+    test('should merge values directly', () => {
+      expect(mergeValues(undefined, [1], 'append')).toEqual([1]);
+      expect(mergeValues('a', 'b', 'append')).toEqual(['a', 'b']);
+      expect(mergeValues({ a: 1 }, ['x'], 'deep-merge')).toEqual(['x']);
+    });
+  });
+
+  describe('typed literals', () => {
+    test('should keep duration, byte, datetime and URL literals as written', () => {
+      const config = parseAlign('timeout = 30s\nretry = 1h30m\ncache = 512MB\nstarts = 2026-01-01T00:00:00Z\napi = https://api.example.com\nport = 3000');
+
+      expect(config).toEqual({
+        timeout: '30s',
+        retry: '1h30m',
+        cache: '512MB',
+        starts: '2026-01-01T00:00:00Z',
+        api: 'https://api.example.com',
+        port: 3000
+      });
+      expect(detectLiteralType('2GiB')).toBe('bytes');
+      expect(detectLiteralType('2026-01-01')).toBe('datetime');
+      expect(detectLiteralType('hello')).toBeNull();
+    });
+
+    test('should convert literals to base units', () => {
+      expect(parseDurationValue('1h30m')).toBe(5400000);
+      expect(parseDurationValue(2, 's')).toBe(2000);
+      expect(parseDurationValue('soon')).toBeNull();
+      expect(parseBytesValue('512MB')).toBe(512e6);
+      expect(parseBytesValue('1GiB')).toBe(1024 ** 3);
+      expect(() => parseBytesValue(1, 'XB')).toThrow('Unknown byte unit "XB"');
+    });
+
+    test('should validate typed schema fields with unit-aware ranges', () => {
+      const schema = {
+        timeout: { type: 'duration', min: '1s', max: '5m' },
+        cache: { type: 'bytes', max: '1GB' },
+        retry: { type: 'duration', unit: 's', max: 60 },
+        starts: { type: 'datetime', min: '2025-01-01' },
+        api: { type: 'url' }
+      };
+
+      expect(validateConfig({ timeout: '30s', cache: '512MB', retry: 30, starts: '2026-01-01', api: 'https://a.io' }, false, schema)).toEqual([]);
+      expect(validateConfig({ timeout: '10m', cache: '2GB', retry: 90, starts: '2024-06-01', api: 'nope' }, false, schema)).toEqual([
+        'timeout must be <= 5m, got 10m',
+        'cache must be <= 1GB, got 2GB',
+        'retry must be <= 60, got 90',
+        'starts must be >= 2025-01-01, got 2024-06-01',
+        'api must be a URL, got "nope"'
+      ]);
+      expect(validateConfig({ timeout: 'soon' }, false, schema)).toEqual(['timeout must be a duration (e.g. 30s, 5m, 1h30m), got "soon"']);
+    });
+
+    test('should normalise durations and sizes to a target unit', () => {
+      const schema = { retry: { type: 'duration', unit: 's' } };
+      const config = { timeout: '90s', retry: 120, cache: '1GiB', name: 'web', intervals: ['1m', '2m'] };
+
+      expect(normalizeTypedValues(config, schema, { duration: 'm', bytes: 'MiB' })).toEqual({
+        timeout: 1.5,
+        retry: 2,
+        cache: 1024,
+        name: 'web',
+        intervals: [1, 2]
+      });
+      expect(normalizeTypedValues({ cpu: '500m', tag: '2d', ttl: '2d' }, { cpu: { type: 'string' }, tag: { type: 'string' } }, { duration: 's' }))
+        .toEqual({ cpu: '500m', tag: '2d', ttl: 172800 });
+    });
+  });
+
+  describe('interpolation', () => {
+    const env = { HOME: '/home/app' };
+
+    test('should resolve key references after merge', () => {
+      const base = { host: 'localhost', port: 5432, database_url: 'postgres://${host}:${port}/app' };
+      const merged = mergeConfigs(base, { host: 'prod-db' });
+
+      expect(merged.database_url).toBe('postgres://prod-db:5432/app');
+      expect(mergeConfigs(base, { host: 'prod-db' }, null, { interpolate: false }).database_url).toBe('postgres://${host}:${port}/app');
+    });
+
+    test('should resolve environment variables with defaults', () => {
+      const config = interpolateConfig({
+        cache_dir: '${env:HOME}/.cache',
+        port: '${env:PORT:-3000}',
+        literal: '$${env:HOME}'
+      }, { env });
+
+      expect(config).toEqual({ cache_dir: '/home/app/.cache', port: 3000, literal: '${env:HOME}' });
+      expect(() => interpolateConfig({ a: '${env:MISSING}' }, { env })).toThrow('Environment variable MISSING is not set (referenced by a)');
+    });
+
+    test('should keep environment values as strings unless they are exactly a number or boolean', () => {
+      const values = { API_KEY: '12abc-secret', HOST: '10.0.0.1', ZIP: '02134', NOTE: 'a # b', PORT: '8080', DEBUG: 'true', EMPTY: '' };
+      expect(interpolateConfig({
+        key: '${env:API_KEY}',
+        host: '${env:HOST}',
+        zip: '${env:ZIP}',
+        note: '${env:NOTE}',
+        port: '${env:PORT}',
+        debug: '${env:DEBUG}',
+        level: '${env:EMPTY:-info}',
+        blank: '${env:EMPTY}'
+      }, { env: values })).toEqual({ key: '12abc-secret', host: '10.0.0.1', zip: '02134', note: 'a # b', port: 8080, debug: true, level: 'info', blank: '' });
+    });
+
+    test('should keep the type of a whole-value reference', () => {
+      expect(interpolateConfig({ port: 8080, admin_port: '${port}', hosts: ['${host}'], host: 'a' })).toEqual({
+        port: 8080,
+        admin_port: 8080,
+        hosts: ['a'],
+        host: 'a'
+      });
+    });
+
+    test('should detect cycles and unknown references', () => {
+      expect(() => interpolateConfig({ a: '${b}', b: 'x-${a}' })).toThrow('Circular reference: a -> b -> a');
+      expect(() => interpolateConfig({ a: '${nope}' })).toThrow('Unknown reference ${nope} in a');
+    });
+
+    test('should explain how a value was built', () => {
+      const explanation = explainInterpolation({ host: 'db', port: '${env:PORT:-5432}', url: '${host}:${port}' }, 'url', { env });
+
+      expect(explanation.template).toBe('${host}:${port}');
+      expect(explanation.value).toBe('db:5432');
+      expect(explanation.references[1]).toMatchObject({
+        name: 'port',
+        value: 5432,
+        references: [{ type: 'env', name: 'PORT', source: 'default', value: 5432 }]
+      });
+      expect(explainInterpolation({ a: 1 }, 'a')).toBeNull();
+    });
+
+    test('should skip validating templates until they are resolved', () => {
+      expect(collectValidationIssues({ port: '${env:PORT:-3000}' }, false, { port: { type: 'number' } })).toEqual([]);
+      expect(collectValidationIssues({ port: '${env:PORT:-3000}' }, false)).toEqual([]);
+    });
+  });
+
+  describe('includes', () => {
+    const files = {
+      '/config/base.align': 'service_name = "web"\ninclude "database.align"\ninclude "fragments/*.align"\ncache {\n  include "cache.align"\n}\ntimeout = 5',
+      '/config/database.align': 'db_host = "localhost"\ndb_port = 5432\ntimeout = 1',
+      '/config/cache.align': 'ttl = "long"',
+      '/config/fragments/auth.align': 'auth = true',
+      '/config/fragments/tracing.align': 'tracing = true\nunset db_host',
+      '/config/loop-a.align': 'include "loop-b.align"',
+      '/config/loop-b.align': 'x = 1\ninclude "loop-a.align"'
+    };
+    const entry = (name, directory) => ({ name, isDirectory: () => directory });
+
+    beforeEach(() => {
+      fs.existsSync.mockImplementation(file => file in files || file === '/config/fragments');
+      fs.readFileSync.mockImplementation(file => files[file]);
+      fs.readdirSync.mockImplementation(dir => dir === '/config/fragments'
+        ? [entry('auth.align', false), entry('notes.txt', false), entry('tracing.align', false), entry('old', true)]
+        : []);
+    });
+
+    test('should parse include statements', () => {
+      expect(parseAlignAST('include "database.align"').body[0]).toMatchObject({ type: 'Include', path: 'database.align' });
+      expect(parseAlign('include "database.align"\na = 1')).toEqual({ a: 1 });
+    });
+
+    test('should expand globs relative to the including file', () => {
+      expect(expandIncludePath('/config/base.align', 'fragments/*.align')).toEqual([
+        '/config/fragments/auth.align',
+        '/config/fragments/tracing.align'
+      ]);
+      expect(expandIncludePath('/config/base.align', 'database.align')).toEqual(['/config/database.align']);
+    });
+
+    test('should splice included files in place with provenance', () => {
+      const loaded = loadAlignFile('/config/base.align');
+
+      expect(loaded.config).toEqual({
+        service_name: 'web',
+        db_port: 5432,
+        timeout: 5,
+        auth: true,
+        tracing: true,
+        'cache.ttl': 'long'
+      });
+      expect(loaded.provenance.db_port).toEqual({ file: '/config/database.align', line: 2, column: 1 });
+      expect(loaded.provenance['cache.ttl'].file).toBe('/config/cache.align');
+      expect(loaded.provenance.timeout.file).toBe('/config/base.align');
+      expect(loaded.sources.map(source => source.file)).toEqual([
+        '/config/database.align',
+        '/config/fragments/auth.align',
+        '/config/fragments/tracing.align',
+        '/config/cache.align',
+        '/config/base.align'
+      ]);
+    });
+
+    test('should locate validation issues inside included files', () => {
+      const { sources } = loadAlignFile('/config/base.align');
+      const [issue] = locateValidationIssues([{ key: 'cache.ttl', message: 'cache.ttl must be a number' }], sources);
+
+      expect(issue).toMatchObject({ file: '/config/cache.align', line: 1, column: 7 });
+    });
+
+    test('should detect include cycles and missing files', () => {
+      expect(() => loadAlignFile('/config/loop-a.align')).toThrow('circular include: loop-a.align -> loop-b.align -> loop-a.align');
+      expect(() => loadAlignFile('/config/x.align', { content: 'include "missing.align"' })).toThrow('included file not found: missing.align');
+    });
+
+    test('should discover environments but not included files', () => {
+      files['/config/dev.align'] = 'debug = true';
+      files['/config/prod.align'] = 'include "cache.align"';
+      fs.readdirSync.mockReturnValueOnce(['prod.align', 'base.align', 'cache.align', 'database.align', 'dev.align', 'notes.txt']);
+
+      expect(discoverEnvironments('/config')).toEqual(['dev', 'prod']);
+    });
+  });
+
+  describe('environment inheritance', () => {
+    const files = {
+      'base.align': 'service_name = "web"\ntimeout = 10\nregion = "none"\nhosts = ["a"]',
+      'prod.align': 'timeout = 30\nhosts += ["p"]',
+      'prod-eu.align': 'extends = "prod"\nregion = "eu"\nhosts += ["eu"]',
+      'staging.align': '@extends ["prod-eu", "prod"]\ndebug = true',
+      'loop-a.align': 'extends = "loop-b"',
+      'loop-b.align': 'extends = "loop-a"'
+    };
+
+    beforeEach(() => {
+      fs.existsSync.mockImplementation(file => path.basename(file) in files);
+      fs.readFileSync.mockImplementation(file => files[path.basename(file)]);
+    });
+
+    test('should parse extends declarations without adding keys', () => {
+      expect(parseAlign('extends = "prod"\nregion = "eu"')).toEqual({ region: 'eu' });
+      expect(parseAlignAST('@extends ["prod", "eu"]').body[0]).toMatchObject({ type: 'Extends', parents: ['prod', 'eu'] });
+      expect(() => parseAlign('extends = []')).toThrow('extends must be an environment name or a list of names');
+    });
+
+    test('should load layers base first, then parents, then the environment', () => {
+      const layers = loadEnvironmentLayers('/config', 'staging');
+
+      expect(layers.map(layer => layer.name)).toEqual(['base', 'prod', 'prod-eu', 'staging']);
+      expect(mergeLayers(layers)).toEqual({
+        service_name: 'web',
+        timeout: 30,
+        region: 'eu',
+        hosts: ['a', 'p', 'eu'],
+        debug: true
+      });
+    });
+
+    test('should detect inheritance cycles', () => {
+      expect(() => loadEnvironmentLayers('/config', 'loop-a')).toThrow('Circular environment inheritance: loop-a -> loop-b -> loop-a');
+    });
+
+    test('should report missing parents', () => {
+      files['orphan.align'] = 'extends = "missing"';
+
+      expect(() => loadEnvironmentLayers('/config', 'orphan')).toThrow('Environment config not found');
+      expect(loadEnvironmentLayers('/config', 'orphan', { optional: true }).map(layer => layer.name)).toEqual(['base', 'orphan']);
+    });
+
+    test('should share parsed layers through a cache', () => {
+      const cache = new Map();
+      loadEnvironmentLayers('/config', 'prod', { cache });
+      fs.readFileSync.mockClear();
+      const layers = loadEnvironmentLayers('/config', 'prod-eu', { cache });
+
+      expect(layers.map(layer => layer.name)).toEqual(['base', 'prod', 'prod-eu']);
+      expect(fs.readFileSync.mock.calls.map(([file]) => path.basename(file))).toEqual(['prod-eu.align']);
+    });
+
+    test('should trace a key through every layer', () => {
+      const trace = traceConfigKey(loadEnvironmentLayers('/config', 'prod-eu'), 'hosts');
+
+      expect(trace.finalValue).toEqual(['a', 'p', 'eu']);
+      expect(trace.steps.map(step => [step.name, step.operation])).toEqual([
+        ['base', 'replace'],
+        ['prod', 'append'],
+        ['prod-eu', 'append']
+      ]);
+    });
+  });
+
   describe('loadSchema', () => {
     test('should load valid schema file', () => {
       const mockSchema = {
@@ -1050,11 +2404,12 @@ describe('Parser Module', () => {
         DATABASE_URL=postgresql://localhost:5432/myapp
       `;
       
-      const vars = parseEnvFile(content);
+      const { values: vars, warnings } = parseEnvFile(content);
       
       expect(vars.PORT).toBe(3000);
       expect(vars.DEBUG).toBe(true);
       expect(vars.DATABASE_URL).toBe('postgresql://localhost:5432/myapp');
+      expect(warnings).toEqual([]);
     });
 
     test('should generate schema from env vars', () => {
@@ -1160,10 +2515,67 @@ describe('Parser Module', () => {
       expect(result.unlockedBy).toBe('user1');
     });
 
+    test('should persist locks in the config directory and enforce them', () => {
+      const files = { '/config/base.align': 'port = 80\n', '/config/dev.align': '', '/config/prod.align': '' };
+      fs.existsSync.mockImplementation(file => file in files);
+      fs.readFileSync.mockImplementation(file => files[file]);
+      fs.readdirSync.mockReturnValue(['base.align', 'dev.align', 'prod.align']);
+      fs.writeFileSync.mockImplementation((file, content) => { files[file] = content; });
+      fs.appendFileSync.mockImplementation((file, content) => { files[file] = (files[file] || '') + content; });
+
+      const lock = lockEnvironment('prod', 'alice', 'Release freeze', '30m', '/config');
+      expect(Date.parse(lock.expiresAt) - Date.parse(lock.lockedAt)).toBe(30 * 60 * 1000);
+      expect(JSON.parse(files['/config/.align/locks.json']).locks.prod.lockedBy).toBe('alice');
+      expect(listEnvironmentLocks('/config').map(entry => entry.environment)).toEqual(['prod']);
+      expect(() => lockEnvironment('prod', 'bob', 'Mine now', '1h', '/config')).toThrow(AlignLockError);
+      expect(() => lockEnvironment('prdo', 'alice', 'Typo', '1h', '/config')).toThrow('Unknown environment prdo in /config (environments: dev, prod)');
+
+      expect(enforceEnvironmentLocks('/config', ['dev'])).toEqual([]);
+      expect(() => enforceEnvironmentLocks('/config', ['dev', 'prod'])).toThrow('Environment prod is locked by alice');
+      expect(() => enforceEnvironmentLocks('/config', ['prod'], { reason: ' ', user: 'bob' })).toThrow('Overriding a lock needs a reason');
+      expect(enforceEnvironmentLocks('/config', ['prod'], { reason: 'Hotfix', user: 'bob', command: 'set' })).toEqual([lock]);
+      const audit = files['/config/.align/audit.log'].trim().split('\n').map(line => JSON.parse(line));
+      expect(audit.map(entry => entry.action)).toEqual(['lock', 'override']);
+      expect(audit[1]).toEqual(expect.objectContaining({ environment: 'prod', user: 'bob', command: 'set', reason: 'Hotfix' }));
+
+      expect(unlockEnvironment('prod', 'alice', '/config').lock.reason).toBe('Release freeze');
+      expect(listEnvironmentLocks('/config')).toEqual([]);
+      expect(() => unlockEnvironment('prod', 'alice', '/config')).toThrow('Environment prod is not locked');
+    });
+
+    test('should find the config directory a file belongs to', () => {
+      fs.existsSync.mockImplementation(file => file === '/repo/config/base.align');
+
+      expect(findConfigDir('/repo/config/prod.align')).toBe('/repo/config');
+      expect(findConfigDir('/repo/config/frag/db.align')).toBe('/repo/config');
+      expect(findConfigDir('/tmp/loose.align')).toBeNull();
+    });
+
+    test('should find the environments that read a file', () => {
+      const files = {
+        '/config/base.align': 'port = 80\n',
+        '/config/db.align': 'host = "a"\n',
+        '/config/dev.align': 'port = 8080\n',
+        '/config/staging.align': 'include "db.align"\n',
+        '/config/prod.align': 'extends = "staging"\n'
+      };
+      fs.existsSync.mockImplementation(file => file in files);
+      fs.readFileSync.mockImplementation(file => files[file]);
+      fs.readdirSync.mockReturnValue(Object.keys(files).map(file => path.basename(file)));
+
+      expect(environmentsUsingFiles('/config', ['/config/base.align'])).toEqual(['dev', 'prod', 'staging']);
+      expect(environmentsUsingFiles('/config', ['/config/db.align'])).toEqual(['prod', 'staging']);
+      expect(environmentsUsingFiles('/config', ['/config/dev.align', '/elsewhere/x.align'])).toEqual(['dev']);
+    });
+
     test('should parse duration', () => {
       expect(parseDuration('2h')).toBe(7200000);
       expect(parseDuration('30m')).toBe(1800000);
       expect(parseDuration('1d')).toBe(86400000);
+      expect(parseDuration('1h30m')).toBe(5400000);
+      expect(() => parseDuration('banana')).toThrow('Invalid duration "banana"');
+      expect(() => parseDuration('0h')).toThrow('Invalid duration "0h"');
+      expect(() => lockEnvironment('dev', 'user1', 'Deploy', '2 hours')).toThrow('Invalid duration "2 hours"');
     });
   });
 